@@ -1371,6 +1371,15 @@
   function getPosition(el) {
 	return el._atlas_pos || new Point(0, 0);
   }
+  function setRotation(el, angle, origin) {
+	if (!TRANSFORM || (!angle && !el._atlas_angle)) { return; }
+	el._atlas_angle = angle;
+	var transform = el.style[TRANSFORM].replace(/\s*rotate\([^)]*\)/g, '');
+	el.style[TRANSFORM] = angle ? transform + ' rotate(' + angle + 'deg)' : transform;
+	if (origin) {
+		el.style[TRANSFORM + 'Origin'] = origin.x + 'px ' + origin.y + 'px';
+	}
+  }
   var disableTextSelection;
   var enableTextSelection;
   var _userSelect;
@@ -1459,6 +1468,7 @@
     setTransform: setTransform,
     setPosition: setPosition,
     getPosition: getPosition,
+    setRotation: setRotation,
     get disableTextSelection () { return disableTextSelection; },
     get enableTextSelection () { return enableTextSelection; },
     disableImageDrag: disableImageDrag,
@@ -1727,6 +1737,8 @@
 		transform3DLimit: 8388608,
 		zoomSnap: 1,
 		zoomDelta: 1,
+		bearing: 0,
+		viewportPadding: 0,
 		trackResize: true
 	},
 	initialize: function (id, options) {
@@ -1735,8 +1747,13 @@
 		this._layers = {};
 		this._zoomBoundLayers = {};
 		this._sizeChanged = true;
+		this._bearing = 0;
+		this._viewportPadding = this._toViewportPadding(options.viewportPadding);
 		this._initContainer(id);
 		this._initLayout();
+		if (options.bearing) {
+			this.setBearing(options.bearing);
+		}
 		this._onResize = bind(this._onResize, this);
 		this._initEvents();
 		if (options.maxBounds) {
@@ -1758,6 +1775,9 @@
 		this._addLayers(this.options.layers);
 	},
 	setView: function (center, zoom, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.setView, arguments, 2);
+		}
 		zoom = zoom === undefined ? this._zoom : this._limitZoom(zoom);
 		center = this._limitCenter(toLatLng(center), zoom, this.options.maxBounds);
 		options = options || {};
@@ -1779,6 +1799,9 @@
 		return this;
 	},
 	setZoom: function (zoom, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.setZoom, arguments, 1);
+		}
 		if (!this._loaded) {
 			this._zoom = zoom;
 			return this;
@@ -1794,19 +1817,48 @@
 		return this.setZoom(this._zoom - delta, options);
 	},
 	setZoomAround: function (latlng, zoom, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.setZoomAround, arguments, 2);
+		}
 		var scale = this.getZoomScale(zoom),
-		    viewHalf = this.getSize().divideBy(2),
+		    viewHalf = this._getViewportCenter(),
 		    containerPoint = latlng instanceof Point ? latlng : this.latLngToContainerPoint(latlng),
 		    centerOffset = containerPoint.subtract(viewHalf).multiplyBy(1 - 1 / scale),
 		    newCenter = this.containerPointToLatLng(viewHalf.add(centerOffset));
 		return this.setView(newCenter, zoom, {zoom: options});
 	},
+	setBearing: function (bearing) {
+		bearing = wrapNum(+bearing || 0, [0, 360]);
+		if (bearing === this._bearing) { return this; }
+		var paddingOffset = this._getPaddingOffset(),
+		    center = this._loaded && (paddingOffset.x || paddingOffset.y) && this.getCenter();
+		this._bearing = bearing;
+		this._updatePaneRotation();
+		if (center) {
+			this._rawPanBy(this._rotateOffset(this._getCenterOffset(center), true));
+			this._lastCenter = null;
+		}
+		return this.fire('rotate', {bearing: bearing});
+	},
+	setViewportPadding: function (padding, options) {
+		var oldOffset = this._getPaddingOffset();
+		this._viewportPadding = this._toViewportPadding(padding);
+		this._lastCenter = null;
+		if (!this._loaded) { return this; }
+		this.fire('viewportpaddingchange', {padding: this.getViewportPadding()});
+		var offset = oldOffset.subtract(this._getPaddingOffset());
+		if (offset.x || offset.y) {
+			this.panBy(offset, options);
+		}
+		return this;
+	},
 	_getBoundsCenterZoom: function (bounds, options) {
 		options = options || {};
 		bounds = bounds.getBounds ? bounds.getBounds() : toLatLngBounds(bounds);
 		var paddingTL = toPoint(options.paddingTopLeft || options.padding || [0, 0]),
 		    paddingBR = toPoint(options.paddingBottomRight || options.padding || [0, 0]),
-		    zoom = this.getBoundsZoom(bounds, false, paddingTL.add(paddingBR));
+		    viewportPadding = this._getPaddingTopLeft().add(this._getPaddingBottomRight()),
+		    zoom = this.getBoundsZoom(bounds, false, paddingTL.add(paddingBR).add(viewportPadding));
 		zoom = (typeof options.maxZoom === 'number') ? Math.min(options.maxZoom, zoom) : zoom;
 		if (zoom === Infinity) {
 			return {
@@ -1814,7 +1866,7 @@
 				zoom: zoom
 			};
 		}
-		var paddingOffset = paddingBR.subtract(paddingTL).divideBy(2),
+		var paddingOffset = this._rotateOffset(paddingBR.subtract(paddingTL).divideBy(2), true),
 		    swPoint = this.project(bounds.getSouthWest(), zoom),
 		    nePoint = this.project(bounds.getNorthEast(), zoom),
 		    center = this.unproject(swPoint.add(nePoint).divideBy(2).add(paddingOffset), zoom);
@@ -1835,16 +1887,24 @@
 		return this.fitBounds([[-90, -180], [90, 180]], options);
 	},
 	panTo: function (center, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.panTo, arguments, 1);
+		}
 		return this.setView(center, this._zoom, {pan: options});
 	},
 	panBy: function (offset, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.panBy, arguments, 1);
+		}
 		offset = toPoint(offset).round();
 		options = options || {};
 		if (!offset.x && !offset.y) {
 			return this.fire('moveend');
 		}
+		this._stop();
+		var paneOffset = this._rotateOffset(offset, true);
 		if (options.animate !== true && !this.getSize().contains(offset)) {
-			this._resetView(this.unproject(this.project(this.getCenter()).add(offset)), this.getZoom());
+			this._resetView(this.unproject(this.project(this.getCenter()).add(paneOffset)), this.getZoom());
 			return this;
 		}
 		if (!this._panAnim) {
@@ -1859,15 +1919,18 @@
 		}
 		if (options.animate !== false) {
 			addClass(this._mapPane, 'atlas-pan-anim');
-			var newPos = this._getMapPanePos().subtract(offset).round();
+			var newPos = this._getMapPanePos().subtract(paneOffset).round();
 			this._panAnim.run(this._mapPane, newPos, options.duration || 0.25, options.easeLinearity);
 		} else {
-			this._rawPanBy(offset);
+			this._rawPanBy(paneOffset);
 			this.fire('move').fire('moveend');
 		}
 		return this;
 	},
 	flyTo: function (targetCenter, targetZoom, options) {
+		if (options && (options.promise || options.callback)) {
+			return this._trackView(this.flyTo, arguments, 2);
+		}
 		options = options || {};
 		if (options.animate === false || !Browser.any3d) {
 			return this.setView(targetCenter, targetZoom, options);
@@ -1901,12 +1964,13 @@
 		function w(s) { return w0 * (cosh(r0) / cosh(r0 + rho * s)); }
 		function u(s) { return w0 * (cosh(r0) * tanh(r0 + rho * s) - sinh(r0)) / rho2; }
 		function easeOut(t) { return 1 - Math.pow(1 - t, 1.5); }
-		var start = Date.now(),
+		var ease = options.easing || easeOut,
+		    start = Date.now(),
 		    S = (r(1) - r0) / rho,
 		    duration = options.duration ? 1000 * options.duration : 1000 * S * 0.8;
 		function frame() {
 			var t = (Date.now() - start) / duration,
-			    s = easeOut(t) * S;
+			    s = ease(t) * S;
 			if (t <= 1) {
 				this._flyToFrame = requestAnimFrame(frame, this);
 				this._move(
@@ -1914,9 +1978,11 @@
 					this.getScaleZoom(w0 / w(s), startZoom),
 					{flyTo: true});
 			} else {
+				this._flyToFrame = null;
 				this
 					._move(targetCenter, targetZoom)
-					._moveEnd(true);
+					._moveEnd(true)
+					._viewEnd('fly');
 			}
 		}
 		this._moveStart(true, options.noMoveStart);
@@ -1976,8 +2042,8 @@
 	},
 	panInside: function (latlng, options) {
 		options = options || {};
-		var paddingTL = toPoint(options.paddingTopLeft || options.padding || [0, 0]),
-		    paddingBR = toPoint(options.paddingBottomRight || options.padding || [0, 0]),
+		var paddingTL = toPoint(options.paddingTopLeft || options.padding || [0, 0]).add(this._getPaddingTopLeft()),
+		    paddingBR = toPoint(options.paddingBottomRight || options.padding || [0, 0]).add(this._getPaddingBottomRight()),
 		    pixelCenter = this.project(this.getCenter()),
 		    pixelPoint = this.project(latlng),
 		    pixelBounds = this.getPixelBounds(),
@@ -2007,9 +2073,10 @@
 		    oldCenter = oldSize.divideBy(2).round(),
 		    newCenter = newSize.divideBy(2).round(),
 		    offset = oldCenter.subtract(newCenter);
+		this._updatePaneRotation();
 		if (!offset.x && !offset.y) { return this; }
 		if (options.animate && options.pan) {
-			this.panBy(offset);
+			this.panBy(this._rotateOffset(offset));
 		} else {
 			if (options.pan) {
 				this._rawPanBy(offset);
@@ -2039,7 +2106,8 @@
 			timeout: 10000,
 			watch: false
 		}, options);
-		if (!('geolocation' in navigator)) {
+		var geolocation = this._geolocation = options.geolocation || navigator.geolocation;
+		if (!geolocation) {
 			this._handleGeolocationError({
 				code: 0,
 				message: 'Geolocation not supported.'
@@ -2050,15 +2118,16 @@
 		    onError = bind(this._handleGeolocationError, this);
 		if (options.watch) {
 			this._locationWatchId =
-			        navigator.geolocation.watchPosition(onResponse, onError, options);
+			        geolocation.watchPosition(onResponse, onError, options);
 		} else {
-			navigator.geolocation.getCurrentPosition(onResponse, onError, options);
+			geolocation.getCurrentPosition(onResponse, onError, options);
 		}
 		return this;
 	},
 	stopLocate: function () {
-		if (navigator.geolocation && navigator.geolocation.clearWatch) {
-			navigator.geolocation.clearWatch(this._locationWatchId);
+		var geolocation = this._geolocation || navigator.geolocation;
+		if (geolocation && geolocation.clearWatch) {
+			geolocation.clearWatch(this._locationWatchId);
 		}
 		if (this._locateOptions) {
 			this._locateOptions.setView = false;
@@ -2166,12 +2235,24 @@
 		if (this._lastCenter && !this._moved()) {
 			return this._lastCenter.clone();
 		}
-		return this.layerPointToLatLng(this._getCenterLayerPoint());
+		return this.layerPointToLatLng(this.containerPointToLayerPoint(this._getViewportCenter()));
 	},
 	getZoom: function () {
 		return this._zoom;
 	},
+	getBearing: function () {
+		return this._bearing;
+	},
+	getViewportPadding: function () {
+		return extend({}, this._viewportPadding);
+	},
 	getBounds: function () {
+		if (this._bearing) {
+			var size = this.getSize();
+			return new LatLngBounds(this.containerPointToLatLng([0, 0]), this.containerPointToLatLng(size))
+				.extend(this.containerPointToLatLng([size.x, 0]))
+				.extend(this.containerPointToLatLng([0, size.y]));
+		}
 		var bounds = this.getPixelBounds(),
 		    sw = this.unproject(bounds.getBottomLeft()),
 		    ne = this.unproject(bounds.getTopRight());
@@ -2194,7 +2275,7 @@
 		    nw = bounds.getNorthWest(),
 		    se = bounds.getSouthEast(),
 		    size = this.getSize().subtract(padding),
-		    boundsSize = toBounds(this.project(se, zoom), this.project(nw, zoom)).getSize(),
+		    boundsSize = this._getRotatedSize(toBounds(this.project(se, zoom), this.project(nw, zoom)).getSize()),
 		    snap = Browser.any3d ? this.options.zoomSnap : 1,
 		    scalex = size.x / boundsSize.x,
 		    scaley = size.y / boundsSize.y,
@@ -2272,10 +2353,20 @@
 		return this.options.crs.distance(toLatLng(latlng1), toLatLng(latlng2));
 	},
 	containerPointToLayerPoint: function (point) {
-		return toPoint(point).subtract(this._getMapPanePos());
+		point = toPoint(point);
+		if (this._bearing) {
+			var center = this.getSize()._divideBy(2);
+			point = this._rotateOffset(point.subtract(center), true)._add(center);
+		}
+		return point.subtract(this._getMapPanePos());
 	},
 	layerPointToContainerPoint: function (point) {
-		return toPoint(point).add(this._getMapPanePos());
+		point = toPoint(point).add(this._getMapPanePos());
+		if (this._bearing) {
+			var center = this.getSize()._divideBy(2);
+			point = this._rotateOffset(point._subtract(center))._add(center);
+		}
+		return point;
 	},
 	containerPointToLatLng: function (point) {
 		var layerPoint = this.containerPointToLayerPoint(toPoint(point));
@@ -2323,7 +2414,8 @@
 	_initPanes: function () {
 		var panes = this._panes = {};
 		this._paneRenderers = {};
-		this._mapPane = this.createPane('mapPane', this._container);
+		this._rotatePane = this.createPane('rotatePane', this._container);
+		this._mapPane = this.createPane('mapPane', this._rotatePane);
 		setPosition(this._mapPane, new Point(0, 0));
 		this.createPane('tilePane');
 		this.createPane('overlayPane');
@@ -2385,16 +2477,91 @@
 		}
 		return this.fire('moveend');
 	},
+	_viewEnd: function (type) {
+		if (this._viewDone && this._viewType === type) {
+			this._viewDone(false);
+		}
+		return this;
+	},
 	_stop: function () {
+		if (this._viewDone) {
+			this._viewDone(true);
+		}
 		cancelAnimFrame(this._flyToFrame);
+		this._flyToFrame = null;
 		if (this._panAnim) {
 			this._panAnim.stop();
 		}
+		if (this.scrollWheelZoom && this.scrollWheelZoom._smoothZooming) {
+			this.scrollWheelZoom._cancelSmoothZoom();
+		}
 		return this;
 	},
+	_trackView: function (method, args, index) {
+		var options = args[index],
+		    callback = options.callback,
+		    settled = false,
+		    resolve, promise;
+		if (options.promise) {
+			promise = new Promise(function (res) {
+				resolve = res;
+			});
+		}
+		var done = bind(function (cancelled) {
+			if (settled) { return; }
+			settled = true;
+			if (this._viewDone === done) {
+				this._viewDone = null;
+			}
+			var result = {cancelled: cancelled};
+			if (callback) {
+				callback.call(this, result);
+			}
+			if (resolve) {
+				resolve(result);
+			}
+		}, this);
+		var onMoveEnd = function () {
+			done(false);
+		};
+		this._stop();
+		args = Array.prototype.slice.call(args);
+		args[index] = extend({}, options, {promise: false, callback: null});
+		this.on('moveend', onMoveEnd);
+		method.apply(this, args);
+		this.off('moveend', onMoveEnd);
+		if (!this._loaded) {
+			done(false);
+		}
+		if (!settled) {
+			this._viewDone = done;
+			this._viewType = this._flyToFrame ? 'fly' :
+				this._panAnim && this._panAnim._inProgress ? 'pan' : 'zoom';
+		}
+		return promise || this;
+	},
 	_rawPanBy: function (offset) {
 		setPosition(this._mapPane, this._getMapPanePos().subtract(offset));
 	},
+	_updatePaneRotation: function () {
+		setRotation(this._rotatePane, -this._bearing, this.getSize()._divideBy(2));
+	},
+	_rotateOffset: function (offset, inverse) {
+		offset = toPoint(offset);
+		if (!this._bearing) { return offset.clone(); }
+		var angle = (inverse ? this._bearing : -this._bearing) * Math.PI / 180,
+		    cos = Math.cos(angle),
+		    sin = Math.sin(angle);
+		return new Point(offset.x * cos - offset.y * sin, offset.x * sin + offset.y * cos);
+	},
+	_getRotatedSize: function (size) {
+		size = size || this.getSize();
+		if (!this._bearing) { return size; }
+		var angle = this._bearing * Math.PI / 180,
+		    cos = Math.abs(Math.cos(angle)),
+		    sin = Math.abs(Math.sin(angle));
+		return new Point(size.x * cos + size.y * sin, size.x * sin + size.y * cos);
+	},
 	_getZoomSpan: function () {
 		return this.getMaxZoom() - this.getMinZoom();
 	},
@@ -2547,7 +2714,7 @@
 		return pixelOrigin.subtract(this._getMapPanePos());
 	},
 	_getNewPixelOrigin: function (center, zoom) {
-		var viewHalf = this.getSize()._divideBy(2);
+		var viewHalf = this.getSize()._divideBy(2)._add(this._rotateOffset(this._getPaddingOffset(), true));
 		return this.project(center, zoom)._subtract(viewHalf)._add(this._getMapPanePos())._round();
 	},
 	_latLngToNewLayerPoint: function (latlng, zoom, center) {
@@ -2567,13 +2734,39 @@
 		return this.containerPointToLayerPoint(this.getSize()._divideBy(2));
 	},
 	_getCenterOffset: function (latlng) {
-		return this.latLngToLayerPoint(latlng).subtract(this._getCenterLayerPoint());
+		return this._rotateOffset(this.latLngToLayerPoint(latlng)
+			.subtract(this.containerPointToLayerPoint(this._getViewportCenter())));
+	},
+	_toViewportPadding: function (padding) {
+		padding = padding || 0;
+		if (typeof padding === 'number') {
+			return {top: padding, right: padding, bottom: padding, left: padding};
+		}
+		return {
+			top: padding.top || 0,
+			right: padding.right || 0,
+			bottom: padding.bottom || 0,
+			left: padding.left || 0
+		};
+	},
+	_getPaddingTopLeft: function () {
+		return new Point(this._viewportPadding.left, this._viewportPadding.top);
+	},
+	_getPaddingBottomRight: function () {
+		return new Point(this._viewportPadding.right, this._viewportPadding.bottom);
+	},
+	_getPaddingOffset: function () {
+		return this._getPaddingTopLeft()._subtract(this._getPaddingBottomRight())._divideBy(2);
+	},
+	_getViewportCenter: function () {
+		return this.getSize()._divideBy(2)._add(this._getPaddingOffset());
 	},
 	_limitCenter: function (center, zoom, bounds) {
 		if (!bounds) { return center; }
 		var centerPoint = this.project(center, zoom),
-		    viewHalf = this.getSize().divideBy(2),
-		    viewBounds = new Bounds(centerPoint.subtract(viewHalf), centerPoint.add(viewHalf)),
+		    viewCenter = centerPoint.subtract(this._rotateOffset(this._getPaddingOffset(), true)),
+		    viewHalf = this._getRotatedSize().divideBy(2),
+		    viewBounds = new Bounds(viewCenter.subtract(viewHalf), viewCenter.add(viewHalf)),
 		    offset = this._getBoundsOffset(viewBounds, bounds, zoom);
 		if (Math.abs(offset.x) <= 1 && Math.abs(offset.y) <= 1) {
 			return center;
@@ -2617,6 +2810,7 @@
 	_onPanTransitionEnd: function () {
 		removeClass(this._mapPane, 'atlas-pan-anim');
 		this.fire('moveend');
+		this._viewEnd('pan');
 	},
 	_tryAnimatedPan: function (center, options) {
 		var offset = this._getCenterOffset(center)._trunc();
@@ -2703,11 +2897,282 @@
 		delete this._tempFireZoomEvent;
 		this.fire('move');
 		this._moveEnd(true);
+		this._viewEnd('zoom');
 	}
   });
   function createMap(id, options) {
 	return new Map(id, options);
   }
+  var locales = {
+	en: {
+		zoomIn: 'Zoom in',
+		zoomOut: 'Zoom out',
+		zoomLevel: 'Zoom level',
+		resetBearing: 'Reset bearing',
+		layers: 'Layers',
+		closeSidebar: 'Close sidebar',
+		copyCoordinates: 'Copy coordinates',
+		pinCoordinates: 'Pin coordinates',
+		goToCoordinates: 'Go to coordinates',
+		coordinateFormat: 'Coordinate format',
+		search: 'Search',
+		noResults: 'No results found',
+		measure: 'Measure distances and areas',
+		measureStart: 'Click to start measuring',
+		measureContinue: 'Click to continue, click the last point to finish',
+		measureSegment: 'Segment',
+		measureTotal: 'Total',
+		measureArea: 'Area',
+		measureLine: 'Distance',
+		measurePolygon: 'Area',
+		metric: 'Metric',
+		imperial: 'Imperial',
+		nautical: 'Nautical',
+		locate: 'Show my location',
+		fullscreen: 'View fullscreen',
+		exitFullscreen: 'Exit fullscreen',
+		attribution: 'Attribution',
+		filterLayers: 'Filter layers',
+		opacity: 'Opacity',
+		closePopup: 'Close popup',
+		attributionTitle: 'A JavaScript library for interactive maps',
+		viewAnnouncement: 'Zoomed to {zoom}, centered near {lat}, {lng}',
+		featureAnnouncement: '{label}, {index} of {count}',
+		unnamedFeature: 'Unnamed feature',
+		noFeatures: 'No features in view',
+		m: 'm',
+		km: 'km',
+		ft: 'ft',
+		mi: 'mi',
+		nmi: 'nmi',
+		ac: 'ac'
+	},
+	fr: {
+		zoomIn: 'Zoom avant',
+		zoomOut: 'Zoom arrière',
+		zoomLevel: 'Niveau de zoom',
+		resetBearing: 'Réinitialiser l’orientation',
+		layers: 'Couches',
+		closeSidebar: 'Fermer le panneau',
+		copyCoordinates: 'Copier les coordonnées',
+		pinCoordinates: 'Épingler les coordonnées',
+		goToCoordinates: 'Aller aux coordonnées',
+		coordinateFormat: 'Format des coordonnées',
+		search: 'Rechercher',
+		noResults: 'Aucun résultat',
+		measure: 'Mesurer des distances et des surfaces',
+		measureStart: 'Cliquez pour commencer la mesure',
+		measureContinue: 'Cliquez pour continuer, cliquez sur le dernier point pour terminer',
+		measureSegment: 'Segment',
+		measureTotal: 'Total',
+		measureArea: 'Surface',
+		measureLine: 'Distance',
+		measurePolygon: 'Surface',
+		metric: 'Métrique',
+		imperial: 'Impérial',
+		nautical: 'Nautique',
+		locate: 'Afficher ma position',
+		fullscreen: 'Plein écran',
+		exitFullscreen: 'Quitter le plein écran',
+		attribution: 'Attribution',
+		filterLayers: 'Filtrer les couches',
+		opacity: 'Opacité',
+		closePopup: 'Fermer la fenêtre',
+		attributionTitle: 'Une bibliothèque JavaScript pour les cartes interactives',
+		viewAnnouncement: 'Zoom {zoom}, centré près de {lat}, {lng}',
+		featureAnnouncement: '{label}, {index} sur {count}',
+		unnamedFeature: 'Élément sans nom',
+		noFeatures: 'Aucun élément visible'
+	},
+	es: {
+		zoomIn: 'Acercar',
+		zoomOut: 'Alejar',
+		zoomLevel: 'Nivel de zoom',
+		resetBearing: 'Restablecer orientación',
+		layers: 'Capas',
+		closeSidebar: 'Cerrar panel lateral',
+		copyCoordinates: 'Copiar coordenadas',
+		pinCoordinates: 'Fijar coordenadas',
+		goToCoordinates: 'Ir a coordenadas',
+		coordinateFormat: 'Formato de coordenadas',
+		search: 'Buscar',
+		noResults: 'No se encontraron resultados',
+		measure: 'Medir distancias y áreas',
+		measureStart: 'Haga clic para empezar a medir',
+		measureContinue: 'Haga clic para continuar, clic en el último punto para terminar',
+		measureSegment: 'Tramo',
+		measureTotal: 'Total',
+		measureArea: 'Área',
+		measureLine: 'Distancia',
+		measurePolygon: 'Área',
+		metric: 'Métrico',
+		imperial: 'Imperial',
+		nautical: 'Náutico',
+		locate: 'Mostrar mi ubicación',
+		fullscreen: 'Pantalla completa',
+		exitFullscreen: 'Salir de pantalla completa',
+		attribution: 'Atribución',
+		filterLayers: 'Filtrar capas',
+		opacity: 'Opacidad',
+		closePopup: 'Cerrar ventana emergente',
+		attributionTitle: 'Una biblioteca JavaScript para mapas interactivos',
+		viewAnnouncement: 'Zoom {zoom}, centrado cerca de {lat}, {lng}',
+		featureAnnouncement: '{label}, {index} de {count}',
+		unnamedFeature: 'Elemento sin nombre',
+		noFeatures: 'No hay elementos visibles'
+	},
+	de: {
+		zoomIn: 'Hineinzoomen',
+		zoomOut: 'Herauszoomen',
+		zoomLevel: 'Zoomstufe',
+		resetBearing: 'Ausrichtung zurücksetzen',
+		layers: 'Ebenen',
+		closeSidebar: 'Seitenleiste schließen',
+		copyCoordinates: 'Koordinaten kopieren',
+		pinCoordinates: 'Koordinaten anheften',
+		goToCoordinates: 'Zu Koordinaten springen',
+		coordinateFormat: 'Koordinatenformat',
+		search: 'Suchen',
+		noResults: 'Keine Ergebnisse gefunden',
+		measure: 'Strecken und Flächen messen',
+		measureStart: 'Klicken, um die Messung zu beginnen',
+		measureContinue: 'Klicken zum Fortsetzen, letzten Punkt anklicken zum Beenden',
+		measureSegment: 'Abschnitt',
+		measureTotal: 'Gesamt',
+		measureArea: 'Fläche',
+		measureLine: 'Strecke',
+		measurePolygon: 'Fläche',
+		metric: 'Metrisch',
+		imperial: 'Imperial',
+		nautical: 'Nautisch',
+		locate: 'Meinen Standort anzeigen',
+		fullscreen: 'Vollbild',
+		exitFullscreen: 'Vollbild beenden',
+		attribution: 'Quellenangaben',
+		filterLayers: 'Ebenen filtern',
+		opacity: 'Deckkraft',
+		closePopup: 'Popup schließen',
+		attributionTitle: 'Eine JavaScript-Bibliothek für interaktive Karten',
+		viewAnnouncement: 'Zoomstufe {zoom}, zentriert nahe {lat}, {lng}',
+		featureAnnouncement: '{label}, {index} von {count}',
+		unnamedFeature: 'Unbenanntes Objekt',
+		noFeatures: 'Keine Objekte sichtbar'
+	},
+	ar: {
+		dir: 'rtl',
+		zoomIn: 'تكبير',
+		zoomOut: 'تصغير',
+		zoomLevel: 'مستوى التكبير',
+		resetBearing: 'إعادة ضبط الاتجاه',
+		layers: 'الطبقات',
+		closeSidebar: 'إغلاق الشريط الجانبي',
+		copyCoordinates: 'نسخ الإحداثيات',
+		pinCoordinates: 'تثبيت الإحداثيات',
+		goToCoordinates: 'الانتقال إلى الإحداثيات',
+		coordinateFormat: 'تنسيق الإحداثيات',
+		search: 'بحث',
+		noResults: 'لا توجد نتائج',
+		measure: 'قياس المسافات والمساحات',
+		measureStart: 'انقر لبدء القياس',
+		measureContinue: 'انقر للمتابعة، وانقر على النقطة الأخيرة للإنهاء',
+		measureSegment: 'المقطع',
+		measureTotal: 'المجموع',
+		measureArea: 'المساحة',
+		measureLine: 'المسافة',
+		measurePolygon: 'المساحة',
+		metric: 'متري',
+		imperial: 'إمبراطوري',
+		nautical: 'بحري',
+		locate: 'إظهار موقعي',
+		fullscreen: 'ملء الشاشة',
+		exitFullscreen: 'الخروج من ملء الشاشة',
+		attribution: 'الإسناد',
+		filterLayers: 'تصفية الطبقات',
+		opacity: 'الشفافية',
+		closePopup: 'إغلاق النافذة المنبثقة',
+		attributionTitle: 'مكتبة جافاسكريبت للخرائط التفاعلية',
+		viewAnnouncement: 'التكبير {zoom}، المركز قرب {lat}، {lng}',
+		featureAnnouncement: '{label}، {index} من {count}',
+		unnamedFeature: 'عنصر بدون اسم',
+		noFeatures: 'لا توجد عناصر مرئية',
+		m: 'م',
+		km: 'كم',
+		ft: 'قدم',
+		mi: 'ميل',
+		nmi: 'ميل بحري'
+	}
+  };
+  var defaultLocale = 'en',
+      localeEvents = new Evented();
+  function getLocaleStrings(code) {
+	return code ? locales[code] || locales[code.split('-')[0]] : null;
+  }
+  function addLocale(code, strings) {
+	locales[code] = extend({}, locales[code], strings);
+	return locales[code];
+  }
+  function setLocale(code) {
+	if (!getLocaleStrings(code)) {
+		throw new Error('Unknown locale: ' + code);
+	}
+	defaultLocale = code;
+	localeEvents.fire('localechange', {locale: code});
+	return code;
+  }
+  function getLocale() {
+	return defaultLocale;
+  }
+  Map.mergeOptions({
+	locale: null
+  });
+  Map.addInitHook(function () {
+	this._updateLocaleDir();
+	localeEvents.on('localechange', this._onDefaultLocaleChange, this);
+	this._on('unload', function () {
+		localeEvents.off('localechange', this._onDefaultLocaleChange, this);
+	}, this);
+  });
+  Map.include({
+	getLocale: function () {
+		return this.options.locale || defaultLocale;
+	},
+	setLocale: function (code) {
+		if (!getLocaleStrings(code)) {
+			throw new Error('Unknown locale: ' + code);
+		}
+		this.options.locale = code;
+		this._updateLocaleDir();
+		return this.fire('localechange', {locale: code});
+	},
+	translate: function (key) {
+		var strings = getLocaleStrings(this.getLocale()) || locales.en;
+		return key in strings ? strings[key] :
+			key in locales.en ? locales.en[key] : key;
+	},
+	formatNumber: function (value, options) {
+		if (typeof Intl !== 'undefined' && Intl.NumberFormat) {
+			try {
+				return new Intl.NumberFormat(this.getLocale(), options).format(value);
+			} catch (e) {}
+		}
+		return String(value);
+	},
+	isRTL: function () {
+		return this.translate('dir') === 'rtl';
+	},
+	_onDefaultLocaleChange: function (e) {
+		if (this.options.locale) { return; }
+		this._updateLocaleDir();
+		this.fire('localechange', {locale: e.locale});
+	},
+	_updateLocaleDir: function () {
+		if (this.isRTL()) {
+			addClass(this._container, 'atlas-rtl');
+		} else {
+			removeClass(this._container, 'atlas-rtl');
+		}
+	}
+  });
   var Control = Class.extend({
 	options: {
 		position: 'topright'
@@ -2737,7 +3202,7 @@
 		this._map = map;
 		var container = this._container = this.onAdd(map),
 		    pos = this.getPosition(),
-		    corner = map._controlCorners[pos];
+		    corner = map._controlCorners[pos] || map._controlContainer;
 		addClass(container, 'atlas-control');
 		if (pos.indexOf('bottom') !== -1) {
 			corner.insertBefore(container, corner.firstChild);
@@ -2809,21 +3274,26 @@
 		sortLayers: false,
 		sortFunction: function (layerA, layerB, nameA, nameB) {
 			return nameA < nameB ? -1 : (nameB < nameA ? 1 : 0);
-		}
+		},
+		groups: {},
+		opacityControls: false,
+		reorder: false,
+		filter: false
 	},
 	initialize: function (baseLayers, overlays, options) {
 		setOptions(this, options);
 		this._layerControlInputs = [];
 		this._layers = [];
+		this._items = {};
+		this._groupElements = {};
+		this._collapsedGroups = {};
 		this._lastZIndex = 0;
 		this._handlingClick = false;
 		this._preventClick = false;
 		for (var i in baseLayers) {
 			this._addLayer(baseLayers[i], i);
 		}
-		for (i in overlays) {
-			this._addLayer(overlays[i], i, true);
-		}
+		this._addOverlays(overlays, []);
 	},
 	onAdd: function (map) {
 		this._initLayout();
@@ -2849,8 +3319,8 @@
 		this._addLayer(layer, name);
 		return (this._map) ? this._update() : this;
 	},
-	addOverlay: function (layer, name) {
-		this._addLayer(layer, name, true);
+	addOverlay: function (layer, name, options) {
+		this._addLayer(layer, name, true, options);
 		return (this._map) ? this._update() : this;
 	},
 	removeLayer: function (layer) {
@@ -2895,7 +3365,7 @@
 		}
 		var link = this._layersLink = create$1('a', className + '-toggle', container);
 		link.href = '#';
-		link.title = 'Layers';
+		link.title = this._map.translate('layers');
 		link.setAttribute('role', 'button');
 		on(link, {
 			keydown: function (e) {
@@ -2911,6 +3381,13 @@
 		if (!collapsed) {
 			this.expand();
 		}
+		if (this.options.filter) {
+			var filter = this._filterInput = create$1('input', className + '-filter', section);
+			filter.type = 'search';
+			filter.placeholder = this._map.translate('filterLayers');
+			filter.setAttribute('aria-label', filter.placeholder);
+			on(filter, 'input', this._applyFilter, this);
+		}
 		this._baseLayersList = create$1('div', className + '-base', section);
 		this._separator = create$1('div', className + '-separator', section);
 		this._overlaysList = create$1('div', className + '-overlays', section);
@@ -2923,14 +3400,27 @@
 			}
 		}
 	},
-	_addLayer: function (layer, name, overlay) {
+	_addOverlays: function (overlays, group) {
+		for (var name in overlays) {
+			if (overlays[name] instanceof Layer) {
+				this._addLayer(overlays[name], name, true, {group: group});
+			} else {
+				this._addOverlays(overlays[name], group.concat(name));
+			}
+		}
+	},
+	_addLayer: function (layer, name, overlay, options) {
+		options = options || {};
 		if (this._map) {
 			layer.on('add remove', this._onLayerChange, this);
 		}
+		var group = options.group || [];
 		this._layers.push({
 			layer: layer,
 			name: name,
-			overlay: overlay
+			overlay: overlay,
+			group: isArray(group) ? group : group.split('/'),
+			legend: options.legend
 		});
 		if (this.options.sortLayers) {
 			this._layers.sort(bind(function (a, b) {
@@ -2948,6 +3438,8 @@
 		empty(this._baseLayersList);
 		empty(this._overlaysList);
 		this._layerControlInputs = [];
+		this._items = {};
+		this._groupElements = {};
 		var baseLayersPresent, overlaysPresent, i, obj, baseLayersCount = 0;
 		for (i = 0; i < this._layers.length; i++) {
 			obj = this._layers[i];
@@ -2961,6 +3453,7 @@
 			this._baseLayersList.style.display = baseLayersPresent ? '' : 'none';
 		}
 		this._separator.style.display = overlaysPresent && baseLayersPresent ? '' : 'none';
+		this._applyFilter();
 		return this;
 	},
 	_onLayerChange: function (e) {
@@ -3002,13 +3495,169 @@
 		var holder = document.createElement('span');
 		label.appendChild(holder);
 		holder.appendChild(input);
+		this._addLegend(obj, holder);
 		holder.appendChild(name);
-		var container = obj.overlay ? this._overlaysList : this._baseLayersList;
-		container.appendChild(label);
+		var container = obj.overlay ? this._getGroupList(obj.group) : this._baseLayersList,
+		    item = create$1('div', 'atlas-control-layers-item', container);
+		item.appendChild(label);
+		this._items[input.layerId] = item;
+		if (obj.overlay && this.options.opacityControls && obj.layer.setOpacity) {
+			this._addOpacitySlider(obj, item);
+		}
+		if (obj.overlay && this.options.reorder && !this.options.sortLayers) {
+			this._makeDraggable(obj, item);
+		}
 		this._checkDisabledLayers();
 		return label;
 	},
-	_onInputClick: function () {
+	_getGroupList: function (group) {
+		if (!group.length) {
+			return this._overlaysList;
+		}
+		var key = group.join('/');
+		if (this._groupElements[key]) {
+			return this._groupElements[key].list;
+		}
+		var className = 'atlas-control-layers-group',
+		    parent = this._getGroupList(group.slice(0, -1)),
+		    element = create$1('div', className, parent),
+		    header = create$1('a', className + '-header', element),
+		    list = create$1('div', className + '-list', element);
+		header.href = '#';
+		header.setAttribute('role', 'button');
+		header.innerHTML = group[group.length - 1];
+		if (!(key in this._collapsedGroups)) {
+			this._collapsedGroups[key] = !!(this.options.groups[key] || {}).collapsed;
+		}
+		this._groupElements[key] = {element: element, header: header, list: list};
+		this._setGroupCollapsed(key, this._collapsedGroups[key]);
+		on(header, 'click', function (e) {
+			preventDefault(e);
+			this._setGroupCollapsed(key, !this._collapsedGroups[key]);
+		}, this);
+		return list;
+	},
+	_setGroupCollapsed: function (key, collapsed) {
+		var group = this._groupElements[key];
+		this._collapsedGroups[key] = collapsed;
+		if (collapsed) {
+			addClass(group.element, 'atlas-control-layers-group-collapsed');
+		} else {
+			removeClass(group.element, 'atlas-control-layers-group-collapsed');
+		}
+		group.header.setAttribute('aria-expanded', !collapsed);
+	},
+	_isExclusive: function (group) {
+		return !!(group.length && (this.options.groups[group.join('/')] || {}).exclusive);
+	},
+	_addLegend: function (obj, holder) {
+		var legend = obj.legend,
+		    style = obj.layer.options;
+		if (!legend && obj.overlay && style && style.stroke !== undefined) {
+			legend = (style.fill && style.fillColor) || style.color;
+		}
+		if (!legend) { return; }
+		var swatch = create$1('span', 'atlas-control-layers-legend', holder);
+		if (legend.charAt(0) === '<') {
+			swatch.innerHTML = legend;
+		} else {
+			swatch.style.background = legend;
+		}
+	},
+	_addOpacitySlider: function (obj, item) {
+		var slider = create$1('input', 'atlas-control-layers-opacity', item),
+		    opacity = obj.layer.options.opacity;
+		slider.type = 'range';
+		slider.min = 0;
+		slider.max = 1;
+		slider.step = 0.05;
+		slider.value = opacity !== undefined ? opacity : 1;
+		slider.setAttribute('aria-label', this._map.translate('opacity') + ': ' + obj.name);
+		on(slider, 'input change', function () {
+			obj.layer.setOpacity(+slider.value);
+		});
+		on(slider, 'mousedown touchstart', stopPropagation);
+	},
+	_makeDraggable: function (obj, item) {
+		item.draggable = true;
+		on(item, {
+			dragstart: function (e) {
+				this._dragged = obj;
+				addClass(item, 'atlas-control-layers-dragging');
+				if (e.dataTransfer) {
+					e.dataTransfer.effectAllowed = 'move';
+					e.dataTransfer.setData('text/plain', obj.name);
+				}
+			},
+			dragover: function (e) {
+				if (this._canDropOn(obj)) {
+					preventDefault(e);
+				}
+			},
+			drop: function (e) {
+				preventDefault(e);
+				this._moveLayer(this._dragged, obj);
+			},
+			dragend: function () {
+				removeClass(item, 'atlas-control-layers-dragging');
+				this._dragged = null;
+			}
+		}, this);
+	},
+	_canDropOn: function (obj) {
+		var dragged = this._dragged;
+		return !!dragged && dragged !== obj && dragged.group.join('/') === obj.group.join('/');
+	},
+	_moveLayer: function (dragged, target) {
+		if (!this._canDropOn(target)) { return; }
+		this._dragged = null;
+		var layers = this._layers,
+		    from = indexOf(layers, dragged),
+		    to = indexOf(layers, target);
+		layers.splice(from, 1);
+		layers.splice(to, 0, dragged);
+		this._applyOrder();
+		this._update();
+	},
+	_applyOrder: function () {
+		var overlays = [], obj;
+		this._lastZIndex = 0;
+		for (var i = this._layers.length - 1; i >= 0; i--) {
+			obj = this._layers[i];
+			if (!obj.overlay) { continue; }
+			if (obj.layer.setZIndex) {
+				obj.layer.setZIndex(++this._lastZIndex);
+			} else if (obj.layer.bringToFront && this._map.hasLayer(obj.layer)) {
+				obj.layer.bringToFront();
+			}
+			overlays.unshift(obj.layer);
+		}
+		this._map.fire('overlayreorder', {layers: overlays});
+	},
+	_applyFilter: function () {
+		if (!this._filterInput) { return; }
+		var query = this._filterInput.value.toLowerCase(),
+		    id, item, key, group, items, visible, i;
+		for (id in this._items) {
+			item = this._items[id];
+			item.style.display = !query || item.textContent.toLowerCase().indexOf(query) !== -1 ? '' : 'none';
+		}
+		for (key in this._groupElements) {
+			group = this._groupElements[key];
+			items = group.list.getElementsByClassName('atlas-control-layers-item');
+			visible = !query;
+			for (i = 0; i < items.length && !visible; i++) {
+				visible = items[i].style.display !== 'none';
+			}
+			group.element.style.display = visible ? '' : 'none';
+		}
+		if (query) {
+			addClass(this._section, 'atlas-control-layers-filtering');
+		} else {
+			removeClass(this._section, 'atlas-control-layers-filtering');
+		}
+	},
+	_onInputClick: function (e) {
 		if (this._preventClick) {
 			return;
 		}
@@ -3016,6 +3665,7 @@
 		    input, layer;
 		var addedLayers = [],
 		    removedLayers = [];
+		this._uncheckExclusive(e && e.target);
 		this._handlingClick = true;
 		for (var i = inputs.length - 1; i >= 0; i--) {
 			input = inputs[i];
@@ -3039,6 +3689,19 @@
 		this._handlingClick = false;
 		this._refocusOnMap();
 	},
+	_uncheckExclusive: function (clicked) {
+		var obj = clicked && clicked.checked && this._getLayer(clicked.layerId);
+		if (!obj || !obj.overlay || !this._isExclusive(obj.group)) { return; }
+		var key = obj.group.join('/'),
+		    inputs = this._layerControlInputs,
+		    other;
+		for (var i = 0; i < inputs.length; i++) {
+			other = this._getLayer(inputs[i].layerId);
+			if (inputs[i] !== clicked && other.overlay && other.group.join('/') === key) {
+				inputs[i].checked = false;
+			}
+		}
+	},
 	_checkDisabledLayers: function () {
 		var inputs = this._layerControlInputs,
 		    input,
@@ -3076,24 +3739,35 @@
 	options: {
 		position: 'topleft',
 		zoomInText: '<span aria-hidden="true">+</span>',
-		zoomInTitle: 'Zoom in',
+		zoomInTitle: null,
 		zoomOutText: '<span aria-hidden="true">&#x2212;</span>',
-		zoomOutTitle: 'Zoom out'
+		zoomOutTitle: null,
+		compass: true,
+		compassText: '<span aria-hidden="true">&#x2191;</span>',
+		compassTitle: null
 	},
 	onAdd: function (map) {
 		var zoomName = 'atlas-control-zoom',
 		    container = create$1('div', zoomName + ' atlas-bar'),
 		    options = this.options;
-		this._zoomInButton  = this._createButton(options.zoomInText, options.zoomInTitle,
+		this._zoomInButton  = this._createButton(options.zoomInText, this._getTitle('zoomIn'),
 		        zoomName + '-in',  container, this._zoomIn);
-		this._zoomOutButton = this._createButton(options.zoomOutText, options.zoomOutTitle,
+		this._zoomOutButton = this._createButton(options.zoomOutText, this._getTitle('zoomOut'),
 		        zoomName + '-out', container, this._zoomOut);
 		this._updateDisabled();
 		map.on('zoomend zoomlevelschange', this._updateDisabled, this);
+		map.on('localechange', this._updateTitles, this);
+		if (options.compass) {
+			this._compassButton = null;
+			this._updateCompass();
+			map.on('rotate', this._updateCompass, this);
+		}
 		return container;
 	},
 	onRemove: function (map) {
 		map.off('zoomend zoomlevelschange', this._updateDisabled, this);
+		map.off('rotate', this._updateCompass, this);
+		map.off('localechange', this._updateTitles, this);
 	},
 	disable: function () {
 		this._disabled = true;
@@ -3115,6 +3789,35 @@
 			this._map.zoomOut(this._map.options.zoomDelta * (e.shiftKey ? 3 : 1));
 		}
 	},
+	_resetBearing: function () {
+		this._map.setBearing(0);
+	},
+	_getTitle: function (key) {
+		var option = this.options[key === 'resetBearing' ? 'compassTitle' : key + 'Title'];
+		return option || this._map.translate(key);
+	},
+	_updateTitles: function () {
+		var buttons = [[this._zoomInButton, 'zoomIn'], [this._zoomOutButton, 'zoomOut'], [this._compassButton, 'resetBearing']];
+		for (var i = 0; i < buttons.length; i++) {
+			if (buttons[i][0]) {
+				buttons[i][0].title = this._getTitle(buttons[i][1]);
+				buttons[i][0].setAttribute('aria-label', buttons[i][0].title);
+			}
+		}
+	},
+	_updateCompass: function () {
+		var bearing = this._map.getBearing();
+		if (bearing && !this._compassButton) {
+			this._compassButton = this._createButton(this.options.compassText, this._getTitle('resetBearing'),
+			        'atlas-control-zoom-compass', this._zoomOutButton.parentNode, this._resetBearing);
+		} else if (!bearing && this._compassButton) {
+			remove(this._compassButton);
+			this._compassButton = null;
+		}
+		if (this._compassButton && this._compassButton.firstChild) {
+			this._compassButton.firstChild.style[TRANSFORM] = 'rotate(' + -bearing + 'deg)';
+		}
+	},
 	_createButton: function (html, title, className, container, fn) {
 		var link = create$1('a', className, container);
 		link.innerHTML = html;
@@ -3157,24 +3860,208 @@
   var zoom = function (options) {
 	return new Zoom(options);
   };
+  var ZoomSlider = Zoom.extend({
+	options: {
+		sliderHeight: 120,
+		readout: true,
+		zoomLevelTitle: null
+	},
+	onAdd: function (map) {
+		var container = Zoom.prototype.onAdd.call(this, map),
+		    className = 'atlas-control-zoomslider',
+		    slider = this._slider = create$1('div', className),
+		    track = this._track = create$1('div', className + '-track', slider);
+		this._knob = create$1('div', className + '-knob', track);
+		track.style.height = this.options.sliderHeight + 'px';
+		slider.tabIndex = 0;
+		slider.setAttribute('role', 'slider');
+		slider.setAttribute('aria-orientation', 'vertical');
+		container.insertBefore(slider, this._zoomOutButton);
+		if (this.options.readout) {
+			this._readout = create$1('div', className + '-readout');
+			container.insertBefore(this._readout, this._zoomOutButton);
+		}
+		disableClickPropagation(slider);
+		on(track, 'click', this._onTrackClick, this);
+		on(slider, 'keydown', this._onKeyDown, this);
+		this._draggable = new Draggable(this._knob);
+		this._draggable.on({
+			predrag: this._onPredrag,
+			drag: this._onDrag,
+			dragend: this._onDragEnd
+		}, this);
+		this._updateDisabled();
+		map.on('zoomanim', this._onZoomAnim, this);
+		map.on('zoomend', this._onZoomEnd, this);
+		map.on('zoom zoomend zoomlevelschange localechange', this._updateSlider, this);
+		map.whenReady(this._updateSlider, this);
+		return container;
+	},
+	onRemove: function (map) {
+		Zoom.prototype.onRemove.call(this, map);
+		map.off('zoomanim', this._onZoomAnim, this);
+		map.off('zoomend', this._onZoomEnd, this);
+		map.off('zoom zoomend zoomlevelschange localechange', this._updateSlider, this);
+		this._draggable.disable();
+	},
+	_getRange: function () {
+		var min = this._map.getMinZoom(),
+		    max = this._map.getMaxZoom();
+		return isFinite(min) && isFinite(max) ? {min: min, max: max} : null;
+	},
+	_zoomToPos: function (zoom) {
+		var range = this._getRange();
+		if (!range || range.max === range.min) { return 0; }
+		return (range.max - zoom) / (range.max - range.min) * this.options.sliderHeight;
+	},
+	_posToZoom: function (y) {
+		var range = this._getRange();
+		if (!range) { return this._map.getZoom(); }
+		return this._map._limitZoom(range.max - y / this.options.sliderHeight * (range.max - range.min));
+	},
+	_setKnob: function (zoom) {
+		setPosition(this._knob, new Point(0, Math.round(this._zoomToPos(zoom))));
+	},
+	_setValue: function (zoom) {
+		var slider = this._slider,
+		    range = this._getRange(),
+		    text = this._map.formatNumber(zoom, {maximumFractionDigits: 2});
+		slider.setAttribute('aria-label', this._getTitle('zoomLevel'));
+		slider.setAttribute('aria-valuemin', range.min);
+		slider.setAttribute('aria-valuemax', range.max);
+		slider.setAttribute('aria-valuenow', zoom);
+		slider.setAttribute('aria-valuetext', text);
+		if (this._readout) {
+			this._readout.innerHTML = text;
+		}
+	},
+	_updateSlider: function () {
+		var map = this._map,
+		    range = map._loaded && this._getRange();
+		if (!map._loaded) { return; }
+		this._slider.style.display = range ? '' : 'none';
+		if (!range) { return; }
+		if (!this._draggable._moving) {
+			this._setKnob(map.getZoom());
+		}
+		this._setValue(map.getZoom());
+	},
+	_onZoomAnim: function (e) {
+		if (!this._getRange()) { return; }
+		addClass(this._slider, 'atlas-control-zoomslider-anim');
+		this._setKnob(e.zoom);
+		this._setValue(e.zoom);
+	},
+	_onZoomEnd: function () {
+		removeClass(this._slider, 'atlas-control-zoomslider-anim');
+	},
+	_onPredrag: function () {
+		var pos = this._draggable._newPos;
+		pos.x = 0;
+		pos.y = Math.max(0, Math.min(this.options.sliderHeight, pos.y));
+	},
+	_onDrag: function () {
+		if (!this._getRange()) { return; }
+		this._setValue(this._posToZoom(getPosition(this._knob).y));
+	},
+	_onDragEnd: function () {
+		var zoom = this._posToZoom(getPosition(this._knob).y),
+		    that = this;
+		this._ignoreClick = true;
+		setTimeout(function () {
+			that._ignoreClick = false;
+		});
+		if (zoom === this._map.getZoom()) {
+			this._updateSlider();
+		} else {
+			this._map.setZoom(zoom);
+		}
+	},
+	_onTrackClick: function (e) {
+		if (this._ignoreClick || this._disabled || e.target === this._knob || !this._getRange()) { return; }
+		var top = this._track.getBoundingClientRect().top;
+		this._map.setZoom(this._posToZoom(e.clientY - top));
+	},
+	_onKeyDown: function (e) {
+		var map = this._map,
+		    delta = map.options.zoomDelta,
+		    zoom = map.getZoom();
+		switch (e.keyCode) {
+		case 38:
+		case 39:
+			zoom += delta;
+			break;
+		case 40:
+		case 37:
+			zoom -= delta;
+			break;
+		case 33:
+			zoom += delta * 3;
+			break;
+		case 34:
+			zoom -= delta * 3;
+			break;
+		case 36:
+			zoom = map.getMinZoom();
+			break;
+		case 35:
+			zoom = map.getMaxZoom();
+			break;
+		default:
+			return;
+		}
+		stop(e);
+		if (!this._disabled && this._getRange()) {
+			map.setZoom(map._limitZoom(zoom));
+		}
+	},
+	_updateDisabled: function () {
+		Zoom.prototype._updateDisabled.call(this);
+		if (!this._draggable) { return; }
+		if (this._disabled) {
+			this._draggable.disable();
+			addClass(this._slider, 'atlas-disabled');
+		} else {
+			this._draggable.enable();
+			removeClass(this._slider, 'atlas-disabled');
+		}
+		this._slider.setAttribute('aria-disabled', !!this._disabled);
+	}
+  });
+  var zoomSlider = function (options) {
+	return new ZoomSlider(options);
+  };
   var Scale = Control.extend({
 	options: {
 		position: 'bottomleft',
 		maxWidth: 100,
 		metric: true,
-		imperial: true
+		imperial: true,
+		nautical: false,
+		ratio: false,
+		dpi: 96,
+		segments: 0,
+		measureAtCenter: false
 	},
 	onAdd: function (map) {
 		var className = 'atlas-control-scale',
 		    container = create$1('div', className),
 		    options = this.options;
+		if (options.segments) {
+			addClass(container, className + '-segmented');
+		}
 		this._addScales(options, className + '-line', container);
+		if (options.ratio) {
+			this._ratio = create$1('div', className + '-ratio', container);
+		}
 		map.on(options.updateWhenIdle ? 'moveend' : 'move', this._update, this);
+		map.on('localechange', this._update, this);
 		map.whenReady(this._update, this);
 		return container;
 	},
 	onRemove: function (map) {
 		map.off(this.options.updateWhenIdle ? 'moveend' : 'move', this._update, this);
+		map.off('localechange', this._update, this);
 	},
 	_addScales: function (options, className, container) {
 		if (options.metric) {
@@ -3183,13 +4070,20 @@
 		if (options.imperial) {
 			this._iScale = create$1('div', className, container);
 		}
+		if (options.nautical) {
+			this._nScale = create$1('div', className, container);
+		}
 	},
 	_update: function () {
 		var map = this._map,
-		    y = map.getSize().y / 2;
+		    maxWidth = this.options.maxWidth,
+		    start = new Point(0, map.getSize().y / 2);
+		if (this.options.measureAtCenter) {
+			start = map.latLngToContainerPoint(map.getCenter()).subtract([maxWidth / 2, 0]);
+		}
 		var maxMeters = map.distance(
-			map.containerPointToLatLng([0, y]),
-			map.containerPointToLatLng([this.options.maxWidth, y]));
+			map.containerPointToLatLng(start),
+			map.containerPointToLatLng(start.add([maxWidth, 0])));
 		this._updateScales(maxMeters);
 	},
 	_updateScales: function (maxMeters) {
@@ -3199,10 +4093,16 @@
 		if (this.options.imperial && maxMeters) {
 			this._updateImperial(maxMeters);
 		}
+		if (this.options.nautical && maxMeters) {
+			this._updateNautical(maxMeters);
+		}
+		if (this.options.ratio && maxMeters) {
+			this._updateRatio(maxMeters);
+		}
 	},
 	_updateMetric: function (maxMeters) {
 		var meters = this._getRoundNum(maxMeters),
-		    label = meters < 1000 ? meters + ' m' : (meters / 1000) + ' km';
+		    label = meters < 1000 ? this._formatLabel(meters, 'm') : this._formatLabel(meters / 1000, 'km');
 		this._updateScale(this._mScale, label, meters / maxMeters);
 	},
 	_updateImperial: function (maxMeters) {
@@ -3211,17 +4111,42 @@
 		if (maxFeet > 5280) {
 			maxMiles = maxFeet / 5280;
 			miles = this._getRoundNum(maxMiles);
-			this._updateScale(this._iScale, miles + ' mi', miles / maxMiles);
+			this._updateScale(this._iScale, this._formatLabel(miles, 'mi'), miles / maxMiles);
 		} else {
 			feet = this._getRoundNum(maxFeet);
-			this._updateScale(this._iScale, feet + ' ft', feet / maxFeet);
+			this._updateScale(this._iScale, this._formatLabel(feet, 'ft'), feet / maxFeet);
 		}
 	},
+	_updateNautical: function (maxMeters) {
+		var maxNauticalMiles = maxMeters / 1852,
+		    nauticalMiles = this._getRoundNum(maxNauticalMiles, true);
+		this._updateScale(this._nScale, this._formatLabel(nauticalMiles, 'nmi'), nauticalMiles / maxNauticalMiles);
+	},
+	_updateRatio: function (maxMeters) {
+		var resolution = maxMeters / this.options.maxWidth,
+		    denominator = Math.round(resolution * this.options.dpi / 0.0254);
+		this._ratio.innerHTML = '1:' + this._map.formatNumber(denominator);
+	},
+	_formatLabel: function (value, unit) {
+		return this._map.formatNumber(value) + ' ' + this._map.translate(unit);
+	},
 	_updateScale: function (scale, text, ratio) {
 		scale.style.width = Math.round(this.options.maxWidth * ratio) + 'px';
 		scale.innerHTML = text;
+		if (this.options.segments) {
+			var bar = create$1('div', 'atlas-control-scale-bar', scale);
+			for (var i = 0; i < this.options.segments; i++) {
+				create$1('span', 'atlas-control-scale-segment', bar).style.width = 100 / this.options.segments + '%';
+			}
+		}
 	},
-	_getRoundNum: function (num) {
+	_getRoundNum: function (num, fractional) {
+		if (num <= 0 || !isFinite(num)) {
+			return 0;
+		}
+		if (fractional && num < 1) {
+			return this._getRoundNum(num * 10, true) / 10;
+		}
 		var pow10 = Math.pow(10, (Math.floor(num) + '').length - 1),
 		    d = num / pow10;
 		d = d >= 10 ? 10 :
@@ -3235,19 +4160,86 @@
 	return new Scale(options);
   };
  var MoroccanFlag = '<svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="12" height="8" viewBox="0 0 12 8" class="atlas-attribution-flag"><rect width="12" height="8" fill="#c1272d"/><path d="M6 2l1.176 3.608H3.824L5 3.392 6 2z" fill="#006233"/></svg>';
+ var sanitizeTags = {
+	a: ['href', 'title', 'target', 'rel'],
+	abbr: ['title'],
+	b: [],
+	br: [],
+	em: [],
+	i: [],
+	img: ['src', 'alt', 'title', 'width', 'height'],
+	small: [],
+	span: ['title'],
+	strong: [],
+	sub: [],
+	sup: []
+  };
+  function sanitizeHTML(html) {
+	var body = document.implementation.createHTMLDocument('').body;
+	body.innerHTML = html;
+	sanitizeNode(body);
+	return body.innerHTML;
+  }
+  function sanitizeNode(node) {
+	var child = node.firstChild,
+	    next, name, allowed, attrs, attr, i;
+	while (child) {
+		next = child.nextSibling;
+		name = child.nodeName.toLowerCase();
+		allowed = sanitizeTags[name];
+		if (child.nodeType === 1 && allowed) {
+			attrs = child.attributes;
+			for (i = attrs.length - 1; i >= 0; i--) {
+				attr = attrs[i].name.toLowerCase();
+				if (indexOf(allowed, attr) === -1 || ((attr === 'href' || attr === 'src') && !isSafeURL(attrs[i].value))) {
+					child.removeAttribute(attrs[i].name);
+				}
+			}
+			if (name === 'a' && child.getAttribute('target')) {
+				child.setAttribute('rel', 'noopener noreferrer');
+			}
+			sanitizeNode(child);
+		} else if (child.nodeType === 1 && !/^(script|style|iframe|object|embed|template|noscript|svg|math)$/.test(name)) {
+			sanitizeNode(child);
+			while (child.firstChild) {
+				node.insertBefore(child.firstChild, child);
+			}
+			node.removeChild(child);
+		} else if (child.nodeType !== 3) {
+			node.removeChild(child);
+		}
+		child = next;
+	}
+  }
+  function isSafeURL(url) {
+	var scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\s\u0000-\u001f]/g, ''));
+	return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+  }
  var Attribution = Control.extend({
 	options: {
 		position: 'bottomright',
-		prefix: '<a href="https://atlasjs.com" title="A JavaScript library for interactive maps">' + (Browser.inlineSvg ? MoroccanFlag + ' ' : '') + 'Atlas</a>'
+		prefix: true,
+		collapseWidth: 480,
+		dedupe: true,
+		sanitize: false
 	},
 	initialize: function (options) {
 		setOptions(this, options);
 		this._attributions = {};
+		this._rules = [];
 	},
 	onAdd: function (map) {
+		var className = 'atlas-control-attribution';
 		map.attributionControl = this;
-		this._container = create$1('div', 'atlas-control-attribution');
+		this._container = create$1('div', className);
 		disableClickPropagation(this._container);
+		var toggle = this._toggle = create$1('a', className + '-toggle', this._container);
+		toggle.href = '#';
+		toggle.innerHTML = '<span aria-hidden="true">i</span>';
+		toggle.setAttribute('role', 'button');
+		on(toggle, 'click', this._onToggleClick, this);
+		this._text = create$1('span', className + '-text', this._container);
+		this._html = null;
 		for (var i in map._layers) {
 			if (map._layers[i].getAttribution) {
 				this.addAttribution(map._layers[i].getAttribution());
@@ -3255,10 +4247,14 @@
 		}
 		this._update();
 		map.on('layeradd', this._addAttribution, this);
+		map.on('localechange moveend', this._update, this);
+		map.on('resize', this._updateCollapsed, this);
 		return this._container;
 	},
 	onRemove: function (map) {
 		map.off('layeradd', this._addAttribution, this);
+		map.off('localechange moveend', this._update, this);
+		map.off('resize', this._updateCollapsed, this);
 	},
 	_addAttribution: function (ev) {
 		if (ev.layer.getAttribution) {
@@ -3275,37 +4271,174 @@
 	},
 	addAttribution: function (text) {
 		if (!text) { return this; }
-		if (!this._attributions[text]) {
-			this._attributions[text] = 0;
+		if (isArray(text)) {
+			var rule = this._getRule(text);
+			if (rule) {
+				rule.count++;
+			} else {
+				this._rules.push({rules: text, count: 1});
+			}
+		} else {
+			if (!this._attributions[text]) {
+				this._attributions[text] = 0;
+			}
+			this._attributions[text]++;
 		}
-		this._attributions[text]++;
 		this._update();
 		return this;
 	},
 	removeAttribution: function (text) {
 		if (!text) { return this; }
-		if (this._attributions[text]) {
+		var rule = isArray(text) && this._getRule(text);
+		if (rule) {
+			if (!--rule.count) {
+				this._rules.splice(indexOf(this._rules, rule), 1);
+			}
+			this._update();
+		} else if (this._attributions[text]) {
 			this._attributions[text]--;
 			this._update();
 		}
 		return this;
 	},
-	_update: function () {
-		if (!this._map) { return; }
-		var attribs = [];
-		for (var i in this._attributions) {
+	expand: function () {
+		addClass(this._container, 'atlas-control-attribution-expanded');
+		this._toggle.setAttribute('aria-expanded', true);
+		return this;
+	},
+	collapse: function () {
+		removeClass(this._container, 'atlas-control-attribution-expanded');
+		this._toggle.setAttribute('aria-expanded', false);
+		return this;
+	},
+	_onToggleClick: function (e) {
+		preventDefault(e);
+		if (hasClass(this._container, 'atlas-control-attribution-expanded')) {
+			this.collapse();
+		} else {
+			this.expand();
+		}
+	},
+	_getRule: function (rules) {
+		for (var i = 0; i < this._rules.length; i++) {
+			if (this._rules[i].rules === rules) {
+				return this._rules[i];
+			}
+		}
+	},
+	_ruleApplies: function (rule) {
+		var map = this._map,
+		    zoom = map.getZoom();
+		if ((rule.minZoom !== undefined && zoom < rule.minZoom) ||
+		    (rule.maxZoom !== undefined && zoom > rule.maxZoom)) {
+			return false;
+		}
+		return !rule.bounds || toLatLngBounds(rule.bounds).intersects(map.getBounds());
+	},
+	_getAttributions: function () {
+		var attribs = [], i, j, rules;
+		for (i in this._attributions) {
 			if (this._attributions[i]) {
 				attribs.push(i);
 			}
 		}
+		if (this._map._loaded) {
+			for (i = 0; i < this._rules.length; i++) {
+				rules = this._rules[i].rules;
+				for (j = 0; j < rules.length; j++) {
+					if (rules[j].attribution && this._ruleApplies(rules[j])) {
+						attribs.push(rules[j].attribution);
+					}
+				}
+			}
+		}
+		if (this.options.sanitize) {
+			for (i = 0; i < attribs.length; i++) {
+				attribs[i] = sanitizeHTML(attribs[i]);
+			}
+		}
+		return this.options.dedupe ? this._dedupe(attribs) : attribs;
+	},
+	_dedupe: function (attribs) {
+		var seen = {},
+		    result = [],
+		    parts, kept, key, i, j;
+		for (i = 0; i < attribs.length; i++) {
+			parts = this.options.dedupe === 'fragments' ? this._splitAttribution(attribs[i]) : [attribs[i]];
+			kept = [];
+			for (j = 0; j < parts.length; j++) {
+				key = parts[j].replace(/<[^>]*>/g, '').replace(/&copy;|&#169;|\(c\)/gi, '\u00a9')
+					.replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, '').toLowerCase();
+				if (key && !seen[key]) {
+					seen[key] = true;
+					kept.push(parts[j]);
+				}
+			}
+			if (kept.length === parts.length) {
+				result.push(attribs[i]);
+			} else if (kept.length) {
+				result.push(kept.join(', '));
+			}
+		}
+		return result;
+	},
+	_splitAttribution: function (html) {
+		var re = /<(\/?)([a-z][a-z0-9]*)[^>]*?(\/?)>|,/gi,
+		    parts = [],
+		    depth = 0,
+		    start = 0,
+		    match;
+		while ((match = re.exec(html))) {
+			if (match[2]) {
+				if (match[1]) {
+					depth = Math.max(0, depth - 1);
+				} else if (!match[3] && !/^(br|img|hr|wbr)$/i.test(match[2])) {
+					depth++;
+				}
+			} else if (!depth) {
+				parts.push(html.slice(start, match.index));
+				start = re.lastIndex;
+			}
+		}
+		parts.push(html.slice(start));
+		for (var i = parts.length - 1; i >= 0; i--) {
+			parts[i] = parts[i].replace(/^\s+|\s+$/g, '');
+			if (!parts[i]) {
+				parts.splice(i, 1);
+			}
+		}
+		return parts;
+	},
+	_update: function () {
+		if (!this._map) { return; }
+		var attribs = this._getAttributions();
 		var prefixAndAttribs = [];
-		if (this.options.prefix) {
+		if (this.options.prefix === true) {
+			prefixAndAttribs.push('<a href="https://atlasjs.com" title="' + this._map.translate('attributionTitle').replace(/"/g, '&quot;') + '">' +
+				(Browser.inlineSvg ? MoroccanFlag + ' ' : '') + 'Atlas</a>');
+		} else if (this.options.prefix) {
 			prefixAndAttribs.push(this.options.prefix);
 		}
 		if (attribs.length) {
 			prefixAndAttribs.push(attribs.join(', '));
 		}
-		this._container.innerHTML = prefixAndAttribs.join(' <span aria-hidden="true">|</span> ');
+		var html = prefixAndAttribs.join(' <span aria-hidden="true">|</span> ');
+		if (html !== this._html) {
+			this._text.innerHTML = this._html = html;
+		}
+		this._toggle.title = this._map.translate('attribution');
+		this._toggle.setAttribute('aria-label', this._toggle.title);
+		this._updateCollapsed();
+	},
+	_updateCollapsed: function () {
+		var width = this.options.collapseWidth;
+		if (width && this._map.getSize().x < width) {
+			addClass(this._container, 'atlas-control-attribution-collapsed');
+			this._toggle.setAttribute('aria-expanded', hasClass(this._container, 'atlas-control-attribution-expanded'));
+		} else {
+			removeClass(this._container, 'atlas-control-attribution-collapsed');
+			this.collapse();
+		}
 	}
   });
   Map.mergeOptions({
@@ -3319,694 +4452,2464 @@
   var attribution = function (options) {
 	return new Attribution(options);
   };
-  Control.Layers = Layers;
-  Control.Zoom = Zoom;
-  Control.Scale = Scale;
-  Control.Attribution = Attribution;
-  control.layers = layers;
-  control.zoom = zoom;
-  control.scale = scale;
-  control.attribution = attribution;
-  var Handler = Class.extend({
-	initialize: function (map) {
-		this._map = map;
+  var MiniMap = Control.extend({
+	options: {
+		position: 'bottomright',
+		width: 150,
+		height: 150,
+		zoomOffset: -5,
+		collapsed: false,
+		toggleDisplay: true,
+		title: 'Overview map',
+		aimingRectOptions: {
+			color: '#ff7800',
+			weight: 1,
+			fillOpacity: 0.1
+		}
+	},
+	initialize: function (layer, options) {
+		setOptions(this, options);
+		this._layer = layer;
 	},
-	enable: function () {
-		if (this._enabled) { return this; }
-		this._enabled = true;
-		this.addHooks();
+	onAdd: function () {
+		var className = 'atlas-control-minimap',
+		    container = create$1('div', className),
+		    mapContainer = this._mapContainer = create$1('div', className + '-map', container);
+		mapContainer.style.width = this.options.width + 'px';
+		mapContainer.style.height = this.options.height + 'px';
+		disableClickPropagation(container);
+		disableScrollPropagation(container);
+		if (this.options.toggleDisplay) {
+			var link = create$1('a', className + '-toggle', container);
+			link.href = '#';
+			link.title = this.options.title;
+			link.setAttribute('role', 'button');
+			link.setAttribute('aria-label', this.options.title);
+			on(link, 'click', stop);
+			on(link, 'click', this._toggle, this);
+		}
+		return container;
+	},
+	addTo: function (map) {
+		Control.prototype.addTo.call(this, map);
+		this._initMiniMap(map);
+		if (this.options.collapsed) {
+			this.collapse();
+		}
 		return this;
 	},
-	disable: function () {
-		if (!this._enabled) { return this; }
-		this._enabled = false;
-		this.removeHooks();
+	onRemove: function (map) {
+		map.unsync(this._miniMap);
+		map.off('move moveend', this._updateAimingRect, this);
+		off(this._mapContainer, START, this._onRectDown, this);
+		this._draggable.disable();
+		this._draggable = this._dragHandle = null;
+		this._miniMap.remove();
+		this._miniMap = null;
+	},
+	getMiniMap: function () {
+		return this._miniMap;
+	},
+	expand: function () {
+		removeClass(this._container, 'atlas-control-minimap-collapsed');
+		if (this._miniMap) {
+			this._miniMap.invalidateSize();
+		}
 		return this;
 	},
-	enabled: function () {
-		return !!this._enabled;
+	collapse: function () {
+		addClass(this._container, 'atlas-control-minimap-collapsed');
+		return this;
+	},
+	_toggle: function () {
+		if (hasClass(this._container, 'atlas-control-minimap-collapsed')) {
+			this.expand();
+		} else {
+			this.collapse();
+		}
+	},
+	_initMiniMap: function (map) {
+		var mini = this._miniMap = new Map(this._mapContainer, {
+			crs: map.options.crs,
+			attributionControl: false,
+			zoomControl: false,
+			dragging: false,
+			touchZoom: false,
+			scrollWheelZoom: false,
+			doubleClickZoom: false,
+			boxZoom: false,
+			keyboard: false,
+			tapHold: false,
+			zoomAnimation: map.options.zoomAnimation,
+			fadeAnimation: map.options.fadeAnimation,
+			layers: [this._layer]
+		});
+		this._aimingRect = new Rectangle([[0, 0], [0, 0]], this.options.aimingRectOptions);
+		this._dragHandle = create$1('div', '', this._mapContainer);
+		this._draggable = new Draggable(this._dragHandle);
+		this._draggable.on({
+			dragstart: this._onRectDragStart,
+			drag: this._onRectDrag,
+			dragend: this._onRectDragEnd
+		}, this).enable();
+		on(this._mapContainer, START, this._onRectDown, this);
+		map.sync(mini, {zoomDelta: this.options.zoomOffset, syncBearing: false});
+		map.on('move moveend', this._updateAimingRect, this);
+		map.whenReady(this._updateAimingRect, this);
+	},
+	_updateAimingRect: function () {
+		var mini = this._miniMap;
+		if (this._dragStart || !mini._loaded) { return; }
+		this._aimingRect.setBounds(this._map.getBounds());
+		if (!mini.hasLayer(this._aimingRect)) {
+			mini.addLayer(this._aimingRect);
+		}
+	},
+	_onRectDown: function (e) {
+		var mini = this._miniMap,
+		    first = e.touches ? e.touches[0] : e;
+		if (!first || !mini.hasLayer(this._aimingRect) ||
+		    !this._aimingRect.getBounds().contains(mini.mouseEventToLatLng(first))) { return; }
+		this._draggable._onDown(e);
+	},
+	_onRectDragStart: function () {
+		this._dragStart = true;
+		this._dragBounds = this._aimingRect.getBounds();
+	},
+	_onRectDrag: function () {
+		var mini = this._miniMap,
+		    draggable = this._draggable,
+		    offset = draggable._newPos.subtract(draggable._startPos),
+		    bounds = this._dragBounds;
+		this._aimingRect.setBounds([
+			mini.containerPointToLatLng(mini.latLngToContainerPoint(bounds.getSouthWest()).add(offset)),
+			mini.containerPointToLatLng(mini.latLngToContainerPoint(bounds.getNorthEast()).add(offset))
+		]);
+	},
+	_onRectDragEnd: function () {
+		this._dragStart = false;
+		setPosition(this._dragHandle, new Point(0, 0));
+		this._map.panTo(this._aimingRect.getBounds().getCenter());
 	}
   });
-  Handler.addTo = function (map, name) {
-	map.addHandler(name, this);
-	return this;
+  var miniMap = function (layer, options) {
+	return new MiniMap(layer, options);
   };
-  var Mixin = {Events: Events};
-  var START = Browser.touch ? 'touchstart mousedown' : 'mousedown';
-  var Draggable = Evented.extend({
+  var Print = Control.extend({
 	options: {
-		clickTolerance: 3
+		position: 'topleft',
+		title: 'Print map',
+		mapTitle: '',
+		paperSize: 'A4',
+		orientation: 'portrait',
+		dpi: 150,
+		scale: null,
+		margin: 10,
+		format: 'image/png',
+		filename: 'map.png',
+		timeout: 30000,
+		paperSizes: {
+			A4: [210, 297],
+			A3: [297, 420],
+			Letter: [215.9, 279.4]
+		},
+		dpiValues: [96, 150, 300]
 	},
-	initialize: function (element, dragStartTarget, preventOutline, options) {
-		setOptions(this, options);
-		this._element = element;
-		this._dragStartTarget = dragStartTarget || element;
-		this._preventOutline = preventOutline;
+	onAdd: function () {
+		var className = 'atlas-control-print',
+		    container = create$1('div', className + ' atlas-bar'),
+		    options = this.options;
+		disableClickPropagation(container);
+		disableScrollPropagation(container);
+		var link = this._toggleLink = create$1('a', className + '-toggle', container);
+		link.href = '#';
+		link.title = options.title;
+		link.setAttribute('role', 'button');
+		link.setAttribute('aria-label', options.title);
+		link.setAttribute('aria-expanded', false);
+		on(link, 'click', stop);
+		on(link, 'click', this._toggle, this);
+		var form = this._form = create$1('form', className + '-form', container);
+		this._titleInput = this._createField(form, 'Title', 'input');
+		this._titleInput.type = 'text';
+		this._titleInput.value = options.mapTitle;
+		this._paperInput = this._createField(form, 'Paper', 'select', Object.keys(options.paperSizes), options.paperSize);
+		this._orientationInput = this._createField(form, 'Orientation', 'select', ['portrait', 'landscape'], options.orientation);
+		this._dpiInput = this._createField(form, 'DPI', 'select', options.dpiValues, options.dpi);
+		this._scaleInput = this._createField(form, 'Scale 1:', 'input');
+		this._scaleInput.type = 'number';
+		this._scaleInput.min = 1;
+		this._scaleInput.placeholder = 'current view';
+		this._scaleInput.value = options.scale || '';
+		var submit = this._submit = create$1('button', className + '-submit', form);
+		submit.type = 'submit';
+		submit.innerHTML = 'Print';
+		this._error = create$1('div', className + '-error', form);
+		this._error.setAttribute('role', 'alert');
+		on(form, 'submit', preventDefault);
+		on(form, 'submit', this._onSubmit, this);
+		return container;
 	},
-	enable: function () {
-		if (this._enabled) { return; }
-		on(this._dragStartTarget, START, this._onDown, this);
-		this._enabled = true;
+	onRemove: function () {
+		this._removePrintContainer();
 	},
-	disable: function () {
-		if (!this._enabled) { return; }
-		if (Draggable._dragging === this) {
-			this.finishDrag(true);
-		}
-		off(this._dragStartTarget, START, this._onDown, this);
-		this._enabled = false;
-		this._moved = false;
+	expand: function () {
+		addClass(this._container, 'atlas-control-print-expanded');
+		this._toggleLink.setAttribute('aria-expanded', true);
+		return this;
 	},
-	_onDown: function (e) {
-		if (!this._enabled) { return; }
-		this._moved = false;
-		if (hasClass(this._element, 'atlas-zoom-anim')) { return; }
-		if (e.touches && e.touches.length !== 1) {
-			if (Draggable._dragging === this) {
-				this.finishDrag();
+	collapse: function () {
+		removeClass(this._container, 'atlas-control-print-expanded');
+		this._toggleLink.setAttribute('aria-expanded', false);
+		return this;
+	},
+	print: function (options) {
+		options = extend({}, this.options, options);
+		var map = this._map,
+		    paper = options.paperSizes[options.paperSize];
+		if (!paper) {
+			return Promise.reject(new Error('Unknown paper size: ' + options.paperSize));
+		}
+		var dpi = options.dpi,
+		    landscape = options.orientation === 'landscape',
+		    width = Math.round((landscape ? paper[1] : paper[0]) / 25.4 * dpi),
+		    height = Math.round((landscape ? paper[0] : paper[1]) / 25.4 * dpi),
+		    unit = dpi / 72,
+		    margin = Math.round(options.margin / 25.4 * dpi),
+		    titleHeight = options.mapTitle ? Math.round(24 * unit) : 0,
+		    footerHeight = Math.round(30 * unit),
+		    area = new Bounds(
+			[margin, margin + titleHeight],
+			[width - margin, height - margin - footerHeight]);
+		if (area.getSize().x <= 0 || area.getSize().y <= 0) {
+			return Promise.reject(new Error('Print margins leave no room for the map.'));
+		}
+		if (this._printing) {
+			return Promise.reject(new Error('A print is already in progress.'));
+		}
+		this._printing = true;
+		map.fire('printstart');
+		return new Promise(bind(function (resolve) {
+			resolve(this._renderMap(area.getSize(), options));
+		}, this)).then(bind(function (result) {
+			var canvas = this._composePage(result, area, new Point(width, height), options);
+			return map._encodeCanvas(canvas, options);
+		}, this)).then(bind(function (output) {
+			this._printing = false;
+			map.fire('printend', {output: output});
+			return output;
+		}, this), bind(function (error) {
+			this._printing = false;
+			this._removePrintContainer();
+			map.fire('printerror', {error: error});
+			throw error;
+		}, this));
+	},
+	_createField: function (form, text, tagName, values, value) {
+		var label = create$1('label', 'atlas-control-print-field', form);
+		create$1('span', '', label).innerHTML = text;
+		var input = create$1(tagName, '', label);
+		if (values) {
+			for (var i = 0; i < values.length; i++) {
+				var option = create$1('option', '', input);
+				option.value = values[i];
+				option.innerHTML = values[i];
 			}
-			return;
+			input.value = value;
 		}
-		if (Draggable._dragging || e.shiftKey || ((e.which !== 1) && (e.button !== 1) && !e.touches)) { return; }
-		Draggable._dragging = this;
-		if (this._preventOutline) {
-			preventOutline(this._element);
+		return input;
+	},
+	_toggle: function () {
+		if (hasClass(this._container, 'atlas-control-print-expanded')) {
+			this.collapse();
+		} else {
+			this.expand();
 		}
-		disableImageDrag();
-		disableTextSelection();
-		if (this._moving) { return; }
-		this.fire('down');
-		var first = e.touches ? e.touches[0] : e,
-		    sizedParent = getSizedParentNode(this._element);
-		this._startPoint = new Point(first.clientX, first.clientY);
-		this._startPos = getPosition(this._element);
-		this._parentScale = getScale(sizedParent);
-		var mouseevent = e.type === 'mousedown';
-		on(document, mouseevent ? 'mousemove' : 'touchmove', this._onMove, this);
-		on(document, mouseevent ? 'mouseup' : 'touchend touchcancel', this._onUp, this);
 	},
-	_onMove: function (e) {
-		if (!this._enabled) { return; }
-		if (e.touches && e.touches.length > 1) {
-			this._moved = true;
-			return;
+	_onSubmit: function () {
+		var scale = parseFloat(this._scaleInput.value);
+		this._submit.disabled = true;
+		this._error.innerHTML = '';
+		this.print({
+			mapTitle: this._titleInput.value,
+			paperSize: this._paperInput.value,
+			orientation: this._orientationInput.value,
+			dpi: parseInt(this._dpiInput.value, 10),
+			scale: scale > 0 ? scale : null,
+			dataURL: false
+		}).then(bind(function (blob) {
+			this._submit.disabled = false;
+			this._download(blob);
+		}, this), bind(function (error) {
+			this._submit.disabled = false;
+			this._error.innerHTML = '';
+			this._error.appendChild(document.createTextNode(error.message || String(error)));
+		}, this));
+	},
+	_download: function (blob) {
+		var url = URL.createObjectURL(blob),
+		    link = create$1('a', '', document.body);
+		link.href = url;
+		link.download = this.options.filename;
+		link.click();
+		remove(link);
+		setTimeout(function () {
+			URL.revokeObjectURL(url);
+		}, 0);
+	},
+	_renderMap: function (size, options) {
+		var map = this._map,
+		    container = this._printContainer = create$1('div', 'atlas-control-print-container', document.body);
+		container.style.width = size.x + 'px';
+		container.style.height = size.y + 'px';
+		var printMap = this._printMap = new Map(container, {
+			crs: map.options.crs,
+			bearing: map.getBearing(),
+			zoomSnap: 0,
+			attributionControl: false,
+			zoomControl: false,
+			fadeAnimation: false,
+			zoomAnimation: false,
+			markerZoomAnimation: false,
+			preferCanvas: map.options.preferCanvas
+		});
+		var center = map.getCenter(),
+		    zoom = options.scale ?
+			printMap.getScaleZoom(this._getResolution(map, center, map.getZoom()) / (options.scale * 0.0254 / options.dpi), map.getZoom()) :
+			map.getZoom() + Math.log(Math.min(size.x / map.getSize().x, size.y / map.getSize().y)) / Math.LN2,
+		    pending = [];
+		printMap.setView(center, zoom);
+		for (var id in map._layers) {
+			var layer = this._cloneLayer(map._layers[id]);
+			if (layer) {
+				printMap.addLayer(layer);
+				pending.push(this._whenLayerLoaded(layer));
+			}
 		}
-		var first = (e.touches && e.touches.length === 1 ? e.touches[0] : e),
-		    offset = new Point(first.clientX, first.clientY)._subtract(this._startPoint);
-		if (!offset.x && !offset.y) { return; }
-		if (Math.abs(offset.x) + Math.abs(offset.y) < this.options.clickTolerance) { return; }
-		offset.x /= this._parentScale.x;
-		offset.y /= this._parentScale.y;
-		preventDefault(e);
-		if (!this._moved) {
-			this.fire('dragstart');
-			this._moved = true;
-			addClass(document.body, 'atlas-dragging');
-			this._lastTarget = e.target || e.srcElement;
-			if (window.SVGElementInstance && this._lastTarget instanceof window.SVGElementInstance) {
-				this._lastTarget = this._lastTarget.correspondingUseElement;
+		var timeout;
+		return Promise.race([
+			Promise.all(pending),
+			new Promise(function (resolve) {
+				timeout = setTimeout(resolve, options.timeout);
+			})
+		]).then(function () {
+			clearTimeout(timeout);
+			return printMap._renderCanvas({scale: 1, attribution: false, ignoreUnsupported: true});
+		}).then(bind(function (canvas) {
+			var result = {
+				canvas: canvas,
+				resolution: this._getResolution(printMap, center, printMap.getZoom()),
+				bearing: printMap.getBearing()
+			};
+			this._removePrintContainer();
+			return result;
+		}, this), bind(function (error) {
+			this._removePrintContainer();
+			throw error;
+		}, this));
+	},
+	_removePrintContainer: function () {
+		if (!this._printContainer) { return; }
+		var container = this._printContainer;
+		this._printContainer = null;
+		if (this._printMap) {
+			this._printMap.remove();
+			this._printMap = null;
+		}
+		remove(container);
+	},
+	_getResolution: function (map, center, zoom) {
+		var point = map.project(center, zoom);
+		return map.distance(map.unproject(point, zoom), map.unproject(point.add([1, 0]), zoom));
+	},
+	_cloneLayer: function (layer) {
+		var options = extend({}, layer.options);
+		delete options.pane;
+		if (layer instanceof TileLayerWMS) {
+			return new TileLayerWMS(layer._url, extend(options, layer.wmsParams));
+		} else if (layer instanceof TileLayer) {
+			return new layer.constructor(layer._url, options);
+		} else if (layer instanceof ImageOverlay) {
+			return new layer.constructor(layer._url.cloneNode ? layer._url.cloneNode(true) : layer._url, layer.getBounds(), options);
+		} else if (layer instanceof Marker) {
+			return new Marker(layer.getLatLng(), options);
+		} else if (layer instanceof Circle) {
+			return new Circle(layer.getLatLng(), extend(options, {radius: layer.getRadius()}));
+		} else if (layer instanceof CircleMarker) {
+			return new CircleMarker(layer.getLatLng(), options);
+		} else if (layer instanceof Rectangle) {
+			return new Rectangle(layer.getBounds(), options);
+		} else if (layer instanceof Polyline) {
+			return new layer.constructor(layer.getLatLngs(), options);
+		}
+		return null;
+	},
+	_whenLayerLoaded: function (layer) {
+		return new Promise(function (resolve) {
+			if (layer instanceof GridLayer && layer.isLoading()) {
+				layer.once('load', resolve);
+			} else if (layer instanceof ImageOverlay && layer._image.tagName === 'IMG' && !layer._image.complete) {
+				layer.once('load error', resolve);
+			} else {
+				resolve();
 			}
-			addClass(this._lastTarget, 'atlas-drag-target');
+		});
+	},
+	_composePage: function (result, area, size, options) {
+		var canvas = document.createElement('canvas'),
+		    ctx,
+		    unit = options.dpi / 72,
+		    font = '"Helvetica Neue", Arial, Helvetica, sans-serif',
+		    mapSize = area.getSize(),
+		    footerY = area.max.y + 6 * unit;
+		canvas.width = size.x;
+		canvas.height = size.y;
+		ctx = canvas.getContext('2d');
+		ctx.fillStyle = '#fff';
+		ctx.fillRect(0, 0, size.x, size.y);
+		if (options.mapTitle) {
+			ctx.fillStyle = '#333';
+			ctx.font = 'bold ' + Math.round(16 * unit) + 'px ' + font;
+			ctx.textAlign = 'center';
+			ctx.textBaseline = 'top';
+			ctx.fillText(options.mapTitle, size.x / 2, area.min.y - 22 * unit);
+		}
+		ctx.drawImage(result.canvas, area.min.x, area.min.y, mapSize.x, mapSize.y);
+		ctx.strokeStyle = '#333';
+		ctx.lineWidth = unit;
+		ctx.strokeRect(area.min.x, area.min.y, mapSize.x, mapSize.y);
+		this._drawNorthArrow(ctx, new Point(area.max.x - 20 * unit, area.min.y + 24 * unit), unit, result.bearing);
+		this._drawScaleBar(ctx, new Point(area.min.x, footerY), unit, result.resolution, mapSize.x / 4, options);
+		var attribution = this._map.attributionControl && this._map.attributionControl._text;
+		if (attribution) {
+			ctx.fillStyle = '#333';
+			ctx.font = Math.round(7 * unit) + 'px ' + font;
+			ctx.textAlign = 'right';
+			ctx.textBaseline = 'top';
+			ctx.fillText(attribution.textContent.replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, ''), area.max.x, footerY);
+		}
+		return canvas;
+	},
+	_drawNorthArrow: function (ctx, center, unit, bearing) {
+		ctx.save();
+		ctx.translate(center.x, center.y);
+		ctx.rotate(-bearing * Math.PI / 180);
+		ctx.beginPath();
+		ctx.moveTo(0, -14 * unit);
+		ctx.lineTo(7 * unit, 8 * unit);
+		ctx.lineTo(0, 3 * unit);
+		ctx.lineTo(-7 * unit, 8 * unit);
+		ctx.closePath();
+		ctx.fillStyle = '#333';
+		ctx.fill();
+		ctx.strokeStyle = '#fff';
+		ctx.lineWidth = unit;
+		ctx.stroke();
+		ctx.fillStyle = '#333';
+		ctx.font = 'bold ' + Math.round(9 * unit) + 'px "Helvetica Neue", Arial, Helvetica, sans-serif';
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'bottom';
+		ctx.fillText('N', 0, -15 * unit);
+		ctx.restore();
+	},
+	_drawScaleBar: function (ctx, origin, unit, resolution, maxWidth, options) {
+		var meters = Scale.prototype._getRoundNum(maxWidth * resolution);
+		if (!meters) { return; }
+		var width = meters / resolution,
+		    map = this._map,
+		    label = meters < 1000 ? map.formatNumber(meters) + ' ' + map.translate('m') :
+			map.formatNumber(meters / 1000) + ' ' + map.translate('km'),
+		    barHeight = 4 * unit;
+		ctx.fillStyle = '#333';
+		ctx.fillRect(origin.x, origin.y, width / 2, barHeight);
+		ctx.strokeStyle = '#333';
+		ctx.lineWidth = unit / 2;
+		ctx.strokeRect(origin.x, origin.y, width, barHeight);
+		ctx.font = Math.round(8 * unit) + 'px "Helvetica Neue", Arial, Helvetica, sans-serif';
+		ctx.textAlign = 'left';
+		ctx.textBaseline = 'top';
+		ctx.fillText(label, origin.x + width + 4 * unit, origin.y - 2 * unit);
+		var denominator = Math.round(resolution * options.dpi / 0.0254);
+		ctx.fillText('1:' + map.formatNumber(denominator), origin.x, origin.y + barHeight + 3 * unit);
+	}
+  });
+  var print = function (options) {
+	return new Print(options);
+  };
+  var Fullscreen = Control.extend({
+	options: {
+		position: 'topleft',
+		title: null,
+		titleCancel: null,
+		pseudoFullscreen: false
+	},
+	onAdd: function (map) {
+		var className = 'atlas-control-fullscreen',
+		    container = create$1('div', className + ' atlas-bar'),
+		    link = this._link = create$1('a', className + '-button', container);
+		link.href = '#';
+		link.setAttribute('role', 'button');
+		disableClickPropagation(container);
+		on(link, 'click', stop);
+		on(link, 'click', this._onClick, this);
+		map.on('enterfullscreen exitfullscreen localechange', this._updateTitle, this);
+		this._updateTitle();
+		return container;
+	},
+	onRemove: function (map) {
+		map.off('enterfullscreen exitfullscreen localechange', this._updateTitle, this);
+	},
+	_onClick: function () {
+		this._map.toggleFullscreen({pseudoFullscreen: this.options.pseudoFullscreen});
+	},
+	_updateTitle: function () {
+		var fullscreen = this._map.isFullscreen(),
+		    title = fullscreen ?
+			this.options.titleCancel || this._map.translate('exitFullscreen') :
+			this.options.title || this._map.translate('fullscreen');
+		this._link.title = title;
+		this._link.setAttribute('aria-label', title);
+		this._link.setAttribute('aria-pressed', fullscreen);
+	}
+  });
+  Map.mergeOptions({
+	fullscreenControl: false
+  });
+  Map.include({
+	isFullscreen: function () {
+		return !!this._isFullscreen;
+	},
+	toggleFullscreen: function (options) {
+		var container = this._container,
+		    request = container.requestFullscreen || container.webkitRequestFullscreen,
+		    exit = document.exitFullscreen || document.webkitExitFullscreen;
+		if (this._isFullscreen) {
+			if (this._pseudoFullscreen) {
+				this._setFullscreen(false);
+			} else if (exit) {
+				exit.call(document);
+			}
+			return this;
 		}
-		this._newPos = this._startPos.add(offset);
-		this._moving = true;
-		this._lastEvent = e;
-		this._updatePosition();
+		this._fullscreenView = this._loaded ? {
+			center: this.getCenter(),
+			zoom: this.getZoom(),
+			bearing: this.getBearing()
+		} : null;
+		if ((options && options.pseudoFullscreen) || !request) {
+			this._setFullscreen(true, true);
+			return this;
+		}
+		on(document, 'fullscreenchange webkitfullscreenchange', this._onFullscreenChange, this);
+		var result = request.call(container);
+		if (result && result.then) {
+			result.then(null, bind(function () {
+				off(document, 'fullscreenchange webkitfullscreenchange', this._onFullscreenChange, this);
+				this._setFullscreen(true, true);
+			}, this));
+		}
+		return this;
 	},
-	_updatePosition: function () {
-		var e = {originalEvent: this._lastEvent};
-		this.fire('predrag', e);
-		setPosition(this._element, this._newPos);
-		this.fire('drag', e);
+	_onFullscreenChange: function () {
+		var element = document.fullscreenElement || document.webkitFullscreenElement;
+		if (element === this._container && !this._isFullscreen) {
+			this._setFullscreen(true);
+		} else if (element !== this._container && this._isFullscreen && !this._pseudoFullscreen) {
+			this._setFullscreen(false);
+		}
 	},
-	_onUp: function () {
-		if (!this._enabled) { return; }
-		this.finishDrag();
+	_onFullscreenKeyDown: function (e) {
+		if (e.keyCode === 27) {
+			stop(e);
+			this._setFullscreen(false);
+		}
 	},
-	finishDrag: function (noInertia) {
-		removeClass(document.body, 'atlas-dragging');
-		if (this._lastTarget) {
-			removeClass(this._lastTarget, 'atlas-drag-target');
-			this._lastTarget = null;
+	_offFullscreenEvents: function () {
+		off(document, 'fullscreenchange webkitfullscreenchange', this._onFullscreenChange, this);
+		off(document, 'keydown', this._onFullscreenKeyDown, this);
+	},
+	_setFullscreen: function (fullscreen, pseudo) {
+		var container = this._container,
+		    view = this._fullscreenView;
+		this._isFullscreen = fullscreen;
+		this._pseudoFullscreen = fullscreen && !!pseudo;
+		if (fullscreen) {
+			addClass(container, 'atlas-fullscreen-on');
+		} else {
+			removeClass(container, 'atlas-fullscreen-on');
 		}
-		off(document, 'mousemove touchmove', this._onMove, this);
-		off(document, 'mouseup touchend touchcancel', this._onUp, this);
-		enableImageDrag();
-		enableTextSelection();
-		var fireDragend = this._moved && this._moving;
-		this._moving = false;
-		Draggable._dragging = false;
-		if (fireDragend) {
-			this.fire('dragend', {
-				noInertia: noInertia,
-				distance: this._newPos.distanceTo(this._startPos)
-			});
+		if (this._pseudoFullscreen) {
+			addClass(container, 'atlas-pseudo-fullscreen');
+			on(document, 'keydown', this._onFullscreenKeyDown, this);
+		} else {
+			removeClass(container, 'atlas-pseudo-fullscreen');
 		}
-	}
-  });
-  function clipPolygon(points, bounds, round) {
-	var clippedPoints,
-	    edges = [1, 4, 2, 8],
-	    i, j, k,
-	    a, b,
-	    len, edge, p;
-	for (i = 0, len = points.length; i < len; i++) {
-		points[i]._code = _getBitCode(points[i], bounds);
-	}
-	for (k = 0; k < 4; k++) {
-		edge = edges[k];
-		clippedPoints = [];
-		for (i = 0, len = points.length, j = len - 1; i < len; j = i++) {
-			a = points[i];
-			b = points[j];
-			if (!(a._code & edge)) {
-				if (b._code & edge) {
-					p = _getEdgeIntersection(b, a, edge, bounds, round);
-					p._code = _getBitCode(p, bounds);
-					clippedPoints.push(p);
-				}
-				clippedPoints.push(a);
-			} else if (!(b._code & edge)) {
-				p = _getEdgeIntersection(b, a, edge, bounds, round);
-				p._code = _getBitCode(p, bounds);
-				clippedPoints.push(p);
+		if (!fullscreen) {
+			this._offFullscreenEvents();
+		}
+		this.invalidateSize();
+		if (!fullscreen && view) {
+			this._fullscreenView = null;
+			this.setView(view.center, view.zoom, {animate: false});
+			if (view.bearing !== this.getBearing()) {
+				this.setBearing(view.bearing);
 			}
 		}
-		points = clippedPoints;
-	}
-	return points;
-  }
-  function polygonCenter(latlngs, crs) {
-	var i, j, p1, p2, f, area, x, y, center;
-	if (!latlngs || latlngs.length === 0) {
-		throw new Error('latlngs not passed');
-	}
-	if (!isFlat(latlngs)) {
-		console.warn('latlngs are not flat! Only the first ring will be used');
-		latlngs = latlngs[0];
-	}
-	var centroidLatLng = toLatLng([0, 0]);
-	var bounds = toLatLngBounds(latlngs);
-	var areaBounds = bounds.getNorthWest().distanceTo(bounds.getSouthWest()) * bounds.getNorthEast().distanceTo(bounds.getNorthWest());
-	if (areaBounds < 1700) {
-		centroidLatLng = centroid(latlngs);
+		this.fire(fullscreen ? 'enterfullscreen' : 'exitfullscreen');
 	}
-	var len = latlngs.length;
-	var points = [];
-	for (i = 0; i < len; i++) {
-		var latlng = toLatLng(latlngs[i]);
-		points.push(crs.project(toLatLng([latlng.lat - centroidLatLng.lat, latlng.lng - centroidLatLng.lng])));
+  });
+  Map.addInitHook(function () {
+	this.on('unload', this._offFullscreenEvents, this);
+	if (this.options.fullscreenControl) {
+		this.fullscreenControl = new Fullscreen();
+		this.addControl(this.fullscreenControl);
 	}
-	area = x = y = 0;
-	for (i = 0, j = len - 1; i < len; j = i++) {
-		p1 = points[i];
-		p2 = points[j];
-		f = p1.y * p2.x - p2.y * p1.x;
-		x += (p1.x + p2.x) * f;
-		y += (p1.y + p2.y) * f;
-		area += f * 3;
+  });
+  var fullscreen = function (options) {
+	return new Fullscreen(options);
+  };
+  var Locate = Control.extend({
+	options: {
+		position: 'topleft',
+		title: null,
+		follow: true,
+		maxZoom: 16,
+		geolocation: null,
+		locateOptions: {
+			enableHighAccuracy: true,
+			maximumAge: 10000,
+			timeout: 10000
+		},
+		circleStyle: {
+			color: '#136aec',
+			fillColor: '#136aec',
+			fillOpacity: 0.15,
+			weight: 1,
+			opacity: 0.5,
+			interactive: false
+		},
+		markerStyle: {
+			className: 'atlas-locate-marker',
+			color: '#fff',
+			fillColor: '#2a93ee',
+			fillOpacity: 1,
+			weight: 3,
+			opacity: 1,
+			radius: 8,
+			interactive: false
+		}
+	},
+	initialize: function (options) {
+		setOptions(this, options);
+		this._layer = new LayerGroup();
+		this._active = false;
+		this._following = false;
+	},
+	onAdd: function (map) {
+		var className = 'atlas-control-locate',
+		    container = this._container = create$1('div', className + ' atlas-bar'),
+		    link = this._link = create$1('a', className + '-button', container);
+		link.href = '#';
+		link.setAttribute('role', 'button');
+		disableClickPropagation(container);
+		on(link, 'click', stop);
+		on(link, 'click', this._onClick, this);
+		map.on('localechange', this._updateState, this);
+		this._updateState();
+		return container;
+	},
+	onRemove: function (map) {
+		this.stop();
+		map.off('localechange', this._updateState, this);
+	},
+	start: function () {
+		var map = this._map;
+		if (this._active) { return this; }
+		this._active = true;
+		this._following = this.options.follow;
+		this._error = null;
+		this._latlng = null;
+		map.on({
+			locationfound: this._onLocationFound,
+			locationerror: this._onLocationError,
+			dragstart: this._stopFollowing
+		}, this);
+		map.locate(extend({}, this.options.locateOptions, {
+			watch: true,
+			setView: false,
+			geolocation: this.options.geolocation
+		}));
+		this._updateState();
+		return this;
+	},
+	stop: function () {
+		var map = this._map;
+		if (!this._active) { return this; }
+		this._active = this._following = false;
+		map.stopLocate();
+		map.off({
+			locationfound: this._onLocationFound,
+			locationerror: this._onLocationError,
+			dragstart: this._stopFollowing
+		}, this);
+		this._layer.clearLayers().remove();
+		this._circle = this._marker = this._latlng = null;
+		this._updateState();
+		return this;
+	},
+	isActive: function () {
+		return this._active;
+	},
+	isFollowing: function () {
+		return this._following;
+	},
+	_onClick: function () {
+		if (!this._active) {
+			this.start();
+		} else if (this._latlng && !this._following && this.options.follow) {
+			this._following = true;
+			this._map.setView(this._latlng, this._map.getZoom());
+			this._updateState();
+		} else {
+			this.stop();
+		}
+	},
+	_stopFollowing: function () {
+		if (this._following) {
+			this._following = false;
+			this._updateState();
+		}
+	},
+	_onLocationFound: function (e) {
+		var map = this._map,
+		    first = !this._latlng;
+		this._latlng = e.latlng;
+		this._error = null;
+		if (this._circle) {
+			this._circle.setLatLng(e.latlng).setRadius(e.accuracy);
+			this._marker.setLatLng(e.latlng);
+		} else {
+			this._circle = new Circle(e.latlng, extend({radius: e.accuracy}, this.options.circleStyle)).addTo(this._layer);
+			this._marker = new CircleMarker(e.latlng, this.options.markerStyle).addTo(this._layer);
+			this._layer.addTo(map);
+		}
+		if (first) {
+			map.setView(e.latlng, Math.min(map.getBoundsZoom(e.bounds), this.options.maxZoom));
+		} else if (this._following) {
+			map.panTo(e.latlng);
+		}
+		this._updateState();
+	},
+	_onLocationError: function (e) {
+		this._error = e.message;
+		if (e.code === 1) {
+			this.stop();
+		}
+		this._updateState();
+	},
+	_updateState: function () {
+		var container = this._container,
+		    className = 'atlas-control-locate-',
+		    states = ['requesting', 'active', 'following', 'error'],
+		    state = this._error ? 'error' :
+			this._following && this._latlng ? 'following' :
+			this._latlng ? 'active' :
+			this._active ? 'requesting' : null;
+		for (var i = 0; i < states.length; i++) {
+			removeClass(container, className + states[i]);
+		}
+		if (state) {
+			addClass(container, className + state);
+		}
+		var title = this._error || this.options.title || this._map.translate('locate');
+		this._link.title = title;
+		this._link.setAttribute('aria-label', title);
+		this._link.setAttribute('aria-pressed', this._active);
 	}
-	if (area === 0) {
-		center = points[0];
-	} else {
-		center = [x / area, y / area];
+  });
+  var locate = function (options) {
+	return new Locate(options);
+  };
+  var MeasureControl = Control.extend({
+	options: {
+		position: 'topleft',
+		title: null
+	},
+	onAdd: function (map) {
+		var className = 'atlas-control-measure',
+		    container = this._container = create$1('div', className + ' atlas-bar'),
+		    link = this._link = create$1('a', className + '-toggle', container),
+		    panel = create$1('div', className + '-panel', container),
+		    handler = map.measure;
+		link.href = '#';
+		link.setAttribute('role', 'button');
+		disableClickPropagation(container);
+		on(link, 'click', stop);
+		on(link, 'click', this._onClick, this);
+		this._modeSelect = this._createSelect(panel, {line: 'measureLine', polygon: 'measurePolygon'}, handler.getMode(), handler.setMode);
+		this._unitSelect = this._createSelect(panel, {metric: 'metric', imperial: 'imperial', nautical: 'nautical'}, handler.getUnits(), handler.setUnits);
+		map.on('measureenable measuredisable localechange', this._update, this);
+		this._update();
+		return container;
+	},
+	onRemove: function (map) {
+		map.off('measureenable measuredisable localechange', this._update, this);
+	},
+	_createSelect: function (container, choices, value, fn) {
+		var select = create$1('select', 'atlas-control-measure-select', container),
+		    handler = this._map.measure,
+		    option;
+		for (var i in choices) {
+			option = create$1('option', '', select);
+			option.value = i;
+			option.localeKey = choices[i];
+			option.selected = i === value;
+		}
+		on(select, 'change', function () {
+			fn.call(handler, select.value);
+		});
+		return select;
+	},
+	_onClick: function () {
+		var handler = this._map.measure;
+		if (handler.enabled()) {
+			handler.disable();
+		} else {
+			handler.enable();
+		}
+	},
+	_update: function () {
+		var map = this._map,
+		    title = this.options.title || map.translate('measure'),
+		    selects = [this._modeSelect, this._unitSelect],
+		    i, j;
+		this._link.title = title;
+		this._link.setAttribute('aria-label', title);
+		this._link.setAttribute('aria-pressed', map.measure.enabled());
+		if (map.measure.enabled()) {
+			addClass(this._container, 'atlas-control-measure-active');
+		} else {
+			removeClass(this._container, 'atlas-control-measure-active');
+		}
+		for (i = 0; i < selects.length; i++) {
+			for (j = 0; j < selects[i].options.length; j++) {
+				selects[i].options[j].text = map.translate(selects[i].options[j].localeKey);
+			}
+		}
 	}
-	var latlngCenter = crs.unproject(toPoint(center));
-	return toLatLng([latlngCenter.lat + centroidLatLng.lat, latlngCenter.lng + centroidLatLng.lng]);
-  }
-  function centroid(coords) {
-	var latSum = 0;
-	var lngSum = 0;
-	var len = 0;
-	for (var i = 0; i < coords.length; i++) {
-		var latlng = toLatLng(coords[i]);
-		latSum += latlng.lat;
-		lngSum += latlng.lng;
-		len++;
+  });
+  var measure = function (options) {
+	return new MeasureControl(options);
+  };
+  var Search = Control.extend({
+	options: {
+		position: 'topleft',
+		provider: null,
+		placeholder: null,
+		debounce: 300,
+		minLength: 2,
+		maxResults: 5,
+		maxZoom: 16,
+		marker: true
+	},
+	initialize: function (options) {
+		setOptions(this, options);
+		if (!this.options.provider || !this.options.provider.search) {
+			throw new Error('Control.Search requires a provider with a search(query) method.');
+		}
+		this._results = [];
+		this._activeIndex = -1;
+		this._requestId = 0;
+	},
+	onAdd: function (map) {
+		var className = 'atlas-control-search',
+		    container = this._container = create$1('div', className),
+		    form = create$1('form', className + '-form', container),
+		    input = this._input = create$1('input', className + '-input', form),
+		    list = this._list = create$1('ul', className + '-results', container);
+		input.type = 'search';
+		input.autocomplete = 'off';
+		input.setAttribute('role', 'combobox');
+		input.setAttribute('aria-autocomplete', 'list');
+		input.setAttribute('aria-expanded', false);
+		list.id = className + '-results-' + stamp(this);
+		list.setAttribute('role', 'listbox');
+		input.setAttribute('aria-controls', list.id);
+		disableClickPropagation(container);
+		disableScrollPropagation(container);
+		on(form, 'submit', preventDefault);
+		on(input, 'input', this._onInput, this);
+		on(input, 'keydown', this._onKeyDown, this);
+		map.on('localechange', this._updateLabels, this);
+		this._updateLabels();
+		return container;
+	},
+	onRemove: function (map) {
+		clearTimeout(this._timer);
+		map.off('localechange', this._updateLabels, this);
+		this.clear();
+	},
+	search: function (query) {
+		var id = ++this._requestId,
+		    container = this._container,
+		    provider = this.options.provider,
+		    that = this;
+		clearTimeout(this._timer);
+		addClass(container, 'atlas-control-search-loading');
+		return new Promise(function (resolve) {
+			resolve(provider.search(query));
+		}).then(function (results) {
+			if (id !== that._requestId) { return results; }
+			removeClass(container, 'atlas-control-search-loading');
+			that._showResults((results || []).slice(0, that.options.maxResults));
+			that._map.fire('searchresults', {query: query, results: that._results});
+			return that._results;
+		}, function (error) {
+			if (id === that._requestId) {
+				removeClass(container, 'atlas-control-search-loading');
+				that._showResults([]);
+				that._map.fire('searcherror', {query: query, error: error});
+			}
+			return [];
+		});
+	},
+	select: function (result) {
+		var map = this._map;
+		this._clearResults();
+		this._input.value = result.name;
+		this._removeMarker();
+		if (this.options.marker) {
+			this._marker = new Marker(result.latlng, {title: result.name, alt: result.name}).addTo(map);
+		}
+		map.fitBounds(result.bounds || toLatLngBounds(result.latlng, result.latlng), {maxZoom: this.options.maxZoom});
+		map.fire('searchselect', {result: result});
+		return this;
+	},
+	clear: function () {
+		this._requestId++;
+		this._input.value = '';
+		this._clearResults();
+		this._removeMarker();
+		return this;
+	},
+	_removeMarker: function () {
+		if (this._marker) {
+			this._marker.remove();
+			this._marker = null;
+		}
+	},
+	_updateLabels: function () {
+		var placeholder = this.options.placeholder || this._map.translate('search');
+		this._input.placeholder = placeholder;
+		this._input.setAttribute('aria-label', placeholder);
+	},
+	_onInput: function () {
+		var query = this._input.value.replace(/^\s+|\s+$/g, '');
+		clearTimeout(this._timer);
+		if (query.length < this.options.minLength) {
+			this._requestId++;
+			removeClass(this._container, 'atlas-control-search-loading');
+			this._clearResults();
+			return;
+		}
+		this._timer = setTimeout(bind(function () {
+			this.search(query);
+		}, this), this.options.debounce);
+	},
+	_onKeyDown: function (e) {
+		var count = this._results.length;
+		switch (e.keyCode) {
+		case 40:
+			this._setActive(count ? (this._activeIndex + 1) % count : -1);
+			break;
+		case 38:
+			this._setActive(count ? (this._activeIndex - 1 + count) % count : -1);
+			break;
+		case 13:
+			if (count) {
+				this.select(this._results[Math.max(this._activeIndex, 0)]);
+			} else if (this._input.value) {
+				this.search(this._input.value);
+			}
+			break;
+		case 27:
+			if (count || this._list.firstChild) {
+				this._clearResults();
+			} else {
+				this.clear();
+			}
+			break;
+		default:
+			return;
+		}
+		stop(e);
+	},
+	_showResults: function (results) {
+		var list = this._list,
+		    item;
+		this._clearResults();
+		this._results = results;
+		for (var i = 0; i < results.length; i++) {
+			item = create$1('li', 'atlas-control-search-result', list);
+			item.id = list.id + '-' + i;
+			item.setAttribute('role', 'option');
+			item.setAttribute('aria-selected', false);
+			item.textContent = results[i].name;
+			on(item, 'mousedown', preventDefault);
+			on(item, 'click', bind(this.select, this, results[i]));
+		}
+		if (!results.length) {
+			create$1('li', 'atlas-control-search-empty', list).textContent = this._map.translate('noResults');
+		}
+		this._input.setAttribute('aria-expanded', !!results.length);
+	},
+	_clearResults: function () {
+		empty(this._list);
+		this._results = [];
+		this._activeIndex = -1;
+		this._input.setAttribute('aria-expanded', false);
+		this._input.removeAttribute('aria-activedescendant');
+	},
+	_setActive: function (index) {
+		var items = this._list.children;
+		for (var i = 0; i < items.length; i++) {
+			removeClass(items[i], 'atlas-control-search-result-active');
+			items[i].setAttribute('aria-selected', false);
+		}
+		this._activeIndex = index;
+		if (items[index]) {
+			addClass(items[index], 'atlas-control-search-result-active');
+			items[index].setAttribute('aria-selected', true);
+			this._input.setAttribute('aria-activedescendant', items[index].id);
+		}
 	}
-	return toLatLng([latSum / len, lngSum / len]);
-  }
-  var PolyUtil = {
-    __proto__: null,
-    clipPolygon: clipPolygon,
-    polygonCenter: polygonCenter,
-    centroid: centroid
+  });
+  var search = function (options) {
+	return new Search(options);
   };
-  function simplify(points, tolerance) {
-	if (!tolerance || !points.length) {
-		return points.slice();
+  var GeoJSONSearchProvider = Class.extend({
+	options: {
+		properties: ['name']
+	},
+	initialize: function (layer, options) {
+		setOptions(this, options);
+		this._layer = layer;
+	},
+	search: function (query) {
+		var properties = this.options.properties,
+		    needle = String(query).toLowerCase(),
+		    results = [];
+		function visit(layer) {
+			if (layer.eachLayer) {
+				layer.eachLayer(visit);
+			}
+			var props = layer.feature && layer.feature.properties;
+			if (!props) { return; }
+			for (var i = 0; i < properties.length; i++) {
+				var value = props[properties[i]],
+				    index = value === undefined || value === null ? -1 : String(value).toLowerCase().indexOf(needle);
+				if (index !== -1) {
+					var bounds = layer.getBounds ? layer.getBounds() : null;
+					results.push({
+						name: String(value),
+						latlng: layer.getLatLng ? layer.getLatLng() : bounds.getCenter(),
+						bounds: bounds,
+						layer: layer,
+						properties: props,
+						rank: index === 0 ? 0 : 1
+					});
+					return;
+				}
+			}
+		}
+		visit(this._layer);
+		results.sort(function (a, b) {
+			return a.rank - b.rank || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+		});
+		return Promise.resolve(results);
 	}
-	var sqTolerance = tolerance * tolerance;
-	    points = _reducePoints(points, sqTolerance);
-	    points = _simplifyDP(points, sqTolerance);
-	return points;
+  });
+  Search.GeoJSON = GeoJSONSearchProvider;
+  search.geoJSON = function (layer, options) {
+	return new GeoJSONSearchProvider(layer, options);
+  };
+  var utmBands = 'CDEFGHJKLMNPQRSTUVWXX',
+      mgrsColumns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'],
+      mgrsRows = 'ABCDEFGHJKLMNPQRSTUV',
+      mgrsMinNorthing = {
+	C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000, J: 6400000,
+	K: 7300000, L: 8200000, M: 9100000, N: 0, P: 800000, Q: 1700000, R: 2600000,
+	S: 3500000, T: 4400000, U: 5300000, V: 6200000, W: 7000000, X: 7900000
+      };
+  var utmA = 6378137,
+      utmE2 = 0.00669437999014,
+      utmEp2 = utmE2 / (1 - utmE2),
+      utmK0 = 0.9996;
+  function latLngToUTM(latlng) {
+	var lat = latlng.lat,
+	    lng = latlng.lng;
+	if (lat < -80 || lat > 84) { return null; }
+	var zone = Math.min(Math.floor((lng + 180) / 6) + 1, 60);
+	if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) {
+		zone = 32;
+	} else if (lat >= 72) {
+		zone = lng >= 0 && lng < 9 ? 31 : lng >= 9 && lng < 21 ? 33 : lng >= 21 && lng < 33 ? 35 : lng >= 33 && lng < 42 ? 37 : zone;
+	}
+	var rad = Math.PI / 180,
+	    e4 = utmE2 * utmE2,
+	    e6 = e4 * utmE2,
+	    phi = lat * rad,
+	    sinPhi = Math.sin(phi),
+	    cosPhi = Math.cos(phi),
+	    n = utmA / Math.sqrt(1 - utmE2 * sinPhi * sinPhi),
+	    t = Math.tan(phi) * Math.tan(phi),
+	    c = utmEp2 * cosPhi * cosPhi,
+	    a = cosPhi * (lng - ((zone - 1) * 6 - 177)) * rad,
+	    m = utmA * ((1 - utmE2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+		(3 * utmE2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+		(15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+		(35 * e6 / 3072) * Math.sin(6 * phi)),
+	    easting = utmK0 * n * (a + (1 - t + c) * Math.pow(a, 3) / 6 +
+		(5 - 18 * t + t * t + 72 * c - 58 * utmEp2) * Math.pow(a, 5) / 120) + 500000,
+	    northing = utmK0 * (m + n * Math.tan(phi) * (a * a / 2 + (5 - t + 9 * c + 4 * c * c) * Math.pow(a, 4) / 24 +
+		(61 - 58 * t + t * t + 600 * c - 330 * utmEp2) * Math.pow(a, 6) / 720));
+	return {
+		zone: zone,
+		band: utmBands.charAt(Math.floor((lat + 80) / 8)),
+		easting: easting,
+		northing: lat < 0 ? northing + 10000000 : northing
+	};
   }
-  function pointToSegmentDistance(p, p1, p2) {
-	return Math.sqrt(_sqClosestPointOnSegment(p, p1, p2, true));
+  function utmToLatLng(zone, north, easting, northing) {
+	var e4 = utmE2 * utmE2,
+	    e6 = e4 * utmE2,
+	    e1 = (1 - Math.sqrt(1 - utmE2)) / (1 + Math.sqrt(1 - utmE2)),
+	    x = easting - 500000,
+	    mu = (north ? northing : northing - 10000000) / utmK0 / (utmA * (1 - utmE2 / 4 - 3 * e4 / 64 - 5 * e6 / 256)),
+	    phi = mu + (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+		(21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+		(151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+		(1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu),
+	    sinPhi = Math.sin(phi),
+	    cosPhi = Math.cos(phi),
+	    n = utmA / Math.sqrt(1 - utmE2 * sinPhi * sinPhi),
+	    t = Math.tan(phi) * Math.tan(phi),
+	    c = utmEp2 * cosPhi * cosPhi,
+	    r = utmA * (1 - utmE2) / Math.pow(1 - utmE2 * sinPhi * sinPhi, 1.5),
+	    d = x / (n * utmK0),
+	    lat = phi - (n * Math.tan(phi) / r) * (d * d / 2 -
+		(5 + 3 * t + 10 * c - 4 * c * c - 9 * utmEp2) * Math.pow(d, 4) / 24 +
+		(61 + 90 * t + 298 * c + 45 * t * t - 252 * utmEp2 - 3 * c * c) * Math.pow(d, 6) / 720),
+	    lng = (d - (1 + 2 * t + c) * Math.pow(d, 3) / 6 +
+		(5 - 2 * c + 28 * t - 3 * c * c + 8 * utmEp2 + 24 * t * t) * Math.pow(d, 5) / 120) / cosPhi;
+	return new LatLng(lat * 180 / Math.PI, (zone - 1) * 6 - 177 + lng * 180 / Math.PI);
   }
-  function closestPointOnSegment(p, p1, p2) {
-	return _sqClosestPointOnSegment(p, p1, p2);
+  function utmToMGRS(utm) {
+	var column = mgrsColumns[(utm.zone - 1) % 3].charAt(Math.floor(utm.easting / 100000) - 1),
+	    row = mgrsRows.charAt((Math.floor(utm.northing / 100000) + (utm.zone % 2 ? 0 : 5)) % 20),
+	    easting = '0000' + Math.floor(utm.easting % 100000),
+	    northing = '0000' + Math.floor(utm.northing % 100000);
+	return utm.zone + utm.band + ' ' + column + row + ' ' + easting.slice(-5) + ' ' + northing.slice(-5);
   }
-  function _simplifyDP(points, sqTolerance) {
-	var len = points.length,
-	    ArrayConstructor = typeof Uint8Array !== undefined + '' ? Uint8Array : Array,
-	    markers = new ArrayConstructor(len);
-	    markers[0] = markers[len - 1] = 1;
-	_simplifyDPStep(points, markers, sqTolerance, 0, len - 1);
-	var i,
-	    newPoints = [];
-	for (i = 0; i < len; i++) {
-		if (markers[i]) {
-			newPoints.push(points[i]);
-		}
-	}
-	return newPoints;
+  function parseMGRS(text) {
+	var match = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/i.exec(text);
+	if (!match) { return null; }
+	var zone = +match[1],
+	    band = match[2].toUpperCase(),
+	    column = mgrsColumns[(zone - 1) % 3].indexOf(match[3].toUpperCase()),
+	    row = mgrsRows.indexOf(match[4].toUpperCase()),
+	    easting = match[6] ? match[5] : match[5].slice(0, match[5].length / 2),
+	    northing = match[6] || match[5].slice(match[5].length / 2);
+	if (zone < 1 || zone > 60 || column === -1 || row === -1 ||
+	    easting.length !== northing.length || easting.length > 5) { return null; }
+	var scale = Math.pow(10, 5 - easting.length),
+	    x = (column + 1) * 100000 + (+easting || 0) * scale,
+	    y = ((row - (zone % 2 ? 0 : 5) + 20) % 20) * 100000 + (+northing || 0) * scale;
+	while (y < mgrsMinNorthing[band]) {
+		y += 2000000;
+	}
+	return utmToLatLng(zone, band >= 'N', x, y);
   }
-  function _simplifyDPStep(points, markers, sqTolerance, first, last) {
-	var maxSqDist = 0,
-	index, i, sqDist;
-	for (i = first + 1; i <= last - 1; i++) {
-		sqDist = _sqClosestPointOnSegment(points[i], points[first], points[last], true);
-		if (sqDist > maxSqDist) {
-			index = i;
-			maxSqDist = sqDist;
-		}
-	}
-	if (maxSqDist > sqTolerance) {
-		markers[index] = 1;
-		_simplifyDPStep(points, markers, sqTolerance, first, index);
-		_simplifyDPStep(points, markers, sqTolerance, index, last);
-	}
+  function parseUTM(text) {
+	var match = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*[,\s]\s*(\d+(?:\.\d+)?)$/i.exec(text);
+	if (!match || +match[1] < 1 || +match[1] > 60) { return null; }
+	return utmToLatLng(+match[1], match[2].toUpperCase() >= 'N', +match[3], +match[4]);
   }
-  function _reducePoints(points, sqTolerance) {
-	var reducedPoints = [points[0]];
-	for (var i = 1, prev = 0, len = points.length; i < len; i++) {
-		if (_sqDist(points[i], points[prev]) > sqTolerance) {
-			reducedPoints.push(points[i]);
-			prev = i;
+  function formatDMS(value, positive, negative) {
+	var abs = Math.abs(value),
+	    deg = Math.floor(abs),
+	    min = Math.floor((abs - deg) * 60),
+	    sec = Math.round(((abs - deg) * 60 - min) * 600) / 10;
+	if (sec >= 60) {
+		sec = 0;
+		min++;
+	}
+	if (min >= 60) {
+		min = 0;
+		deg++;
+	}
+	return deg + '°' + (min < 10 ? '0' : '') + min + '′' + (sec < 10 ? '0' : '') + sec.toFixed(1) + '″' +
+		(value < 0 ? negative : positive);
+  }
+  function parseDMS(text) {
+	var patterns = [
+		/([NSEW])?\s*([-+]?\d+(?:\.\d+)?)\s*[°º]?\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:["″]|'')\s*)?([NSEW])?/gi,
+		/([NSEW])?\s*([-+]?\d+(?:\.\d+)?)\s*[°º]?(?:\s*(\d+(?:\.\d+)?)\s*['′]?)?(?:\s*(\d+(?:\.\d+)?)\s*(?:["″]|'')?)?\s*([NSEW])?/gi
+	    ],
+	    parts, match, value, hemisphere;
+	for (var i = 0; i < patterns.length; i++) {
+		parts = [];
+		while ((match = patterns[i].exec(text)) && parts.length < 3) {
+			value = Math.abs(+match[2]) + (+match[3] || 0) / 60 + (+match[4] || 0) / 3600;
+			hemisphere = (match[1] || match[5] || '').toUpperCase();
+			if (match[1] && match[5]) {
+				patterns[i].lastIndex--;
+			}
+			if (match[2].charAt(0) === '-' || hemisphere === 'S' || hemisphere === 'W') {
+				value = -value;
+			}
+			parts.push({value: value, hemisphere: hemisphere});
 		}
+		if (parts.length === 2) { break; }
 	}
-	if (prev < len - 1) {
-		reducedPoints.push(points[len - 1]);
+	if (parts.length !== 2) { return null; }
+	if (/[EW]/.test(parts[0].hemisphere) || /[NS]/.test(parts[1].hemisphere)) {
+		parts.reverse();
 	}
-	return reducedPoints;
+	if (Math.abs(parts[0].value) > 90 || Math.abs(parts[1].value) > 180) { return null; }
+	return new LatLng(parts[0].value, parts[1].value);
   }
-  var _lastCode;
-  function clipSegment(a, b, bounds, useLastCode, round) {
-	var codeA = useLastCode ? _lastCode : _getBitCode(a, bounds),
-	    codeB = _getBitCode(b, bounds),
-	    codeOut, p, newCode;
-	    _lastCode = codeB;
-	while (true) {
-		if (!(codeA | codeB)) {
-			return [a, b];
+  var Coordinates = Control.extend({
+	options: {
+		position: 'bottomleft',
+		format: 'decimal',
+		formats: ['decimal', 'dms', 'utm', 'mgrs', 'projected'],
+		formatLabels: {
+			decimal: 'DD',
+			dms: 'DMS',
+			utm: 'UTM',
+			mgrs: 'MGRS',
+			projected: 'XY'
+		},
+		decimals: 5,
+		pinStyle: {
+			color: '#fff',
+			fillColor: '#e4572e',
+			fillOpacity: 1,
+			weight: 2,
+			radius: 5,
+			interactive: false
 		}
-		if (codeA & codeB) {
-			return false;
+	},
+	initialize: function (options) {
+		setOptions(this, options);
+		this._format = this.options.format;
+	},
+	onAdd: function (map) {
+		var className = 'atlas-control-coordinates',
+		    container = this._container = create$1('div', className),
+		    value = this._value = create$1('a', className + '-value', container),
+		    select = this._select = create$1('select', className + '-format', container),
+		    formats = this.options.formats,
+		    option, i;
+		value.href = '#';
+		value.setAttribute('role', 'button');
+		on(value, 'click', preventDefault);
+		on(value, 'click', this.copy, this);
+		for (i = 0; i < formats.length; i++) {
+			option = create$1('option', '', select);
+			option.value = formats[i];
+			option.text = this.options.formatLabels[formats[i]] || formats[i];
+		}
+		select.value = this._format;
+		on(select, 'change', function () {
+			this.setFormat(select.value);
+		}, this);
+		this._pinButton = this._createButton(className + '-pin', this._togglePin);
+		this._editButton = this._createButton(className + '-edit', this._toggleInput);
+		var form = create$1('form', className + '-form', container),
+		    input = this._input = create$1('input', className + '-input', form);
+		input.type = 'text';
+		on(form, 'submit', preventDefault);
+		on(form, 'submit', this._onSubmit, this);
+		on(input, 'keydown', function (e) {
+			if (e.keyCode === 27) {
+				this._closeInput();
+			}
+		}, this);
+		disableClickPropagation(container);
+		map.on({
+			mousemove: this._onMouseMove,
+			click: this._onMapClick,
+			localechange: this._updateTitles
+		}, this);
+		map.whenReady(function () {
+			this._latlng = this._latlng || map.getCenter();
+			this._update();
+		}, this);
+		this._updateTitles();
+		return container;
+	},
+	onRemove: function (map) {
+		map.off({
+			mousemove: this._onMouseMove,
+			click: this._onMapClick,
+			localechange: this._updateTitles
+		}, this);
+		this.unpin();
+	},
+	getFormat: function () {
+		return this._format;
+	},
+	setFormat: function (format) {
+		this._format = format;
+		if (this._select) {
+			this._select.value = format;
+			this._update();
 		}
-		codeOut = codeA || codeB;
-		p = _getEdgeIntersection(a, b, codeOut, bounds, round);
-		newCode = _getBitCode(p, bounds);
-		if (codeOut === codeA) {
-			a = p;
-			codeA = newCode;
+		return this;
+	},
+	format: function (latlng, format) {
+		var decimals = this.options.decimals,
+		    utm, point;
+		latlng = toLatLng(latlng);
+		switch (format || this._format) {
+		case 'dms':
+			latlng = latlng.wrap();
+			return formatDMS(latlng.lat, 'N', 'S') + ' ' + formatDMS(latlng.lng, 'E', 'W');
+		case 'utm':
+			utm = latLngToUTM(latlng.wrap());
+			return utm ? utm.zone + utm.band + ' ' + Math.floor(utm.easting) + ' ' + Math.floor(utm.northing) : '—';
+		case 'mgrs':
+			utm = latLngToUTM(latlng.wrap());
+			return utm ? utmToMGRS(utm) : '—';
+		case 'projected':
+			point = this._map.options.crs.project(latlng);
+			return point.x.toFixed(2) + ', ' + point.y.toFixed(2);
+		default:
+			latlng = latlng.wrap();
+			return latlng.lat.toFixed(decimals) + ', ' + latlng.lng.toFixed(decimals);
+		}
+	},
+	parse: function (text) {
+		var value = String(text).replace(/^\s+|\s+$/g, ''),
+		    numbers = /^([-+]?\d+(?:\.\d+)?)\s*[,;\s]\s*([-+]?\d+(?:\.\d+)?)$/.exec(value);
+		if (numbers) {
+			var x = +numbers[1],
+			    y = +numbers[2];
+			if (this._format === 'projected' || Math.abs(x) > 180 || Math.abs(y) > 180) {
+				return this._map.options.crs.unproject(new Point(x, y));
+			}
+			return Math.abs(x) > 90 ? null : new LatLng(x, y);
+		}
+		return parseMGRS(value) || parseUTM(value) || parseDMS(value);
+	},
+	pin: function (latlng) {
+		var map = this._map;
+		this._pinned = toLatLng(latlng);
+		if (this._pinMarker) {
+			this._pinMarker.setLatLng(this._pinned);
 		} else {
-			b = p;
-			codeB = newCode;
+			this._pinMarker = new CircleMarker(this._pinned, this.options.pinStyle).addTo(map);
 		}
-	}
-  }
-  function _getEdgeIntersection(a, b, code, bounds, round) {
-	var dx = b.x - a.x,
-	    dy = b.y - a.y,
-	    min = bounds.min,
-	    max = bounds.max,
-	    x, y;
-	if (code & 8) {
-		x = a.x + dx * (max.y - a.y) / dy;
-		y = max.y;
-	} else if (code & 4) {
-		x = a.x + dx * (min.y - a.y) / dy;
-		y = min.y;
-	} else if (code & 2) {
-		x = max.x;
-		y = a.y + dy * (max.x - a.x) / dx;
-	} else if (code & 1) {
-		x = min.x;
-		y = a.y + dy * (min.x - a.x) / dx;
-	}
-	return new Point(x, y, round);
-  }
-  function _getBitCode(p, bounds) {
-	var code = 0;
-	if (p.x < bounds.min.x) {
-		code |= 1;
-	} else if (p.x > bounds.max.x) {
-		code |= 2;
-	}
-	if (p.y < bounds.min.y) {
-		code |= 4;
-	} else if (p.y > bounds.max.y) {
-		code |= 8;
-	}
-	return code;
-  }
-  function _sqDist(p1, p2) {
-	var dx = p2.x - p1.x,
-	    dy = p2.y - p1.y;
-	return dx * dx + dy * dy;
-  }
-  function _sqClosestPointOnSegment(p, p1, p2, sqDist) {
-	var x = p1.x,
-	    y = p1.y,
-	    dx = p2.x - x,
-	    dy = p2.y - y,
-	    dot = dx * dx + dy * dy,
-	    t;
-	if (dot > 0) {
-		t = ((p.x - x) * dx + (p.y - y) * dy) / dot;
-		if (t > 1) {
-			x = p2.x;
-			y = p2.y;
-		} else if (t > 0) {
-			x += dx * t;
-			y += dy * t;
-		}
-	}
-	dx = p.x - x;
-	dy = p.y - y;
-	return sqDist ? dx * dx + dy * dy : new Point(x, y);
-  }
-  function isFlat(latlngs) {
-	return !isArray(latlngs[0]) || (typeof latlngs[0][0] !== 'object' && typeof latlngs[0][0] !== 'undefined');
-  }
-  function _flat(latlngs) {
-	console.warn('Deprecated use of _flat, please use atlas.LineUtil.isFlat instead.');
-	return isFlat(latlngs);
-  }
-  function polylineCenter(latlngs, crs) {
-	var i, halfDist, segDist, dist, p1, p2, ratio, center;
-	if (!latlngs || latlngs.length === 0) {
-		throw new Error('latlngs not passed');
-	}
-	if (!isFlat(latlngs)) {
-		console.warn('latlngs are not flat! Only the first ring will be used');
-		latlngs = latlngs[0];
-	}
-	var centroidLatLng = toLatLng([0, 0]);
-	var bounds = toLatLngBounds(latlngs);
-	var areaBounds = bounds.getNorthWest().distanceTo(bounds.getSouthWest()) * bounds.getNorthEast().distanceTo(bounds.getNorthWest());
-	if (areaBounds < 1700) {
-		centroidLatLng = centroid(latlngs);
-	}
-	var len = latlngs.length;
-	var points = [];
-	for (i = 0; i < len; i++) {
-		var latlng = toLatLng(latlngs[i]);
-		points.push(crs.project(toLatLng([latlng.lat - centroidLatLng.lat, latlng.lng - centroidLatLng.lng])));
-	}
-	for (i = 0, halfDist = 0; i < len - 1; i++) {
-		halfDist += points[i].distanceTo(points[i + 1]) / 2;
-	}
-	if (halfDist === 0) {
-		center = points[0];
-	} else {
-		for (i = 0, dist = 0; i < len - 1; i++) {
-			p1 = points[i];
-			p2 = points[i + 1];
-			segDist = p1.distanceTo(p2);
-			dist += segDist;
-			if (dist > halfDist) {
-				ratio = (dist - halfDist) / segDist;
-				center = [
-					p2.x - ratio * (p2.x - p1.x),
-					p2.y - ratio * (p2.y - p1.y)
-				];
-				break;
-			}
-		}
-	}
-	var latlngCenter = crs.unproject(toPoint(center));
-	return toLatLng([latlngCenter.lat + centroidLatLng.lat, latlngCenter.lng + centroidLatLng.lng]);
-  }
-  var LineUtil = {
-    __proto__: null,
-    simplify: simplify,
-    pointToSegmentDistance: pointToSegmentDistance,
-    closestPointOnSegment: closestPointOnSegment,
-    clipSegment: clipSegment,
-    _getEdgeIntersection: _getEdgeIntersection,
-    _getBitCode: _getBitCode,
-    _sqClosestPointOnSegment: _sqClosestPointOnSegment,
-    isFlat: isFlat,
-    _flat: _flat,
-    polylineCenter: polylineCenter
-  };
-  var index = {
-    __proto__: null,
-    SphericalMercator: SphericalMercator
-  };
-  CRS.Earth = Earth;
-  CRS.EPSG3857 = EPSG3857;
-  CRS.EPSG900913 = EPSG900913;
-  var Layer = Evented.extend({
-	options: {
-		pane: 'overlayPane',
-		attribution: null,
-		bubblingMouseEvents: true
+		addClass(this._container, 'atlas-control-coordinates-pinned');
+		this._pinButton.setAttribute('aria-pressed', true);
+		this._update();
+		map.fire('coordinatespin', {latlng: this._pinned});
+		return this;
 	},
-	addTo: function (map) {
-		map.addLayer(this);
+	unpin: function () {
+		if (!this._pinned) { return this; }
+		this._pinned = null;
+		this._pinMarker.remove();
+		this._pinMarker = null;
+		removeClass(this._container, 'atlas-control-coordinates-pinned');
+		this._pinButton.setAttribute('aria-pressed', false);
+		this._update();
 		return this;
 	},
-	remove: function () {
-		return this.removeFrom(this._map || this._mapToAdd);
+	isPinned: function () {
+		return !!this._pinned;
 	},
-	removeFrom: function (obj) {
-		if (obj) {
-			obj.removeLayer(this);
+	copy: function () {
+		var text = this._value.textContent,
+		    map = this._map,
+		    latlng = this._pinned || this._latlng,
+		    container = this._container;
+		function done() {
+			addClass(container, 'atlas-control-coordinates-copied');
+			setTimeout(function () {
+				removeClass(container, 'atlas-control-coordinates-copied');
+			}, 1000);
+			map.fire('coordinatescopy', {text: text, latlng: latlng});
+		}
+		if (navigator.clipboard && navigator.clipboard.writeText) {
+			navigator.clipboard.writeText(text).then(done, falseFn);
+		} else {
+			var area = create$1('textarea', '', document.body);
+			area.value = text;
+			area.select();
+			if (document.execCommand && document.execCommand('copy')) {
+				done();
+			}
+			remove(area);
 		}
 		return this;
 	},
-	getPane: function (name) {
-		return this._map.getPane(name ? (this.options[name] || name) : this.options.pane);
+	_createButton: function (className, fn) {
+		var link = create$1('a', className, this._container);
+		link.href = '#';
+		link.setAttribute('role', 'button');
+		on(link, 'click', stop);
+		on(link, 'click', fn, this);
+		return link;
 	},
-	addInteractiveTarget: function (targetEl) {
-		this._map._targets[stamp(targetEl)] = this;
-		return this;
+	_updateTitles: function () {
+		var map = this._map,
+		    titles = [
+			[this._value, 'copyCoordinates'],
+			[this._pinButton, 'pinCoordinates'],
+			[this._editButton, 'goToCoordinates'],
+			[this._select, 'coordinateFormat']
+		    ];
+		for (var i = 0; i < titles.length; i++) {
+			titles[i][0].title = map.translate(titles[i][1]);
+			titles[i][0].setAttribute('aria-label', titles[i][0].title);
+		}
+		this._input.setAttribute('aria-label', this._editButton.title);
 	},
-	removeInteractiveTarget: function (targetEl) {
-		delete this._map._targets[stamp(targetEl)];
-		return this;
+	_update: function () {
+		var latlng = this._pinned || this._latlng;
+		if (latlng) {
+			this._value.textContent = this.format(latlng);
+		}
 	},
-	getAttribution: function () {
-		return this.options.attribution;
+	_onMouseMove: function (e) {
+		this._latlng = e.latlng;
+		if (!this._pinned) {
+			this._update();
+		}
 	},
-	_layerAdd: function (e) {
-		var map = e.target;
-		if (!map.hasLayer(this)) { return; }
-		this._map = map;
-		this._zoomAnimated = map._zoomAnimated;
-		if (this.getEvents) {
-			var events = this.getEvents();
-			map.on(events, this);
-			this.once('remove', function () {
-				map.off(events, this);
-			}, this);
+	_onMapClick: function (e) {
+		if (this._pinned) {
+			this.pin(e.latlng);
 		}
-		this.onAdd(map);
-		this.fire('add');
-		map.fire('layeradd', {layer: this});
+	},
+	_togglePin: function () {
+		if (this._pinned) {
+			this.unpin();
+		} else {
+			this.pin(this._latlng || this._map.getCenter());
+		}
+	},
+	_toggleInput: function () {
+		var input = this._input;
+		if (hasClass(this._container, 'atlas-control-coordinates-editing')) {
+			this._closeInput();
+			return;
+		}
+		addClass(this._container, 'atlas-control-coordinates-editing');
+		input.value = this._value.textContent;
+		input.focus();
+		input.select();
+	},
+	_closeInput: function () {
+		removeClass(this._container, 'atlas-control-coordinates-editing');
+		removeClass(this._input, 'atlas-control-coordinates-invalid');
+		this._input.removeAttribute('aria-invalid');
+	},
+	_onSubmit: function () {
+		var latlng = this.parse(this._input.value);
+		if (!latlng) {
+			addClass(this._input, 'atlas-control-coordinates-invalid');
+			this._input.setAttribute('aria-invalid', true);
+			return;
+		}
+		this._closeInput();
+		this.pin(latlng);
+		this._map.panTo(latlng);
 	}
   });
-  Map.include({
-	addLayer: function (layer) {
-		if (!layer._layerAdd) {
-			throw new Error('The provided object is not a Layer.');
+  var coordinates = function (options) {
+	return new Coordinates(options);
+  };
+  var Sidebar = Control.extend({
+	options: {
+		position: 'left',
+		width: 320,
+		collapsed: true,
+		mobileBreakpoint: 640,
+		autoPadding: true,
+		panels: []
+	},
+	initialize: function (options) {
+		setOptions(this, options);
+		this._panels = [];
+		this._activeId = null;
+		for (var i = 0; i < this.options.panels.length; i++) {
+			this.addPanel(this.options.panels[i]);
 		}
-		var id = stamp(layer);
-		if (this._layers[id]) { return this; }
-		this._layers[id] = layer;
-		layer._mapToAdd = this;
-		if (layer.beforeAdd) {
-			layer.beforeAdd(this);
+	},
+	onAdd: function (map) {
+		var className = 'atlas-sidebar',
+		    container = create$1('div', className + ' ' + className + '-' + this.options.position);
+		this._container = container;
+		this._tabs = create$1('ul', className + '-tabs', container);
+		this._tabs.setAttribute('role', 'tablist');
+		this._tabs.setAttribute('aria-orientation', 'vertical');
+		this._content = create$1('div', className + '-content', container);
+		this._content.style.width = this.options.width + 'px';
+		disableClickPropagation(container);
+		disableScrollPropagation(container);
+		for (var i = 0; i < this._panels.length; i++) {
+			this._addPanelElements(this._panels[i]);
+		}
+		if (this.options.collapsed || !this._panels.length) {
+			addClass(container, className + '-collapsed');
+			this._activeId = null;
+		} else {
+			this._setActive(this._activeId || this._panels[0].id);
+		}
+		map.on('resize', this._updateLayout, this);
+		map.on('localechange', this._updateTitles, this);
+		this._updateTitles();
+		map._controlContainer.appendChild(container);
+		if (window.ResizeObserver) {
+			this._resizeObserver = new window.ResizeObserver(bind(this._updateLayout, this));
+			this._resizeObserver.observe(container);
+		}
+		this._updateLayout();
+		return container;
+	},
+	onRemove: function (map) {
+		map.off('resize', this._updateLayout, this);
+		map.off('localechange', this._updateTitles, this);
+		if (this._resizeObserver) {
+			this._resizeObserver.disconnect();
+			this._resizeObserver = null;
+		}
+		this._shiftCorners({});
+		this._applyPadding({});
+	},
+	addPanel: function (panel) {
+		panel = extend({}, panel);
+		this._panels.push(panel);
+		if (this._map) {
+			this._addPanelElements(panel);
+			this._updateTitles();
+			this._updateLayout();
 		}
-		this.whenReady(layer._layerAdd, layer);
 		return this;
 	},
-	removeLayer: function (layer) {
-		var id = stamp(layer);
-		if (!this._layers[id]) { return this; }
-		if (this._loaded) {
-			layer.onRemove(this);
+	removePanel: function (id) {
+		var panel = this._getPanel(id);
+		if (!panel) { return this; }
+		if (this._activeId === id) {
+			this.close();
 		}
-		delete this._layers[id];
-		if (this._loaded) {
-			this.fire('layerremove', {layer: layer});
-			layer.fire('remove');
+		if (panel._pane) {
+			remove(panel._tab.parentNode);
+			remove(panel._pane);
+		}
+		this._panels.splice(indexOf(this._panels, panel), 1);
+		if (this._map) {
+			this._updateLayout();
 		}
-		layer._map = layer._mapToAdd = null;
 		return this;
 	},
-	hasLayer: function (layer) {
-		return stamp(layer) in this._layers;
+	open: function (id) {
+		var panel = this._getPanel(id || this._activeId) || this._panels[0];
+		if (!panel || !this._container) { return this; }
+		this._setActive(panel.id);
+		removeClass(this._container, 'atlas-sidebar-collapsed');
+		this._updateLayout();
+		this._map.fire('sidebaropen', {id: panel.id});
+		return this;
 	},
-	eachLayer: function (method, context) {
-		for (var i in this._layers) {
-			method.call(context, this._layers[i]);
-		}
+	close: function () {
+		if (!this._container || !this.isOpen()) { return this; }
+		var id = this._activeId;
+		addClass(this._container, 'atlas-sidebar-collapsed');
+		this._setActive(null);
+		this._updateLayout();
+		this._map.fire('sidebarclose', {id: id});
 		return this;
 	},
-	_addLayers: function (layers) {
-		layers = layers ? (isArray(layers) ? layers : [layers]) : [];
-		for (var i = 0, len = layers.length; i < len; i++) {
-			this.addLayer(layers[i]);
-		}
+	isOpen: function () {
+		return !!this._container && !hasClass(this._container, 'atlas-sidebar-collapsed');
 	},
-	_addZoomLimit: function (layer) {
-		if (!isNaN(layer.options.maxZoom) || !isNaN(layer.options.minZoom)) {
-			this._zoomBoundLayers[stamp(layer)] = layer;
-			this._updateZoomLevels();
-		}
+	getActivePanel: function () {
+		return this._activeId;
 	},
-	_removeZoomLimit: function (layer) {
-		var id = stamp(layer);
-		if (this._zoomBoundLayers[id]) {
-			delete this._zoomBoundLayers[id];
-			this._updateZoomLevels();
+	_getPanel: function (id) {
+		for (var i = 0; i < this._panels.length; i++) {
+			if (this._panels[i].id === id) {
+				return this._panels[i];
+			}
 		}
 	},
-	_updateZoomLevels: function () {
-		var minZoom = Infinity,
-		    maxZoom = -Infinity,
-		    oldZoomSpan = this._getZoomSpan();
-		for (var i in this._zoomBoundLayers) {
-			var options = this._zoomBoundLayers[i].options;
-			minZoom = options.minZoom === undefined ? minZoom : Math.min(minZoom, options.minZoom);
-			maxZoom = options.maxZoom === undefined ? maxZoom : Math.max(maxZoom, options.maxZoom);
-		}
-		this._layersMaxZoom = maxZoom === -Infinity ? undefined : maxZoom;
-		this._layersMinZoom = minZoom === Infinity ? undefined : minZoom;
-		if (oldZoomSpan !== this._getZoomSpan()) {
-			this.fire('zoomlevelschange');
-		}
-		if (this.options.maxZoom === undefined && this._layersMaxZoom && this.getZoom() > this._layersMaxZoom) {
-			this.setZoom(this._layersMaxZoom);
-		}
-		if (this.options.minZoom === undefined && this._layersMinZoom && this.getZoom() < this._layersMinZoom) {
-			this.setZoom(this._layersMinZoom);
-		}
-	}
-  });
-  var LayerGroup = Layer.extend({
-	initialize: function (layers, options) {
-		setOptions(this, options);
-		this._layers = {};
-		var i, len;
-		if (layers) {
-			for (i = 0, len = layers.length; i < len; i++) {
-				this.addLayer(layers[i]);
+	_addPanelElements: function (panel) {
+		var className = 'atlas-sidebar',
+		    id = className + '-' + stamp(this) + '-' + panel.id,
+		    tab = panel._tab = create$1('a', className + '-tab', create$1('li', '', this._tabs)),
+		    pane = panel._pane = create$1('section', className + '-pane', this._content),
+		    header = create$1('h2', className + '-header', pane),
+		    body = create$1('div', className + '-body', pane);
+		tab.href = '#';
+		tab.id = id + '-tab';
+		tab.title = panel.title || '';
+		tab.innerHTML = panel.tab || (panel.title || '').charAt(0);
+		tab.setAttribute('role', 'tab');
+		tab.setAttribute('aria-controls', id);
+		tab.setAttribute('aria-selected', false);
+		on(tab, 'click', stop);
+		on(tab, 'click', function () {
+			if (this._activeId === panel.id) {
+				this.close();
+			} else {
+				this.open(panel.id);
+			}
+		}, this);
+		on(tab, 'keydown', this._onTabKeyDown, this);
+		pane.id = id;
+		pane.setAttribute('role', 'tabpanel');
+		pane.setAttribute('aria-labelledby', tab.id);
+		header.innerHTML = panel.title || '';
+		var close = panel._close = create$1('a', className + '-close', header);
+		close.href = '#';
+		close.innerHTML = '<span aria-hidden="true">&#215;</span>';
+		close.setAttribute('role', 'button');
+		on(close, 'click', stop);
+		on(close, 'click', this.close, this);
+		if (typeof panel.content === 'string') {
+			body.innerHTML = panel.content;
+		} else if (panel.content) {
+			body.appendChild(panel.content);
+		}
+	},
+	_setActive: function (id) {
+		var panel;
+		this._activeId = id;
+		for (var i = 0; i < this._panels.length; i++) {
+			panel = this._panels[i];
+			if (!panel._pane) { continue; }
+			if (panel.id === id) {
+				addClass(panel._tab, 'atlas-sidebar-tab-active');
+				addClass(panel._pane, 'atlas-sidebar-pane-active');
+			} else {
+				removeClass(panel._tab, 'atlas-sidebar-tab-active');
+				removeClass(panel._pane, 'atlas-sidebar-pane-active');
 			}
+			panel._tab.setAttribute('aria-selected', panel.id === id);
 		}
 	},
-	addLayer: function (layer) {
-		var id = this.getLayerId(layer);
-		this._layers[id] = layer;
-		if (this._map) {
-			this._map.addLayer(layer);
+	_onTabKeyDown: function (e) {
+		var tabs = [],
+		    i, index;
+		for (i = 0; i < this._panels.length; i++) {
+			if (this._panels[i]._tab === e.target) {
+				index = i;
+			}
+			tabs.push(this._panels[i]._tab);
+		}
+		switch (e.keyCode) {
+		case 37:
+		case 38:
+			index = (index - 1 + tabs.length) % tabs.length;
+			break;
+		case 39:
+		case 40:
+			index = (index + 1) % tabs.length;
+			break;
+		case 36:
+			index = 0;
+			break;
+		case 35:
+			index = tabs.length - 1;
+			break;
+		default:
+			return;
 		}
-		return this;
-	},
-	removeLayer: function (layer) {
-		var id = layer in this._layers ? layer : this.getLayerId(layer);
-		if (this._map && this._layers[id]) {
-			this._map.removeLayer(this._layers[id]);
+		stop(e);
+		tabs[index].focus();
+	},
+	_updateTitles: function () {
+		var title = this._map.translate('closeSidebar');
+		for (var i = 0; i < this._panels.length; i++) {
+			if (this._panels[i]._close) {
+				this._panels[i]._close.title = title;
+				this._panels[i]._close.setAttribute('aria-label', title);
+			}
 		}
-		delete this._layers[id];
-		return this;
-	},
-	hasLayer: function (layer) {
-		var layerId = typeof layer === 'number' ? layer : this.getLayerId(layer);
-		return layerId in this._layers;
-	},
-	clearLayers: function () {
-		return this.eachLayer(this.removeLayer, this);
 	},
-	invoke: function (methodName) {
-		var args = Array.prototype.slice.call(arguments, 1),
-		    i, layer;
-		for (i in this._layers) {
-			layer = this._layers[i];
-			if (layer[methodName]) {
-				layer[methodName].apply(layer, args);
+	_updateLayout: function () {
+		if (!this._map) { return; }
+		var map = this._map,
+		    container = this._container,
+		    sheet = map.getSize().x < this.options.mobileBreakpoint,
+		    padding = {};
+		if (sheet) {
+			addClass(container, 'atlas-sidebar-sheet');
+			this._tabs.setAttribute('aria-orientation', 'horizontal');
+			padding.bottom = container.offsetHeight;
+		} else {
+			removeClass(container, 'atlas-sidebar-sheet');
+			this._tabs.setAttribute('aria-orientation', 'vertical');
+			padding[this.options.position] = container.offsetWidth;
+		}
+		this._shiftCorners(padding);
+		if (this.options.autoPadding) {
+			this._applyPadding(padding);
+		}
+	},
+	_shiftCorners: function (padding) {
+		var corners = this._map._controlCorners,
+		    saved = this._cornerStyles = this._cornerStyles || {},
+		    sides = ['right', 'bottom', 'left'],
+		    pos, side, key, i;
+		for (pos in corners) {
+			for (i = 0; i < sides.length; i++) {
+				side = sides[i];
+				key = pos + ' ' + side;
+				if (pos.indexOf(side) === -1) { continue; }
+				if (padding[side]) {
+					if (!(key in saved)) {
+						saved[key] = corners[pos].style[side];
+					}
+					corners[pos].style[side] = padding[side] + 'px';
+				} else if (key in saved) {
+					corners[pos].style[side] = saved[key];
+					delete saved[key];
+				}
 			}
 		}
-		return this;
-	},
-	onAdd: function (map) {
-		this.eachLayer(map.addLayer, map);
-	},
-	onRemove: function (map) {
-		this.eachLayer(map.removeLayer, map);
 	},
-	eachLayer: function (method, context) {
-		for (var i in this._layers) {
-			method.call(context, this._layers[i]);
+	_applyPadding: function (padding) {
+		var map = this._map,
+		    current = map.getViewportPadding(),
+		    applied = this._padding || {},
+		    changed = false,
+		    value;
+		for (var side in current) {
+			value = current[side] - (applied[side] || 0) + (padding[side] || 0);
+			changed = changed || value !== current[side];
+			current[side] = value;
 		}
-		return this;
-	},
-	getLayer: function (id) {
-		return this._layers[id];
+		this._padding = padding;
+		if (changed) {
+			map.setViewportPadding(current);
+		}
+	}
+  });
+  var sidebar = function (options) {
+	return new Sidebar(options);
+  };
+  Control.Layers = Layers;
+  Control.Zoom = Zoom;
+  Control.ZoomSlider = ZoomSlider;
+  Control.Scale = Scale;
+  Control.Attribution = Attribution;
+  Control.MiniMap = MiniMap;
+  Control.Print = Print;
+  Control.Fullscreen = Fullscreen;
+  Control.Locate = Locate;
+  Control.Measure = MeasureControl;
+  Control.Search = Search;
+  Control.Coordinates = Coordinates;
+  Control.Sidebar = Sidebar;
+  control.layers = layers;
+  control.zoom = zoom;
+  control.zoomSlider = zoomSlider;
+  control.scale = scale;
+  control.attribution = attribution;
+  control.miniMap = miniMap;
+  control.print = print;
+  control.fullscreen = fullscreen;
+  control.locate = locate;
+  control.measure = measure;
+  control.search = search;
+  control.coordinates = coordinates;
+  control.sidebar = sidebar;
+  var Handler = Class.extend({
+	initialize: function (map) {
+		this._map = map;
 	},
-	getLayers: function () {
-		var layers = [];
-		this.eachLayer(layers.push, layers);
-		return layers;
+	enable: function () {
+		if (this._enabled) { return this; }
+		this._enabled = true;
+		this.addHooks();
+		return this;
 	},
-	setZIndex: function (zIndex) {
-		return this.invoke('setZIndex', zIndex);
+	disable: function () {
+		if (!this._enabled) { return this; }
+		this._enabled = false;
+		this.removeHooks();
+		return this;
 	},
-	getLayerId: function (layer) {
-		return stamp(layer);
+	enabled: function () {
+		return !!this._enabled;
 	}
   });
-  var layerGroup = function (layers, options) {
-	return new LayerGroup(layers, options);
+  Handler.addTo = function (map, name) {
+	map.addHandler(name, this);
+	return this;
   };
-  var FeatureGroup = LayerGroup.extend({
-	addLayer: function (layer) {
-		if (this.hasLayer(layer)) {
-			return this;
+  var Mixin = {Events: Events};
+  var START = Browser.touch ? 'touchstart mousedown' : 'mousedown';
+  var Draggable = Evented.extend({
+	options: {
+		clickTolerance: 3
+	},
+	initialize: function (element, dragStartTarget, preventOutline, options) {
+		setOptions(this, options);
+		this._element = element;
+		this._dragStartTarget = dragStartTarget || element;
+		this._preventOutline = preventOutline;
+	},
+	enable: function () {
+		if (this._enabled) { return; }
+		on(this._dragStartTarget, START, this._onDown, this);
+		this._enabled = true;
+	},
+	disable: function () {
+		if (!this._enabled) { return; }
+		if (Draggable._dragging === this) {
+			this.finishDrag(true);
 		}
-		layer.addEventParent(this);
-		LayerGroup.prototype.addLayer.call(this, layer);
-		return this.fire('layeradd', {layer: layer});
+		off(this._dragStartTarget, START, this._onDown, this);
+		this._enabled = false;
+		this._moved = false;
 	},
-	removeLayer: function (layer) {
-		if (!this.hasLayer(layer)) {
-			return this;
+	_onDown: function (e) {
+		if (!this._enabled) { return; }
+		this._moved = false;
+		if (hasClass(this._element, 'atlas-zoom-anim')) { return; }
+		if (e.touches && e.touches.length !== 1) {
+			if (Draggable._dragging === this) {
+				this.finishDrag();
+			}
+			return;
 		}
-		if (layer in this._layers) {
-			layer = this._layers[layer];
+		if (Draggable._dragging || e.shiftKey || ((e.which !== 1) && (e.button !== 1) && !e.touches)) { return; }
+		Draggable._dragging = this;
+		if (this._preventOutline) {
+			preventOutline(this._element);
 		}
-		layer.removeEventParent(this);
-		LayerGroup.prototype.removeLayer.call(this, layer);
-		return this.fire('layerremove', {layer: layer});
+		disableImageDrag();
+		disableTextSelection();
+		if (this._moving) { return; }
+		this.fire('down');
+		var first = e.touches ? e.touches[0] : e,
+		    sizedParent = getSizedParentNode(this._element);
+		this._startPoint = new Point(first.clientX, first.clientY);
+		this._startPos = getPosition(this._element);
+		this._parentScale = getScale(sizedParent);
+		var mouseevent = e.type === 'mousedown';
+		on(document, mouseevent ? 'mousemove' : 'touchmove', this._onMove, this);
+		on(document, mouseevent ? 'mouseup' : 'touchend touchcancel', this._onUp, this);
 	},
-	setStyle: function (style) {
-		return this.invoke('setStyle', style);
+	_onMove: function (e) {
+		if (!this._enabled) { return; }
+		if (e.touches && e.touches.length > 1) {
+			this._moved = true;
+			return;
+		}
+		var first = (e.touches && e.touches.length === 1 ? e.touches[0] : e),
+		    offset = new Point(first.clientX, first.clientY)._subtract(this._startPoint);
+		if (!offset.x && !offset.y) { return; }
+		if (Math.abs(offset.x) + Math.abs(offset.y) < this.options.clickTolerance) { return; }
+		offset.x /= this._parentScale.x;
+		offset.y /= this._parentScale.y;
+		preventDefault(e);
+		if (!this._moved) {
+			this.fire('dragstart');
+			this._moved = true;
+			addClass(document.body, 'atlas-dragging');
+			this._lastTarget = e.target || e.srcElement;
+			if (window.SVGElementInstance && this._lastTarget instanceof window.SVGElementInstance) {
+				this._lastTarget = this._lastTarget.correspondingUseElement;
+			}
+			addClass(this._lastTarget, 'atlas-drag-target');
+		}
+		this._newPos = this._startPos.add(offset);
+		this._moving = true;
+		this._lastEvent = e;
+		this._updatePosition();
 	},
-	bringToFront: function () {
-		return this.invoke('bringToFront');
+	_updatePosition: function () {
+		var e = {originalEvent: this._lastEvent};
+		this.fire('predrag', e);
+		setPosition(this._element, this._newPos);
+		this.fire('drag', e);
 	},
-	bringToBack: function () {
-		return this.invoke('bringToBack');
+	_onUp: function () {
+		if (!this._enabled) { return; }
+		this.finishDrag();
 	},
-	getBounds: function () {
-		var bounds = new LatLngBounds();
-		for (var id in this._layers) {
-			var layer = this._layers[id];
-			bounds.extend(layer.getBounds ? layer.getBounds() : layer.getLatLng());
+	finishDrag: function (noInertia) {
+		removeClass(document.body, 'atlas-dragging');
+		if (this._lastTarget) {
+			removeClass(this._lastTarget, 'atlas-drag-target');
+			this._lastTarget = null;
+		}
+		off(document, 'mousemove touchmove', this._onMove, this);
+		off(document, 'mouseup touchend touchcancel', this._onUp, this);
+		enableImageDrag();
+		enableTextSelection();
+		var fireDragend = this._moved && this._moving;
+		this._moving = false;
+		Draggable._dragging = false;
+		if (fireDragend) {
+			this.fire('dragend', {
+				noInertia: noInertia,
+				distance: this._newPos.distanceTo(this._startPos)
+			});
+		}
+	}
+  });
+  function clipPolygon(points, bounds, round) {
+	var clippedPoints,
+	    edges = [1, 4, 2, 8],
+	    i, j, k,
+	    a, b,
+	    len, edge, p;
+	for (i = 0, len = points.length; i < len; i++) {
+		points[i]._code = _getBitCode(points[i], bounds);
+	}
+	for (k = 0; k < 4; k++) {
+		edge = edges[k];
+		clippedPoints = [];
+		for (i = 0, len = points.length, j = len - 1; i < len; j = i++) {
+			a = points[i];
+			b = points[j];
+			if (!(a._code & edge)) {
+				if (b._code & edge) {
+					p = _getEdgeIntersection(b, a, edge, bounds, round);
+					p._code = _getBitCode(p, bounds);
+					clippedPoints.push(p);
+				}
+				clippedPoints.push(a);
+			} else if (!(b._code & edge)) {
+				p = _getEdgeIntersection(b, a, edge, bounds, round);
+				p._code = _getBitCode(p, bounds);
+				clippedPoints.push(p);
+			}
+		}
+		points = clippedPoints;
+	}
+	return points;
+  }
+  function polygonCenter(latlngs, crs) {
+	var i, j, p1, p2, f, area, x, y, center;
+	if (!latlngs || latlngs.length === 0) {
+		throw new Error('latlngs not passed');
+	}
+	if (!isFlat(latlngs)) {
+		console.warn('latlngs are not flat! Only the first ring will be used');
+		latlngs = latlngs[0];
+	}
+	var centroidLatLng = toLatLng([0, 0]);
+	var bounds = toLatLngBounds(latlngs);
+	var areaBounds = bounds.getNorthWest().distanceTo(bounds.getSouthWest()) * bounds.getNorthEast().distanceTo(bounds.getNorthWest());
+	if (areaBounds < 1700) {
+		centroidLatLng = centroid(latlngs);
+	}
+	var len = latlngs.length;
+	var points = [];
+	for (i = 0; i < len; i++) {
+		var latlng = toLatLng(latlngs[i]);
+		points.push(crs.project(toLatLng([latlng.lat - centroidLatLng.lat, latlng.lng - centroidLatLng.lng])));
+	}
+	area = x = y = 0;
+	for (i = 0, j = len - 1; i < len; j = i++) {
+		p1 = points[i];
+		p2 = points[j];
+		f = p1.y * p2.x - p2.y * p1.x;
+		x += (p1.x + p2.x) * f;
+		y += (p1.y + p2.y) * f;
+		area += f * 3;
+	}
+	if (area === 0) {
+		center = points[0];
+	} else {
+		center = [x / area, y / area];
+	}
+	var latlngCenter = crs.unproject(toPoint(center));
+	return toLatLng([latlngCenter.lat + centroidLatLng.lat, latlngCenter.lng + centroidLatLng.lng]);
+  }
+  function centroid(coords) {
+	var latSum = 0;
+	var lngSum = 0;
+	var len = 0;
+	for (var i = 0; i < coords.length; i++) {
+		var latlng = toLatLng(coords[i]);
+		latSum += latlng.lat;
+		lngSum += latlng.lng;
+		len++;
+	}
+	return toLatLng([latSum / len, lngSum / len]);
+  }
+  var PolyUtil = {
+    __proto__: null,
+    clipPolygon: clipPolygon,
+    polygonCenter: polygonCenter,
+    centroid: centroid
+  };
+  function simplify(points, tolerance) {
+	if (!tolerance || !points.length) {
+		return points.slice();
+	}
+	var sqTolerance = tolerance * tolerance;
+	    points = _reducePoints(points, sqTolerance);
+	    points = _simplifyDP(points, sqTolerance);
+	return points;
+  }
+  function pointToSegmentDistance(p, p1, p2) {
+	return Math.sqrt(_sqClosestPointOnSegment(p, p1, p2, true));
+  }
+  function closestPointOnSegment(p, p1, p2) {
+	return _sqClosestPointOnSegment(p, p1, p2);
+  }
+  function _simplifyDP(points, sqTolerance) {
+	var len = points.length,
+	    ArrayConstructor = typeof Uint8Array !== undefined + '' ? Uint8Array : Array,
+	    markers = new ArrayConstructor(len);
+	    markers[0] = markers[len - 1] = 1;
+	_simplifyDPStep(points, markers, sqTolerance, 0, len - 1);
+	var i,
+	    newPoints = [];
+	for (i = 0; i < len; i++) {
+		if (markers[i]) {
+			newPoints.push(points[i]);
+		}
+	}
+	return newPoints;
+  }
+  function _simplifyDPStep(points, markers, sqTolerance, first, last) {
+	var maxSqDist = 0,
+	index, i, sqDist;
+	for (i = first + 1; i <= last - 1; i++) {
+		sqDist = _sqClosestPointOnSegment(points[i], points[first], points[last], true);
+		if (sqDist > maxSqDist) {
+			index = i;
+			maxSqDist = sqDist;
+		}
+	}
+	if (maxSqDist > sqTolerance) {
+		markers[index] = 1;
+		_simplifyDPStep(points, markers, sqTolerance, first, index);
+		_simplifyDPStep(points, markers, sqTolerance, index, last);
+	}
+  }
+  function _reducePoints(points, sqTolerance) {
+	var reducedPoints = [points[0]];
+	for (var i = 1, prev = 0, len = points.length; i < len; i++) {
+		if (_sqDist(points[i], points[prev]) > sqTolerance) {
+			reducedPoints.push(points[i]);
+			prev = i;
+		}
+	}
+	if (prev < len - 1) {
+		reducedPoints.push(points[len - 1]);
+	}
+	return reducedPoints;
+  }
+  var _lastCode;
+  function clipSegment(a, b, bounds, useLastCode, round) {
+	var codeA = useLastCode ? _lastCode : _getBitCode(a, bounds),
+	    codeB = _getBitCode(b, bounds),
+	    codeOut, p, newCode;
+	    _lastCode = codeB;
+	while (true) {
+		if (!(codeA | codeB)) {
+			return [a, b];
+		}
+		if (codeA & codeB) {
+			return false;
+		}
+		codeOut = codeA || codeB;
+		p = _getEdgeIntersection(a, b, codeOut, bounds, round);
+		newCode = _getBitCode(p, bounds);
+		if (codeOut === codeA) {
+			a = p;
+			codeA = newCode;
+		} else {
+			b = p;
+			codeB = newCode;
+		}
+	}
+  }
+  function _getEdgeIntersection(a, b, code, bounds, round) {
+	var dx = b.x - a.x,
+	    dy = b.y - a.y,
+	    min = bounds.min,
+	    max = bounds.max,
+	    x, y;
+	if (code & 8) {
+		x = a.x + dx * (max.y - a.y) / dy;
+		y = max.y;
+	} else if (code & 4) {
+		x = a.x + dx * (min.y - a.y) / dy;
+		y = min.y;
+	} else if (code & 2) {
+		x = max.x;
+		y = a.y + dy * (max.x - a.x) / dx;
+	} else if (code & 1) {
+		x = min.x;
+		y = a.y + dy * (min.x - a.x) / dx;
+	}
+	return new Point(x, y, round);
+  }
+  function _getBitCode(p, bounds) {
+	var code = 0;
+	if (p.x < bounds.min.x) {
+		code |= 1;
+	} else if (p.x > bounds.max.x) {
+		code |= 2;
+	}
+	if (p.y < bounds.min.y) {
+		code |= 4;
+	} else if (p.y > bounds.max.y) {
+		code |= 8;
+	}
+	return code;
+  }
+  function _sqDist(p1, p2) {
+	var dx = p2.x - p1.x,
+	    dy = p2.y - p1.y;
+	return dx * dx + dy * dy;
+  }
+  function _sqClosestPointOnSegment(p, p1, p2, sqDist) {
+	var x = p1.x,
+	    y = p1.y,
+	    dx = p2.x - x,
+	    dy = p2.y - y,
+	    dot = dx * dx + dy * dy,
+	    t;
+	if (dot > 0) {
+		t = ((p.x - x) * dx + (p.y - y) * dy) / dot;
+		if (t > 1) {
+			x = p2.x;
+			y = p2.y;
+		} else if (t > 0) {
+			x += dx * t;
+			y += dy * t;
+		}
+	}
+	dx = p.x - x;
+	dy = p.y - y;
+	return sqDist ? dx * dx + dy * dy : new Point(x, y);
+  }
+  function isFlat(latlngs) {
+	return !isArray(latlngs[0]) || (typeof latlngs[0][0] !== 'object' && typeof latlngs[0][0] !== 'undefined');
+  }
+  function _flat(latlngs) {
+	console.warn('Deprecated use of _flat, please use atlas.LineUtil.isFlat instead.');
+	return isFlat(latlngs);
+  }
+  function polylineCenter(latlngs, crs) {
+	var i, halfDist, segDist, dist, p1, p2, ratio, center;
+	if (!latlngs || latlngs.length === 0) {
+		throw new Error('latlngs not passed');
+	}
+	if (!isFlat(latlngs)) {
+		console.warn('latlngs are not flat! Only the first ring will be used');
+		latlngs = latlngs[0];
+	}
+	var centroidLatLng = toLatLng([0, 0]);
+	var bounds = toLatLngBounds(latlngs);
+	var areaBounds = bounds.getNorthWest().distanceTo(bounds.getSouthWest()) * bounds.getNorthEast().distanceTo(bounds.getNorthWest());
+	if (areaBounds < 1700) {
+		centroidLatLng = centroid(latlngs);
+	}
+	var len = latlngs.length;
+	var points = [];
+	for (i = 0; i < len; i++) {
+		var latlng = toLatLng(latlngs[i]);
+		points.push(crs.project(toLatLng([latlng.lat - centroidLatLng.lat, latlng.lng - centroidLatLng.lng])));
+	}
+	for (i = 0, halfDist = 0; i < len - 1; i++) {
+		halfDist += points[i].distanceTo(points[i + 1]) / 2;
+	}
+	if (halfDist === 0) {
+		center = points[0];
+	} else {
+		for (i = 0, dist = 0; i < len - 1; i++) {
+			p1 = points[i];
+			p2 = points[i + 1];
+			segDist = p1.distanceTo(p2);
+			dist += segDist;
+			if (dist > halfDist) {
+				ratio = (dist - halfDist) / segDist;
+				center = [
+					p2.x - ratio * (p2.x - p1.x),
+					p2.y - ratio * (p2.y - p1.y)
+				];
+				break;
+			}
+		}
+	}
+	var latlngCenter = crs.unproject(toPoint(center));
+	return toLatLng([latlngCenter.lat + centroidLatLng.lat, latlngCenter.lng + centroidLatLng.lng]);
+  }
+  var LineUtil = {
+    __proto__: null,
+    simplify: simplify,
+    pointToSegmentDistance: pointToSegmentDistance,
+    closestPointOnSegment: closestPointOnSegment,
+    clipSegment: clipSegment,
+    _getEdgeIntersection: _getEdgeIntersection,
+    _getBitCode: _getBitCode,
+    _sqClosestPointOnSegment: _sqClosestPointOnSegment,
+    isFlat: isFlat,
+    _flat: _flat,
+    polylineCenter: polylineCenter
+  };
+  var index = {
+    __proto__: null,
+    SphericalMercator: SphericalMercator
+  };
+  CRS.Earth = Earth;
+  CRS.EPSG3857 = EPSG3857;
+  CRS.EPSG900913 = EPSG900913;
+  var Layer = Evented.extend({
+	options: {
+		pane: 'overlayPane',
+		attribution: null,
+		bubblingMouseEvents: true
+	},
+	addTo: function (map) {
+		map.addLayer(this);
+		return this;
+	},
+	remove: function () {
+		return this.removeFrom(this._map || this._mapToAdd);
+	},
+	removeFrom: function (obj) {
+		if (obj) {
+			obj.removeLayer(this);
+		}
+		return this;
+	},
+	getPane: function (name) {
+		return this._map.getPane(name ? (this.options[name] || name) : this.options.pane);
+	},
+	addInteractiveTarget: function (targetEl) {
+		this._map._targets[stamp(targetEl)] = this;
+		return this;
+	},
+	removeInteractiveTarget: function (targetEl) {
+		delete this._map._targets[stamp(targetEl)];
+		return this;
+	},
+	getAttribution: function () {
+		return this.options.attribution;
+	},
+	_layerAdd: function (e) {
+		var map = e.target;
+		if (!map.hasLayer(this)) { return; }
+		this._map = map;
+		this._zoomAnimated = map._zoomAnimated;
+		if (this.getEvents) {
+			var events = this.getEvents();
+			map.on(events, this);
+			this.once('remove', function () {
+				map.off(events, this);
+			}, this);
+		}
+		this.onAdd(map);
+		this.fire('add');
+		map.fire('layeradd', {layer: this});
+	}
+  });
+  Map.include({
+	addLayer: function (layer) {
+		if (!layer._layerAdd) {
+			throw new Error('The provided object is not a Layer.');
+		}
+		var id = stamp(layer);
+		if (this._layers[id]) { return this; }
+		this._layers[id] = layer;
+		layer._mapToAdd = this;
+		if (layer.beforeAdd) {
+			layer.beforeAdd(this);
+		}
+		this.whenReady(layer._layerAdd, layer);
+		return this;
+	},
+	removeLayer: function (layer) {
+		var id = stamp(layer);
+		if (!this._layers[id]) { return this; }
+		if (this._loaded) {
+			layer.onRemove(this);
+		}
+		delete this._layers[id];
+		if (this._loaded) {
+			this.fire('layerremove', {layer: layer});
+			layer.fire('remove');
+		}
+		layer._map = layer._mapToAdd = null;
+		return this;
+	},
+	hasLayer: function (layer) {
+		return stamp(layer) in this._layers;
+	},
+	eachLayer: function (method, context) {
+		for (var i in this._layers) {
+			method.call(context, this._layers[i]);
+		}
+		return this;
+	},
+	_addLayers: function (layers) {
+		layers = layers ? (isArray(layers) ? layers : [layers]) : [];
+		for (var i = 0, len = layers.length; i < len; i++) {
+			this.addLayer(layers[i]);
+		}
+	},
+	_addZoomLimit: function (layer) {
+		if (!isNaN(layer.options.maxZoom) || !isNaN(layer.options.minZoom)) {
+			this._zoomBoundLayers[stamp(layer)] = layer;
+			this._updateZoomLevels();
+		}
+	},
+	_removeZoomLimit: function (layer) {
+		var id = stamp(layer);
+		if (this._zoomBoundLayers[id]) {
+			delete this._zoomBoundLayers[id];
+			this._updateZoomLevels();
+		}
+	},
+	_updateZoomLevels: function () {
+		var minZoom = Infinity,
+		    maxZoom = -Infinity,
+		    oldZoomSpan = this._getZoomSpan();
+		for (var i in this._zoomBoundLayers) {
+			var options = this._zoomBoundLayers[i].options;
+			minZoom = options.minZoom === undefined ? minZoom : Math.min(minZoom, options.minZoom);
+			maxZoom = options.maxZoom === undefined ? maxZoom : Math.max(maxZoom, options.maxZoom);
+		}
+		this._layersMaxZoom = maxZoom === -Infinity ? undefined : maxZoom;
+		this._layersMinZoom = minZoom === Infinity ? undefined : minZoom;
+		if (oldZoomSpan !== this._getZoomSpan()) {
+			this.fire('zoomlevelschange');
+		}
+		if (this.options.maxZoom === undefined && this._layersMaxZoom && this.getZoom() > this._layersMaxZoom) {
+			this.setZoom(this._layersMaxZoom);
+		}
+		if (this.options.minZoom === undefined && this._layersMinZoom && this.getZoom() < this._layersMinZoom) {
+			this.setZoom(this._layersMinZoom);
+		}
+	}
+  });
+  var LayerGroup = Layer.extend({
+	initialize: function (layers, options) {
+		setOptions(this, options);
+		this._layers = {};
+		var i, len;
+		if (layers) {
+			for (i = 0, len = layers.length; i < len; i++) {
+				this.addLayer(layers[i]);
+			}
+		}
+	},
+	addLayer: function (layer) {
+		var id = this.getLayerId(layer);
+		this._layers[id] = layer;
+		if (this._map) {
+			this._map.addLayer(layer);
+		}
+		return this;
+	},
+	removeLayer: function (layer) {
+		var id = layer in this._layers ? layer : this.getLayerId(layer);
+		if (this._map && this._layers[id]) {
+			this._map.removeLayer(this._layers[id]);
+		}
+		delete this._layers[id];
+		return this;
+	},
+	hasLayer: function (layer) {
+		var layerId = typeof layer === 'number' ? layer : this.getLayerId(layer);
+		return layerId in this._layers;
+	},
+	clearLayers: function () {
+		return this.eachLayer(this.removeLayer, this);
+	},
+	invoke: function (methodName) {
+		var args = Array.prototype.slice.call(arguments, 1),
+		    i, layer;
+		for (i in this._layers) {
+			layer = this._layers[i];
+			if (layer[methodName]) {
+				layer[methodName].apply(layer, args);
+			}
+		}
+		return this;
+	},
+	onAdd: function (map) {
+		this.eachLayer(map.addLayer, map);
+	},
+	onRemove: function (map) {
+		this.eachLayer(map.removeLayer, map);
+	},
+	eachLayer: function (method, context) {
+		for (var i in this._layers) {
+			method.call(context, this._layers[i]);
+		}
+		return this;
+	},
+	getLayer: function (id) {
+		return this._layers[id];
+	},
+	getLayers: function () {
+		var layers = [];
+		this.eachLayer(layers.push, layers);
+		return layers;
+	},
+	setZIndex: function (zIndex) {
+		return this.invoke('setZIndex', zIndex);
+	},
+	getLayerId: function (layer) {
+		return stamp(layer);
+	}
+  });
+  var layerGroup = function (layers, options) {
+	return new LayerGroup(layers, options);
+  };
+  var FeatureGroup = LayerGroup.extend({
+	addLayer: function (layer) {
+		if (this.hasLayer(layer)) {
+			return this;
+		}
+		layer.addEventParent(this);
+		LayerGroup.prototype.addLayer.call(this, layer);
+		return this.fire('layeradd', {layer: layer});
+	},
+	removeLayer: function (layer) {
+		if (!this.hasLayer(layer)) {
+			return this;
+		}
+		if (layer in this._layers) {
+			layer = this._layers[layer];
+		}
+		layer.removeEventParent(this);
+		LayerGroup.prototype.removeLayer.call(this, layer);
+		return this.fire('layerremove', {layer: layer});
+	},
+	setStyle: function (style) {
+		return this.invoke('setStyle', style);
+	},
+	bringToFront: function () {
+		return this.invoke('bringToFront');
+	},
+	bringToBack: function () {
+		return this.invoke('bringToBack');
+	},
+	getBounds: function () {
+		var bounds = new LatLngBounds();
+		for (var id in this._layers) {
+			var layer = this._layers[id];
+			bounds.extend(layer.getBounds ? layer.getBounds() : layer.getLatLng());
 		}
 		return bounds;
 	}
@@ -4193,7 +7096,7 @@ Object.assign(IconDefault.prototype.options, {
 				(Math.max(panBounds.max.y, iconPos.y) - panBounds.max.y) / (bounds.max.y - panBounds.max.y) -
 				(Math.min(panBounds.min.y, iconPos.y) - panBounds.min.y) / (bounds.min.y - panBounds.min.y)
 			).multiplyBy(speed);
-			map.panBy(movement, {animate: false});
+			map.panBy(map._rotateOffset(movement), {animate: false});
 			this._draggable._newPos._add(movement);
 			this._draggable._startPos._add(movement);
 			setPosition(marker._icon, this._draggable._newPos);
@@ -4215,6 +7118,12 @@ Object.assign(IconDefault.prototype.options, {
 			.fire('dragstart');
 	},
 	_onPreDrag: function (e) {
+		var draggable = this._draggable,
+		    map = this._marker._map;
+		if (map._bearing) {
+			draggable._newPos = draggable._startPos.add(
+				map._rotateOffset(draggable._newPos.subtract(draggable._startPos), true));
+		}
 		if (this._marker.options.autoPan) {
 			cancelAnimFrame(this._panRequest);
 			this._panRequest = requestAnimFrame(this._adjustPan.bind(this, e));
@@ -4229,6 +7138,7 @@ Object.assign(IconDefault.prototype.options, {
 		if (shadow) {
 			setPosition(shadow, iconPos);
 		}
+		marker._updateUpright();
 		marker._latlng = latlng;
 		e.latlng = latlng;
 		e.oldLatLng = this._oldLatLng;
@@ -4343,7 +7253,8 @@ Object.assign(IconDefault.prototype.options, {
 	getEvents: function () {
 		return {
 			zoom: this.update,
-			viewreset: this.update
+			viewreset: this.update,
+			rotate: this.update
 		};
 	},
 	getLatLng: function () {
@@ -4464,9 +7375,20 @@ Object.assign(IconDefault.prototype.options, {
 		if (this._shadow) {
 			setPosition(this._shadow, pos);
 		}
+		this._updateUpright();
 		this._zIndex = pos.y + this.options.zIndexOffset;
 		this._resetZIndex();
 	},
+	_updateUpright: function () {
+		var bearing = this._map._bearing,
+		    elements = [this._icon, this._shadow];
+		for (var i = 0; i < elements.length; i++) {
+			var el = elements[i];
+			if (el && (bearing || el._atlas_angle)) {
+				setRotation(el, bearing, new Point(-parseFloat(el.style.marginLeft) || 0, -parseFloat(el.style.marginTop) || 0));
+			}
+		}
+	},
 	_updateZIndex: function (offset) {
 		if (this._icon) {
 			this._icon.style.zIndex = this._zIndex + offset;
@@ -5537,7 +8459,8 @@ Object.assign(IconDefault.prototype.options, {
 	getEvents: function () {
 		var events = {
 			zoom: this._updatePosition,
-			viewreset: this._updatePosition
+			viewreset: this._updatePosition,
+			rotate: this._updatePosition
 		};
 		if (this._zoomAnimated) {
 			events.zoomanim = this._animateZoom;
@@ -5619,6 +8542,12 @@ Object.assign(IconDefault.prototype.options, {
 		    left = this._containerLeft = -Math.round(this._containerWidth / 2) + offset.x;
 		this._container.style.bottom = bottom + 'px';
 		this._container.style.left = left + 'px';
+		if (this._map._bearing || this._container._atlas_angle) {
+			var marginBottom = parseInt(getStyle(this._container, 'marginBottom'), 10) || 0,
+			    origin = this._zoomAnimated ? new Point(0, 0) : pos.add(anchor);
+			setRotation(this._container, this._map._bearing,
+				origin._add(new Point(-left, this._container.offsetHeight + marginBottom + bottom)));
+		}
 	},
 	_getAnchor: function () {
 		return [0, 0];
@@ -5702,8 +8631,14 @@ Object.assign(IconDefault.prototype.options, {
 		if (this.options.keepInView) {
 			events.moveend = this._adjustPan;
 		}
+		if (this.options.closeButton) {
+			events.localechange = this._updateCloseButton;
+		}
 		return events;
 	},
+	_updateCloseButton: function () {
+		this._closeButton.setAttribute('aria-label', this._map.translate('closePopup'));
+	},
 	_initLayout: function () {
 		var prefix = 'atlas-popup',
 		    container = this._container = create$1('div',
@@ -5719,7 +8654,7 @@ Object.assign(IconDefault.prototype.options, {
 		if (this.options.closeButton) {
 			var closeButton = this._closeButton = create$1('a', prefix + '-close-button', container);
 			closeButton.setAttribute('role', 'button');
-			closeButton.setAttribute('aria-label', 'Close popup');
+			this._updateCloseButton();
 			closeButton.href = '#close';
 			closeButton.innerHTML = '<span aria-hidden="true">&#215;</span>';
 			on(closeButton, 'click', function (ev) {
@@ -5754,6 +8689,7 @@ Object.assign(IconDefault.prototype.options, {
 		var pos = this._map._latLngToNewLayerPoint(this._latlng, e.zoom, e.center),
 		    anchor = this._getAnchor();
 		setPosition(this._container, pos.add(anchor));
+		setRotation(this._container, this._map._bearing);
 	},
 	_adjustPan: function () {
 		if (!this.options.autoPan) { return; }
@@ -5766,12 +8702,11 @@ Object.assign(IconDefault.prototype.options, {
 		    marginBottom = parseInt(getStyle(this._container, 'marginBottom'), 10) || 0,
 		    containerHeight = this._container.offsetHeight + marginBottom,
 		    containerWidth = this._containerWidth,
-		    layerPos = new Point(this._containerLeft, -containerHeight - this._containerBottom);
-		layerPos._add(getPosition(this._container));
-		var containerPos = map.layerPointToContainerPoint(layerPos),
+		    containerPos = map.layerPointToContainerPoint(getPosition(this._container))
+			._add(new Point(this._containerLeft, -containerHeight - this._containerBottom)),
 		    padding = toPoint(this.options.autoPanPadding),
-		    paddingTL = toPoint(this.options.autoPanPaddingTopLeft || padding),
-		    paddingBR = toPoint(this.options.autoPanPaddingBottomRight || padding),
+		    paddingTL = toPoint(this.options.autoPanPaddingTopLeft || padding).add(map._getPaddingTopLeft()),
+		    paddingBR = toPoint(this.options.autoPanPaddingBottomRight || padding).add(map._getPaddingBottomRight()),
 		    size = map.getSize(),
 		    dx = 0,
 		    dy = 0;
@@ -5797,2343 +8732,3994 @@ Object.assign(IconDefault.prototype.options, {
 		}
 	},
 	_getAnchor: function () {
-		return toPoint(this._source && this._source._getPopupAnchor ? this._source._getPopupAnchor() : [0, 0]);
+		return toPoint(this._source && this._source._getPopupAnchor ? this._source._getPopupAnchor() : [0, 0]);
+	}
+  });
+  var popup = function (options, source) {
+	return new Popup(options, source);
+  };
+  Map.mergeOptions({
+	closePopupOnClick: true
+  });
+  Map.include({
+	openPopup: function (popup, latlng, options) {
+		this._initOverlay(Popup, popup, latlng, options)
+		  .openOn(this);
+		return this;
+	},
+	closePopup: function (popup) {
+		popup = arguments.length ? popup : this._popup;
+		if (popup) {
+			popup.close();
+		}
+		return this;
+	}
+  });
+  Layer.include({
+	bindPopup: function (content, options) {
+		this._popup = this._initOverlay(Popup, this._popup, content, options);
+		if (!this._popupHandlersAdded) {
+			this.on({
+				click: this._openPopup,
+				keypress: this._onKeyPress,
+				remove: this.closePopup,
+				move: this._movePopup
+			});
+			this._popupHandlersAdded = true;
+		}
+		return this;
+	},
+	unbindPopup: function () {
+		if (this._popup) {
+			this.off({
+				click: this._openPopup,
+				keypress: this._onKeyPress,
+				remove: this.closePopup,
+				move: this._movePopup
+			});
+			this._popupHandlersAdded = false;
+			this._popup = null;
+		}
+		return this;
+	},
+	openPopup: function (latlng) {
+		if (this._popup) {
+			if (!(this instanceof FeatureGroup)) {
+				this._popup._source = this;
+			}
+			if (this._popup._prepareOpen(latlng || this._latlng)) {
+				this._popup.openOn(this._map);
+			}
+		}
+		return this;
+	},
+	closePopup: function () {
+		if (this._popup) {
+			this._popup.close();
+		}
+		return this;
+	},
+	togglePopup: function () {
+		if (this._popup) {
+			this._popup.toggle(this);
+		}
+		return this;
+	},
+	isPopupOpen: function () {
+		return (this._popup ? this._popup.isOpen() : false);
+	},
+	setPopupContent: function (content) {
+		if (this._popup) {
+			this._popup.setContent(content);
+		}
+		return this;
+	},
+	getPopup: function () {
+		return this._popup;
+	},
+	_openPopup: function (e) {
+		if (!this._popup || !this._map) {
+			return;
+		}
+		stop(e);
+		var target = e.layer || e.target;
+		if (this._popup._source === target && !(target instanceof Path)) {
+			if (this._map.hasLayer(this._popup)) {
+				this.closePopup();
+			} else {
+				this.openPopup(e.latlng);
+			}
+			return;
+		}
+		this._popup._source = target;
+		this.openPopup(e.latlng);
+	},
+	_movePopup: function (e) {
+		this._popup.setLatLng(e.latlng);
+	},
+	_onKeyPress: function (e) {
+		if (e.originalEvent.keyCode === 13) {
+			this._openPopup(e);
+		}
+	}
+  });
+  var Tooltip = DivOverlay.extend({
+	options: {
+		pane: 'tooltipPane',
+		offset: [0, 0],
+		direction: 'auto',
+		permanent: false,
+		sticky: false,
+		opacity: 0.9
+	},
+	onAdd: function (map) {
+		DivOverlay.prototype.onAdd.call(this, map);
+		this.setOpacity(this.options.opacity);
+		map.fire('tooltipopen', {tooltip: this});
+		if (this._source) {
+			this.addEventParent(this._source);
+			this._source.fire('tooltipopen', {tooltip: this}, true);
+		}
+	},
+	onRemove: function (map) {
+		DivOverlay.prototype.onRemove.call(this, map);
+		map.fire('tooltipclose', {tooltip: this});
+		if (this._source) {
+			this.removeEventParent(this._source);
+			this._source.fire('tooltipclose', {tooltip: this}, true);
+		}
+	},
+	getEvents: function () {
+		var events = DivOverlay.prototype.getEvents.call(this);
+		if (!this.options.permanent) {
+			events.preclick = this.close;
+		}
+		return events;
+	},
+	_initLayout: function () {
+		var prefix = 'atlas-tooltip',
+		    className = prefix + ' ' + (this.options.className || '') + ' atlas-zoom-' + (this._zoomAnimated ? 'animated' : 'hide');
+		this._contentNode = this._container = create$1('div', className);
+		this._container.setAttribute('role', 'tooltip');
+		this._container.setAttribute('id', 'atlas-tooltip-' + stamp(this));
+	},
+	_updateLayout: function () {},
+	_adjustPan: function () {},
+	_setPosition: function (pos) {
+		var subX, subY,
+		    map = this._map,
+		    container = this._container,
+		    centerPoint = map.latLngToContainerPoint(map.getCenter()),
+		    tooltipPoint = map.layerPointToContainerPoint(pos),
+		    direction = this.options.direction,
+		    tooltipWidth = container.offsetWidth,
+		    tooltipHeight = container.offsetHeight,
+		    offset = toPoint(this.options.offset),
+		    anchor = this._getAnchor();
+		if (direction === 'top') {
+			subX = tooltipWidth / 2;
+			subY = tooltipHeight;
+		} else if (direction === 'bottom') {
+			subX = tooltipWidth / 2;
+			subY = 0;
+		} else if (direction === 'center') {
+			subX = tooltipWidth / 2;
+			subY = tooltipHeight / 2;
+		} else if (direction === 'right') {
+			subX = 0;
+			subY = tooltipHeight / 2;
+		} else if (direction === 'left') {
+			subX = tooltipWidth;
+			subY = tooltipHeight / 2;
+		} else if (tooltipPoint.x < centerPoint.x) {
+			direction = 'right';
+			subX = 0;
+			subY = tooltipHeight / 2;
+		} else {
+			direction = 'left';
+			subX = tooltipWidth + (offset.x + anchor.x) * 2;
+			subY = tooltipHeight / 2;
+		}
+		var latLngPos = pos;
+		pos = pos.subtract(toPoint(subX, subY, true)).add(offset).add(anchor);
+		removeClass(container, 'atlas-tooltip-right');
+		removeClass(container, 'atlas-tooltip-left');
+		removeClass(container, 'atlas-tooltip-top');
+		removeClass(container, 'atlas-tooltip-bottom');
+		addClass(container, 'atlas-tooltip-' + direction);
+		setPosition(container, pos);
+		setRotation(container, map._bearing, latLngPos.subtract(pos));
+	},
+	_updatePosition: function () {
+		var pos = this._map.latLngToLayerPoint(this._latlng);
+		this._setPosition(pos);
+	},
+	setOpacity: function (opacity) {
+		this.options.opacity = opacity;
+		if (this._container) {
+			setOpacity(this._container, opacity);
+		}
+	},
+	_animateZoom: function (e) {
+		var pos = this._map._latLngToNewLayerPoint(this._latlng, e.zoom, e.center);
+		this._setPosition(pos);
+	},
+	_getAnchor: function () {
+		return toPoint(this._source && this._source._getTooltipAnchor && !this.options.sticky ? this._source._getTooltipAnchor() : [0, 0]);
 	}
   });
-  var popup = function (options, source) {
-	return new Popup(options, source);
+  var tooltip = function (options, source) {
+	return new Tooltip(options, source);
   };
-  Map.mergeOptions({
-	closePopupOnClick: true
-  });
   Map.include({
-	openPopup: function (popup, latlng, options) {
-		this._initOverlay(Popup, popup, latlng, options)
+	openTooltip: function (tooltip, latlng, options) {
+		this._initOverlay(Tooltip, tooltip, latlng, options)
 		  .openOn(this);
 		return this;
 	},
-	closePopup: function (popup) {
-		popup = arguments.length ? popup : this._popup;
-		if (popup) {
-			popup.close();
-		}
+	closeTooltip: function (tooltip) {
+		tooltip.close();
 		return this;
 	}
   });
   Layer.include({
-	bindPopup: function (content, options) {
-		this._popup = this._initOverlay(Popup, this._popup, content, options);
-		if (!this._popupHandlersAdded) {
-			this.on({
-				click: this._openPopup,
-				keypress: this._onKeyPress,
-				remove: this.closePopup,
-				move: this._movePopup
-			});
-			this._popupHandlersAdded = true;
+	bindTooltip: function (content, options) {
+		if (this._tooltip && this.isTooltipOpen()) {
+			this.unbindTooltip();
+		}
+		this._tooltip = this._initOverlay(Tooltip, this._tooltip, content, options);
+		this._initTooltipInteractions();
+		if (this._tooltip.options.permanent && this._map && this._map.hasLayer(this)) {
+			this.openTooltip();
 		}
 		return this;
 	},
-	unbindPopup: function () {
-		if (this._popup) {
-			this.off({
-				click: this._openPopup,
-				keypress: this._onKeyPress,
-				remove: this.closePopup,
-				move: this._movePopup
-			});
-			this._popupHandlersAdded = false;
-			this._popup = null;
+	unbindTooltip: function () {
+		if (this._tooltip) {
+			this._initTooltipInteractions(true);
+			this.closeTooltip();
+			this._tooltip = null;
 		}
 		return this;
 	},
-	openPopup: function (latlng) {
-		if (this._popup) {
+	_initTooltipInteractions: function (remove) {
+		if (!remove && this._tooltipHandlersAdded) { return; }
+		var onOff = remove ? 'off' : 'on',
+		    events = {
+			remove: this.closeTooltip,
+			move: this._moveTooltip
+		    };
+		if (!this._tooltip.options.permanent) {
+			events.mouseover = this._openTooltip;
+			events.mouseout = this.closeTooltip;
+			events.click = this._openTooltip;
+			if (this._map) {
+				this._addFocusListeners();
+			} else {
+				events.add = this._addFocusListeners;
+			}
+		} else {
+			events.add = this._openTooltip;
+		}
+		if (this._tooltip.options.sticky) {
+			events.mousemove = this._moveTooltip;
+		}
+		this[onOff](events);
+		this._tooltipHandlersAdded = !remove;
+	},
+	openTooltip: function (latlng) {
+		if (this._tooltip) {
 			if (!(this instanceof FeatureGroup)) {
-				this._popup._source = this;
+				this._tooltip._source = this;
 			}
-			if (this._popup._prepareOpen(latlng || this._latlng)) {
-				this._popup.openOn(this._map);
+			if (this._tooltip._prepareOpen(latlng)) {
+				this._tooltip.openOn(this._map);
+				if (this.getElement) {
+					this._setAriaDescribedByOnLayer(this);
+				} else if (this.eachLayer) {
+					this.eachLayer(this._setAriaDescribedByOnLayer, this);
+				}
 			}
 		}
 		return this;
 	},
-	closePopup: function () {
-		if (this._popup) {
-			this._popup.close();
-		}
+	closeTooltip: function () {
+		if (this._tooltip) {
+			return this._tooltip.close();
+		}
+	},
+	toggleTooltip: function () {
+		if (this._tooltip) {
+			this._tooltip.toggle(this);
+		}
+		return this;
+	},
+	isTooltipOpen: function () {
+		return this._tooltip.isOpen();
+	},
+	setTooltipContent: function (content) {
+		if (this._tooltip) {
+			this._tooltip.setContent(content);
+		}
+		return this;
+	},
+	getTooltip: function () {
+		return this._tooltip;
+	},
+	_addFocusListeners: function () {
+		if (this.getElement) {
+			this._addFocusListenersOnLayer(this);
+		} else if (this.eachLayer) {
+			this.eachLayer(this._addFocusListenersOnLayer, this);
+		}
+	},
+	_addFocusListenersOnLayer: function (layer) {
+		var el = typeof layer.getElement === 'function' && layer.getElement();
+		if (el) {
+			on(el, 'focus', function () {
+				this._tooltip._source = layer;
+				this.openTooltip();
+			}, this);
+			on(el, 'blur', this.closeTooltip, this);
+		}
+	},
+	_setAriaDescribedByOnLayer: function (layer) {
+		var el = typeof layer.getElement === 'function' && layer.getElement();
+		if (el) {
+			el.setAttribute('aria-describedby', this._tooltip._container.id);
+		}
+	},
+	_openTooltip: function (e) {
+		if (!this._tooltip || !this._map) {
+			return;
+		}
+		if (this._map.dragging && this._map.dragging.moving() && !this._openOnceFlag) {
+			this._openOnceFlag = true;
+			var that = this;
+			this._map.once('moveend', function () {
+				that._openOnceFlag = false;
+				that._openTooltip(e);
+			});
+			return;
+		}
+		this._tooltip._source = e.layer || e.target;
+		this.openTooltip(this._tooltip.options.sticky ? e.latlng : undefined);
+	},
+	_moveTooltip: function (e) {
+		var latlng = e.latlng, containerPoint, layerPoint;
+		if (this._tooltip.options.sticky && e.originalEvent) {
+			containerPoint = this._map.mouseEventToContainerPoint(e.originalEvent);
+			layerPoint = this._map.containerPointToLayerPoint(containerPoint);
+			latlng = this._map.layerPointToLatLng(layerPoint);
+		}
+		this._tooltip.setLatLng(latlng);
+	}
+  });
+class DivIcon extends Icon {
+	createIcon(oldIcon) {
+		const div = (oldIcon && oldIcon.tagName === 'DIV') ? oldIcon : document.createElement('div');
+		const options = this.options;
+
+		if (options.html instanceof Element) {
+			empty(div);
+			div.appendChild(options.html);
+		} else {
+			div.innerHTML = options.html !== false ? options.html : '';
+		}
+
+		if (options.bgPos) {
+			const bgPos = toPoint(options.bgPos);
+			div.style.backgroundPosition = `${-bgPos.x}px ${-bgPos.y}px`;
+		}
+		this._setIconStyles(div, 'icon');
+		return div;
+	}
+
+	createShadow() {
+		return null;
+	}
+}
+
+DivIcon.prototype.options = Object.create(Icon.prototype.options);
+Object.assign(DivIcon.prototype.options, {
+	iconSize: [12, 12],
+	html: false,
+	bgPos: null,
+	className: 'atlas-div-icon'
+});
+
+function divIcon(options) {
+	return new DivIcon(options);
+}
+  Icon.Default = IconDefault;
+  var GridLayer = Layer.extend({
+	options: {
+		tileSize: 256,
+		opacity: 1,
+		updateWhenIdle: Browser.mobile,
+		updateWhenZooming: true,
+		updateInterval: 200,
+		zIndex: 1,
+		bounds: null,
+		minZoom: 0,
+		maxZoom: undefined,
+		maxNativeZoom: undefined,
+		minNativeZoom: undefined,
+		noWrap: false,
+		pane: 'tilePane',
+		className: '',
+		keepBuffer: 2
+	},
+	initialize: function (options) {
+		setOptions(this, options);
+	},
+	onAdd: function () {
+		this._initContainer();
+		this._levels = {};
+		this._tiles = {};
+		this._resetView();
+	},
+	beforeAdd: function (map) {
+		map._addZoomLimit(this);
+	},
+	onRemove: function (map) {
+		this._removeAllTiles();
+		remove(this._container);
+		map._removeZoomLimit(this);
+		this._container = null;
+		this._tileZoom = undefined;
+	},
+	bringToFront: function () {
+		if (this._map) {
+			toFront(this._container);
+			this._setAutoZIndex(Math.max);
+		}
+		return this;
+	},
+	bringToBack: function () {
+		if (this._map) {
+			toBack(this._container);
+			this._setAutoZIndex(Math.min);
+		}
+		return this;
+	},
+	getContainer: function () {
+		return this._container;
+	},
+	setOpacity: function (opacity) {
+		this.options.opacity = opacity;
+		this._updateOpacity();
 		return this;
 	},
-	togglePopup: function () {
-		if (this._popup) {
-			this._popup.toggle(this);
-		}
+	setZIndex: function (zIndex) {
+		this.options.zIndex = zIndex;
+		this._updateZIndex();
 		return this;
 	},
-	isPopupOpen: function () {
-		return (this._popup ? this._popup.isOpen() : false);
+	isLoading: function () {
+		return this._loading;
 	},
-	setPopupContent: function (content) {
-		if (this._popup) {
-			this._popup.setContent(content);
+	redraw: function () {
+		if (this._map) {
+			this._removeAllTiles();
+			var tileZoom = this._clampZoom(this._map.getZoom());
+			if (tileZoom !== this._tileZoom) {
+				this._tileZoom = tileZoom;
+				this._updateLevels();
+			}
+			this._update();
 		}
 		return this;
 	},
-	getPopup: function () {
-		return this._popup;
-	},
-	_openPopup: function (e) {
-		if (!this._popup || !this._map) {
-			return;
+	getEvents: function () {
+		var events = {
+			viewprereset: this._invalidateAll,
+			viewreset: this._resetView,
+			zoom: this._resetView,
+			moveend: this._onMoveEnd
+		};
+		if (!this._onMove) {
+			this._onMove = throttle(this._onMoveEnd, this.options.updateInterval, this);
 		}
-		stop(e);
-		var target = e.layer || e.target;
-		if (this._popup._source === target && !(target instanceof Path)) {
-			if (this._map.hasLayer(this._popup)) {
-				this.closePopup();
-			} else {
-				this.openPopup(e.latlng);
-			}
-			return;
+		if (!this.options.updateWhenIdle) {
+			events.move = this._onMove;
 		}
-		this._popup._source = target;
-		this.openPopup(e.latlng);
+		events.rotate = this._onMove;
+		if (this._zoomAnimated) {
+			events.zoomanim = this._animateZoom;
+		}
+		return events;
 	},
-	_movePopup: function (e) {
-		this._popup.setLatLng(e.latlng);
+	createTile: function () {
+		return document.createElement('div');
 	},
-	_onKeyPress: function (e) {
-		if (e.originalEvent.keyCode === 13) {
-			this._openPopup(e);
+	getTileSize: function () {
+		var s = this.options.tileSize;
+		return s instanceof Point ? s : new Point(s, s);
+	},
+	_updateZIndex: function () {
+		if (this._container && this.options.zIndex !== undefined && this.options.zIndex !== null) {
+			this._container.style.zIndex = this.options.zIndex;
 		}
-	}
-  });
-  var Tooltip = DivOverlay.extend({
-	options: {
-		pane: 'tooltipPane',
-		offset: [0, 0],
-		direction: 'auto',
-		permanent: false,
-		sticky: false,
-		opacity: 0.9
 	},
-	onAdd: function (map) {
-		DivOverlay.prototype.onAdd.call(this, map);
-		this.setOpacity(this.options.opacity);
-		map.fire('tooltipopen', {tooltip: this});
-		if (this._source) {
-			this.addEventParent(this._source);
-			this._source.fire('tooltipopen', {tooltip: this}, true);
+	_setAutoZIndex: function (compare) {
+		var layers = this.getPane().children,
+		    edgeZIndex = -compare(-Infinity, Infinity);
+		for (var i = 0, len = layers.length, zIndex; i < len; i++) {
+			zIndex = layers[i].style.zIndex;
+			if (layers[i] !== this._container && zIndex) {
+				edgeZIndex = compare(edgeZIndex, +zIndex);
+			}
+		}
+		if (isFinite(edgeZIndex)) {
+			this.options.zIndex = edgeZIndex + compare(-1, 1);
+			this._updateZIndex();
 		}
 	},
-	onRemove: function (map) {
-		DivOverlay.prototype.onRemove.call(this, map);
-		map.fire('tooltipclose', {tooltip: this});
-		if (this._source) {
-			this.removeEventParent(this._source);
-			this._source.fire('tooltipclose', {tooltip: this}, true);
+	_updateOpacity: function () {
+		if (!this._map) { return; }
+		setOpacity(this._container, this.options.opacity);
+		var now = +new Date(),
+		    nextFrame = false,
+		    willPrune = false;
+		for (var key in this._tiles) {
+			var tile = this._tiles[key];
+			if (!tile.current || !tile.loaded) { continue; }
+			var fade = Math.min(1, (now - tile.loaded) / 200);
+			setOpacity(tile.el, fade);
+			if (fade < 1) {
+				nextFrame = true;
+			} else {
+				if (tile.active) {
+					willPrune = true;
+				} else {
+					this._onOpaqueTile(tile);
+				}
+				tile.active = true;
+			}
+		}
+		if (willPrune && !this._noPrune) { this._pruneTiles(); }
+		if (nextFrame) {
+			cancelAnimFrame(this._fadeFrame);
+			this._fadeFrame = requestAnimFrame(this._updateOpacity, this);
 		}
 	},
-	getEvents: function () {
-		var events = DivOverlay.prototype.getEvents.call(this);
-		if (!this.options.permanent) {
-			events.preclick = this.close;
+	_onOpaqueTile: falseFn,
+	_initContainer: function () {
+		if (this._container) { return; }
+		this._container = create$1('div', 'atlas-layer ' + (this.options.className || ''));
+		this._updateZIndex();
+		if (this.options.opacity < 1) {
+			this._updateOpacity();
 		}
-		return events;
+		this.getPane().appendChild(this._container);
 	},
-	_initLayout: function () {
-		var prefix = 'atlas-tooltip',
-		    className = prefix + ' ' + (this.options.className || '') + ' atlas-zoom-' + (this._zoomAnimated ? 'animated' : 'hide');
-		this._contentNode = this._container = create$1('div', className);
-		this._container.setAttribute('role', 'tooltip');
-		this._container.setAttribute('id', 'atlas-tooltip-' + stamp(this));
+	_updateLevels: function () {
+		var zoom = this._tileZoom,
+		    maxZoom = this.options.maxZoom;
+		if (zoom === undefined) { return undefined; }
+		for (var z in this._levels) {
+			z = Number(z);
+			if (this._levels[z].el.children.length || z === zoom) {
+				this._levels[z].el.style.zIndex = maxZoom - Math.abs(zoom - z);
+				this._onUpdateLevel(z);
+			} else {
+				remove(this._levels[z].el);
+				this._removeTilesAtZoom(z);
+				this._onRemoveLevel(z);
+				delete this._levels[z];
+			}
+		}
+		var level = this._levels[zoom],
+		    map = this._map;
+		if (!level) {
+			level = this._levels[zoom] = {};
+			level.el = create$1('div', 'atlas-tile-container atlas-zoom-animated', this._container);
+			level.el.style.zIndex = maxZoom;
+			level.origin = map.project(map.unproject(map.getPixelOrigin()), zoom).round();
+			level.zoom = zoom;
+			this._setZoomTransform(level, map.getCenter(), map.getZoom());
+			falseFn(level.el.offsetWidth);
+			this._onCreateLevel(level);
+		}
+		this._level = level;
+		return level;
 	},
-	_updateLayout: function () {},
-	_adjustPan: function () {},
-	_setPosition: function (pos) {
-		var subX, subY,
-		    map = this._map,
-		    container = this._container,
-		    centerPoint = map.latLngToContainerPoint(map.getCenter()),
-		    tooltipPoint = map.layerPointToContainerPoint(pos),
-		    direction = this.options.direction,
-		    tooltipWidth = container.offsetWidth,
-		    tooltipHeight = container.offsetHeight,
-		    offset = toPoint(this.options.offset),
-		    anchor = this._getAnchor();
-		if (direction === 'top') {
-			subX = tooltipWidth / 2;
-			subY = tooltipHeight;
-		} else if (direction === 'bottom') {
-			subX = tooltipWidth / 2;
-			subY = 0;
-		} else if (direction === 'center') {
-			subX = tooltipWidth / 2;
-			subY = tooltipHeight / 2;
-		} else if (direction === 'right') {
-			subX = 0;
-			subY = tooltipHeight / 2;
-		} else if (direction === 'left') {
-			subX = tooltipWidth;
-			subY = tooltipHeight / 2;
-		} else if (tooltipPoint.x < centerPoint.x) {
-			direction = 'right';
-			subX = 0;
-			subY = tooltipHeight / 2;
-		} else {
-			direction = 'left';
-			subX = tooltipWidth + (offset.x + anchor.x) * 2;
-			subY = tooltipHeight / 2;
+	_onUpdateLevel: falseFn,
+	_onRemoveLevel: falseFn,
+	_onCreateLevel: falseFn,
+	_pruneTiles: function () {
+		if (!this._map) {
+			return;
+		}
+		var key, tile;
+		var zoom = this._map.getZoom();
+		if (zoom > this.options.maxZoom ||
+			zoom < this.options.minZoom) {
+			this._removeAllTiles();
+			return;
+		}
+		for (key in this._tiles) {
+			tile = this._tiles[key];
+			tile.retain = tile.current;
+		}
+		for (key in this._tiles) {
+			tile = this._tiles[key];
+			if (tile.current && !tile.active) {
+				var coords = tile.coords;
+				if (!this._retainParent(coords.x, coords.y, coords.z, coords.z - 5)) {
+					this._retainChildren(coords.x, coords.y, coords.z, coords.z + 2);
+				}
+			}
+		}
+		for (key in this._tiles) {
+			if (!this._tiles[key].retain) {
+				this._removeTile(key);
+			}
+		}
+	},
+	_removeTilesAtZoom: function (zoom) {
+		for (var key in this._tiles) {
+			if (this._tiles[key].coords.z !== zoom) {
+				continue;
+			}
+			this._removeTile(key);
 		}
-		pos = pos.subtract(toPoint(subX, subY, true)).add(offset).add(anchor);
-		removeClass(container, 'atlas-tooltip-right');
-		removeClass(container, 'atlas-tooltip-left');
-		removeClass(container, 'atlas-tooltip-top');
-		removeClass(container, 'atlas-tooltip-bottom');
-		addClass(container, 'atlas-tooltip-' + direction);
-		setPosition(container, pos);
 	},
-	_updatePosition: function () {
-		var pos = this._map.latLngToLayerPoint(this._latlng);
-		this._setPosition(pos);
+	_removeAllTiles: function () {
+		for (var key in this._tiles) {
+			this._removeTile(key);
+		}
 	},
-	setOpacity: function (opacity) {
-		this.options.opacity = opacity;
-		if (this._container) {
-			setOpacity(this._container, opacity);
+	_invalidateAll: function () {
+		for (var z in this._levels) {
+			remove(this._levels[z].el);
+			this._onRemoveLevel(Number(z));
+			delete this._levels[z];
+		}
+		this._removeAllTiles();
+		this._tileZoom = undefined;
+	},
+	_retainParent: function (x, y, z, minZoom) {
+		var x2 = Math.floor(x / 2),
+		    y2 = Math.floor(y / 2),
+		    z2 = z - 1,
+		    coords2 = new Point(+x2, +y2);
+		coords2.z = +z2;
+		var key = this._tileCoordsToKey(coords2),
+		    tile = this._tiles[key];
+		if (tile && tile.active) {
+			tile.retain = true;
+			return true;
+		} else if (tile && tile.loaded) {
+			tile.retain = true;
+		}
+		if (z2 > minZoom) {
+			return this._retainParent(x2, y2, z2, minZoom);
+		}
+		return false;
+	},
+	_retainChildren: function (x, y, z, maxZoom) {
+		for (var i = 2 * x; i < 2 * x + 2; i++) {
+			for (var j = 2 * y; j < 2 * y + 2; j++) {
+				var coords = new Point(i, j);
+				coords.z = z + 1;
+				var key = this._tileCoordsToKey(coords),
+				    tile = this._tiles[key];
+				if (tile && tile.active) {
+					tile.retain = true;
+					continue;
+				} else if (tile && tile.loaded) {
+					tile.retain = true;
+				}
+				if (z + 1 < maxZoom) {
+					this._retainChildren(i, j, z + 1, maxZoom);
+				}
+			}
 		}
 	},
+	_resetView: function (e) {
+		var animating = e && (e.pinch || e.flyTo);
+		this._setView(this._map.getCenter(), this._map.getZoom(), animating, animating);
+	},
 	_animateZoom: function (e) {
-		var pos = this._map._latLngToNewLayerPoint(this._latlng, e.zoom, e.center);
-		this._setPosition(pos);
+		this._setView(e.center, e.zoom, true, e.noUpdate);
 	},
-	_getAnchor: function () {
-		return toPoint(this._source && this._source._getTooltipAnchor && !this.options.sticky ? this._source._getTooltipAnchor() : [0, 0]);
-	}
-  });
-  var tooltip = function (options, source) {
-	return new Tooltip(options, source);
-  };
-  Map.include({
-	openTooltip: function (tooltip, latlng, options) {
-		this._initOverlay(Tooltip, tooltip, latlng, options)
-		  .openOn(this);
-		return this;
+	_clampZoom: function (zoom) {
+		var options = this.options;
+		if (undefined !== options.minNativeZoom && zoom < options.minNativeZoom) {
+			return options.minNativeZoom;
+		}
+		if (undefined !== options.maxNativeZoom && options.maxNativeZoom < zoom) {
+			return options.maxNativeZoom;
+		}
+		return zoom;
 	},
-	closeTooltip: function (tooltip) {
-		tooltip.close();
-		return this;
-	}
-  });
-  Layer.include({
-	bindTooltip: function (content, options) {
-		if (this._tooltip && this.isTooltipOpen()) {
-			this.unbindTooltip();
+	_setView: function (center, zoom, noPrune, noUpdate) {
+		var tileZoom = Math.round(zoom);
+		if ((this.options.maxZoom !== undefined && tileZoom > this.options.maxZoom) ||
+		    (this.options.minZoom !== undefined && tileZoom < this.options.minZoom)) {
+			tileZoom = undefined;
+		} else {
+			tileZoom = this._clampZoom(tileZoom);
 		}
-		this._tooltip = this._initOverlay(Tooltip, this._tooltip, content, options);
-		this._initTooltipInteractions();
-		if (this._tooltip.options.permanent && this._map && this._map.hasLayer(this)) {
-			this.openTooltip();
+		var tileZoomChanged = this.options.updateWhenZooming && (tileZoom !== this._tileZoom);
+		if (!noUpdate || tileZoomChanged) {
+			this._tileZoom = tileZoom;
+			if (this._abortLoading) {
+				this._abortLoading();
+			}
+			this._updateLevels();
+			this._resetGrid();
+			if (tileZoom !== undefined) {
+				this._update(center);
+			}
+			if (!noPrune) {
+				this._pruneTiles();
+			}
+			this._noPrune = !!noPrune;
 		}
-		return this;
+		this._setZoomTransforms(center, zoom);
 	},
-	unbindTooltip: function () {
-		if (this._tooltip) {
-			this._initTooltipInteractions(true);
-			this.closeTooltip();
-			this._tooltip = null;
+	_setZoomTransforms: function (center, zoom) {
+		for (var i in this._levels) {
+			this._setZoomTransform(this._levels[i], center, zoom);
 		}
-		return this;
 	},
-	_initTooltipInteractions: function (remove) {
-		if (!remove && this._tooltipHandlersAdded) { return; }
-		var onOff = remove ? 'off' : 'on',
-		    events = {
-			remove: this.closeTooltip,
-			move: this._moveTooltip
-		    };
-		if (!this._tooltip.options.permanent) {
-			events.mouseover = this._openTooltip;
-			events.mouseout = this.closeTooltip;
-			events.click = this._openTooltip;
-			if (this._map) {
-				this._addFocusListeners();
-			} else {
-				events.add = this._addFocusListeners;
-			}
+	_setZoomTransform: function (level, center, zoom) {
+		var scale = this._map.getZoomScale(zoom, level.zoom),
+		    translate = level.origin.multiplyBy(scale)
+		        .subtract(this._map._getNewPixelOrigin(center, zoom)).round();
+		if (Browser.any3d) {
+			setTransform(level.el, translate, scale);
 		} else {
-			events.add = this._openTooltip;
+			setPosition(level.el, translate);
 		}
-		if (this._tooltip.options.sticky) {
-			events.mousemove = this._moveTooltip;
+	},
+	_resetGrid: function () {
+		var map = this._map,
+		    crs = map.options.crs,
+		    tileSize = this._tileSize = this.getTileSize(),
+		    tileZoom = this._tileZoom;
+		var bounds = this._map.getPixelWorldBounds(this._tileZoom);
+		if (bounds) {
+			this._globalTileRange = this._pxBoundsToTileRange(bounds);
 		}
-		this[onOff](events);
-		this._tooltipHandlersAdded = !remove;
+		this._wrapX = crs.wrapLng && !this.options.noWrap && [
+			Math.floor(map.project([0, crs.wrapLng[0]], tileZoom).x / tileSize.x),
+			Math.ceil(map.project([0, crs.wrapLng[1]], tileZoom).x / tileSize.y)
+		];
+		this._wrapY = crs.wrapLat && !this.options.noWrap && [
+			Math.floor(map.project([crs.wrapLat[0], 0], tileZoom).y / tileSize.x),
+			Math.ceil(map.project([crs.wrapLat[1], 0], tileZoom).y / tileSize.y)
+		];
 	},
-	openTooltip: function (latlng) {
-		if (this._tooltip) {
-			if (!(this instanceof FeatureGroup)) {
-				this._tooltip._source = this;
+	_onMoveEnd: function () {
+		if (!this._map || this._map._animatingZoom) { return; }
+		this._update();
+	},
+	_getTiledPixelBounds: function (center) {
+		var map = this._map,
+		    mapZoom = map._animatingZoom ? Math.max(map._animateToZoom, map.getZoom()) : map.getZoom(),
+		    scale = map.getZoomScale(mapZoom, this._tileZoom),
+		    pixelCenter = map.project(center, this._tileZoom)
+			.subtract(map._rotateOffset(map._getPaddingOffset(), true).divideBy(scale)).floor(),
+		    halfSize = map._getRotatedSize().divideBy(scale * 2);
+		return new Bounds(pixelCenter.subtract(halfSize), pixelCenter.add(halfSize));
+	},
+	_update: function (center) {
+		var map = this._map;
+		if (!map) { return; }
+		var zoom = this._clampZoom(map.getZoom());
+		if (center === undefined) { center = map.getCenter(); }
+		if (this._tileZoom === undefined) { return; }
+		var pixelBounds = this._getTiledPixelBounds(center),
+		    tileRange = this._pxBoundsToTileRange(pixelBounds),
+		    tileCenter = tileRange.getCenter(),
+		    queue = [],
+		    margin = this.options.keepBuffer,
+		    noPruneRange = new Bounds(tileRange.getBottomLeft().subtract([margin, -margin]),
+		                              tileRange.getTopRight().add([margin, -margin]));
+		if (!(isFinite(tileRange.min.x) &&
+		      isFinite(tileRange.min.y) &&
+		      isFinite(tileRange.max.x) &&
+		      isFinite(tileRange.max.y))) { throw new Error('Attempted to load an infinite number of tiles'); }
+		for (var key in this._tiles) {
+			var c = this._tiles[key].coords;
+			if (c.z !== this._tileZoom || !noPruneRange.contains(new Point(c.x, c.y))) {
+				this._tiles[key].current = false;
 			}
-			if (this._tooltip._prepareOpen(latlng)) {
-				this._tooltip.openOn(this._map);
-				if (this.getElement) {
-					this._setAriaDescribedByOnLayer(this);
-				} else if (this.eachLayer) {
-					this.eachLayer(this._setAriaDescribedByOnLayer, this);
+		}
+		if (Math.abs(zoom - this._tileZoom) > 1) { this._setView(center, zoom); return; }
+		for (var j = tileRange.min.y; j <= tileRange.max.y; j++) {
+			for (var i = tileRange.min.x; i <= tileRange.max.x; i++) {
+				var coords = new Point(i, j);
+				coords.z = this._tileZoom;
+				if (!this._isValidTile(coords)) { continue; }
+				var tile = this._tiles[this._tileCoordsToKey(coords)];
+				if (tile) {
+					tile.current = true;
+				} else {
+					queue.push(coords);
 				}
 			}
 		}
-		return this;
+		queue.sort(function (a, b) {
+			return a.distanceTo(tileCenter) - b.distanceTo(tileCenter);
+		});
+		if (queue.length !== 0) {
+			if (!this._loading) {
+				this._loading = true;
+				this.fire('loading');
+			}
+			var fragment = document.createDocumentFragment();
+			for (i = 0; i < queue.length; i++) {
+				this._addTile(queue[i], fragment);
+			}
+			this._level.el.appendChild(fragment);
+		}
 	},
-	closeTooltip: function () {
-		if (this._tooltip) {
-			return this._tooltip.close();
+	_isValidTile: function (coords) {
+		var crs = this._map.options.crs;
+		if (!crs.infinite) {
+			var bounds = this._globalTileRange;
+			if ((!crs.wrapLng && (coords.x < bounds.min.x || coords.x > bounds.max.x)) ||
+			    (!crs.wrapLat && (coords.y < bounds.min.y || coords.y > bounds.max.y))) { return false; }
 		}
+		if (!this.options.bounds) { return true; }
+		var tileBounds = this._tileCoordsToBounds(coords);
+		return toLatLngBounds(this.options.bounds).overlaps(tileBounds);
 	},
-	toggleTooltip: function () {
-		if (this._tooltip) {
-			this._tooltip.toggle(this);
-		}
-		return this;
+	_keyToBounds: function (key) {
+		return this._tileCoordsToBounds(this._keyToTileCoords(key));
 	},
-	isTooltipOpen: function () {
-		return this._tooltip.isOpen();
+	_tileCoordsToNwSe: function (coords) {
+		var map = this._map,
+		    tileSize = this.getTileSize(),
+		    nwPoint = coords.scaleBy(tileSize),
+		    sePoint = nwPoint.add(tileSize),
+		    nw = map.unproject(nwPoint, coords.z),
+		    se = map.unproject(sePoint, coords.z);
+		return [nw, se];
 	},
-	setTooltipContent: function (content) {
-		if (this._tooltip) {
-			this._tooltip.setContent(content);
+	_tileCoordsToBounds: function (coords) {
+		var bp = this._tileCoordsToNwSe(coords),
+		    bounds = new LatLngBounds(bp[0], bp[1]);
+		if (!this.options.noWrap) {
+			bounds = this._map.wrapLatLngBounds(bounds);
 		}
-		return this;
+		return bounds;
 	},
-	getTooltip: function () {
-		return this._tooltip;
+	_tileCoordsToKey: function (coords) {
+		return coords.x + ':' + coords.y + ':' + coords.z;
 	},
-	_addFocusListeners: function () {
-		if (this.getElement) {
-			this._addFocusListenersOnLayer(this);
-		} else if (this.eachLayer) {
-			this.eachLayer(this._addFocusListenersOnLayer, this);
-		}
+	_keyToTileCoords: function (key) {
+		var k = key.split(':'),
+		    coords = new Point(+k[0], +k[1]);
+		coords.z = +k[2];
+		return coords;
 	},
-	_addFocusListenersOnLayer: function (layer) {
-		var el = typeof layer.getElement === 'function' && layer.getElement();
-		if (el) {
-			on(el, 'focus', function () {
-				this._tooltip._source = layer;
-				this.openTooltip();
-			}, this);
-			on(el, 'blur', this.closeTooltip, this);
-		}
+	_removeTile: function (key) {
+		var tile = this._tiles[key];
+		if (!tile) { return; }
+		remove(tile.el);
+		delete this._tiles[key];
+		this.fire('tileunload', {
+			tile: tile.el,
+			coords: this._keyToTileCoords(key)
+		});
 	},
-	_setAriaDescribedByOnLayer: function (layer) {
-		var el = typeof layer.getElement === 'function' && layer.getElement();
-		if (el) {
-			el.setAttribute('aria-describedby', this._tooltip._container.id);
+	_initTile: function (tile) {
+		addClass(tile, 'atlas-tile');
+		var tileSize = this.getTileSize();
+		tile.style.width = tileSize.x + 'px';
+		tile.style.height = tileSize.y + 'px';
+		tile.onselectstart = falseFn;
+		tile.onmousemove = falseFn;
+		if (Browser.ielt9 && this.options.opacity < 1) {
+			setOpacity(tile, this.options.opacity);
 		}
 	},
-	_openTooltip: function (e) {
-		if (!this._tooltip || !this._map) {
-			return;
-		}
-		if (this._map.dragging && this._map.dragging.moving() && !this._openOnceFlag) {
-			this._openOnceFlag = true;
-			var that = this;
-			this._map.once('moveend', function () {
-				that._openOnceFlag = false;
-				that._openTooltip(e);
-			});
-			return;
+	_addTile: function (coords, container) {
+		var tilePos = this._getTilePos(coords),
+		    key = this._tileCoordsToKey(coords);
+		var tile = this.createTile(this._wrapCoords(coords), bind(this._tileReady, this, coords));
+		this._initTile(tile);
+		if (this.createTile.length < 2) {
+			requestAnimFrame(bind(this._tileReady, this, coords, null, tile));
 		}
-		this._tooltip._source = e.layer || e.target;
-		this.openTooltip(this._tooltip.options.sticky ? e.latlng : undefined);
+		setPosition(tile, tilePos);
+		this._tiles[key] = {
+			el: tile,
+			coords: coords,
+			current: true
+		};
+		container.appendChild(tile);
+		this.fire('tileloadstart', {
+			tile: tile,
+			coords: coords
+		});
 	},
-	_moveTooltip: function (e) {
-		var latlng = e.latlng, containerPoint, layerPoint;
-		if (this._tooltip.options.sticky && e.originalEvent) {
-			containerPoint = this._map.mouseEventToContainerPoint(e.originalEvent);
-			layerPoint = this._map.containerPointToLayerPoint(containerPoint);
-			latlng = this._map.layerPointToLatLng(layerPoint);
+	_tileReady: function (coords, err, tile) {
+		if (err) {
+			this.fire('tileerror', {
+				error: err,
+				tile: tile,
+				coords: coords
+			});
 		}
-		this._tooltip.setLatLng(latlng);
-	}
-  });
-class DivIcon extends Icon {
-	createIcon(oldIcon) {
-		const div = (oldIcon && oldIcon.tagName === 'DIV') ? oldIcon : document.createElement('div');
-		const options = this.options;
-
-		if (options.html instanceof Element) {
-			empty(div);
-			div.appendChild(options.html);
+		var key = this._tileCoordsToKey(coords);
+		tile = this._tiles[key];
+		if (!tile) { return; }
+		tile.loaded = +new Date();
+		if (this._map._fadeAnimated) {
+			setOpacity(tile.el, 0);
+			cancelAnimFrame(this._fadeFrame);
+			this._fadeFrame = requestAnimFrame(this._updateOpacity, this);
 		} else {
-			div.innerHTML = options.html !== false ? options.html : '';
-		}
-
-		if (options.bgPos) {
-			const bgPos = toPoint(options.bgPos);
-			div.style.backgroundPosition = `${-bgPos.x}px ${-bgPos.y}px`;
-		}
-		this._setIconStyles(div, 'icon');
-		return div;
-	}
-
-	createShadow() {
-		return null;
-	}
-}
-
-DivIcon.prototype.options = Object.create(Icon.prototype.options);
-Object.assign(DivIcon.prototype.options, {
-	iconSize: [12, 12],
-	html: false,
-	bgPos: null,
-	className: 'atlas-div-icon'
-});
-
-function divIcon(options) {
-	return new DivIcon(options);
-}
-  Icon.Default = IconDefault;
-  var GridLayer = Layer.extend({
-	options: {
-		tileSize: 256,
-		opacity: 1,
-		updateWhenIdle: Browser.mobile,
-		updateWhenZooming: true,
-		updateInterval: 200,
-		zIndex: 1,
-		bounds: null,
-		minZoom: 0,
-		maxZoom: undefined,
-		maxNativeZoom: undefined,
-		minNativeZoom: undefined,
-		noWrap: false,
-		pane: 'tilePane',
-		className: '',
-		keepBuffer: 2
-	},
-	initialize: function (options) {
-		setOptions(this, options);
-	},
-	onAdd: function () {
-		this._initContainer();
-		this._levels = {};
-		this._tiles = {};
-		this._resetView();
-	},
-	beforeAdd: function (map) {
-		map._addZoomLimit(this);
-	},
-	onRemove: function (map) {
-		this._removeAllTiles();
-		remove(this._container);
-		map._removeZoomLimit(this);
-		this._container = null;
-		this._tileZoom = undefined;
-	},
-	bringToFront: function () {
-		if (this._map) {
-			toFront(this._container);
-			this._setAutoZIndex(Math.max);
-		}
-		return this;
-	},
-	bringToBack: function () {
-		if (this._map) {
-			toBack(this._container);
-			this._setAutoZIndex(Math.min);
+			tile.active = true;
+			this._pruneTiles();
 		}
-		return this;
-	},
-	getContainer: function () {
-		return this._container;
-	},
-	setOpacity: function (opacity) {
-		this.options.opacity = opacity;
-		this._updateOpacity();
-		return this;
-	},
-	setZIndex: function (zIndex) {
-		this.options.zIndex = zIndex;
-		this._updateZIndex();
-		return this;
-	},
-	isLoading: function () {
-		return this._loading;
-	},
-	redraw: function () {
-		if (this._map) {
-			this._removeAllTiles();
-			var tileZoom = this._clampZoom(this._map.getZoom());
-			if (tileZoom !== this._tileZoom) {
-				this._tileZoom = tileZoom;
-				this._updateLevels();
-			}
-			this._update();
+		if (!err) {
+			addClass(tile.el, 'atlas-tile-loaded');
+			this.fire('tileload', {
+				tile: tile.el,
+				coords: coords
+			});
 		}
-		return this;
-	},
-	getEvents: function () {
-		var events = {
-			viewprereset: this._invalidateAll,
-			viewreset: this._resetView,
-			zoom: this._resetView,
-			moveend: this._onMoveEnd
-		};
-		if (!this.options.updateWhenIdle) {
-			if (!this._onMove) {
-				this._onMove = throttle(this._onMoveEnd, this.options.updateInterval, this);
+		if (this._noTilesToLoad()) {
+			this._loading = false;
+			this.fire('load');
+			if (Browser.ielt9 || !this._map._fadeAnimated) {
+				requestAnimFrame(this._pruneTiles, this);
+			} else {
+				setTimeout(bind(this._pruneTiles, this), 250);
 			}
-			events.move = this._onMove;
-		}
-		if (this._zoomAnimated) {
-			events.zoomanim = this._animateZoom;
 		}
-		return events;
 	},
-	createTile: function () {
-		return document.createElement('div');
+	_getTilePos: function (coords) {
+		return coords.scaleBy(this.getTileSize()).subtract(this._level.origin);
 	},
-	getTileSize: function () {
-		var s = this.options.tileSize;
-		return s instanceof Point ? s : new Point(s, s);
+	_wrapCoords: function (coords) {
+		var newCoords = new Point(
+			this._wrapX ? wrapNum(coords.x, this._wrapX) : coords.x,
+			this._wrapY ? wrapNum(coords.y, this._wrapY) : coords.y);
+		newCoords.z = coords.z;
+		return newCoords;
 	},
-	_updateZIndex: function () {
-		if (this._container && this.options.zIndex !== undefined && this.options.zIndex !== null) {
-			this._container.style.zIndex = this.options.zIndex;
+	_pxBoundsToTileRange: function (bounds) {
+		var tileSize = this.getTileSize();
+		return new Bounds(
+			bounds.min.unscaleBy(tileSize).floor(),
+			bounds.max.unscaleBy(tileSize).ceil().subtract([1, 1]));
+	},
+	_noTilesToLoad: function () {
+		for (var key in this._tiles) {
+			if (!this._tiles[key].loaded) { return false; }
 		}
+		return true;
+	}
+  });
+  function gridLayer(options) {
+	return new GridLayer(options);
+  }
+  var TileLayer = GridLayer.extend({
+	options: {
+		minZoom: 0,
+		maxZoom: 18,
+		subdomains: 'abc',
+		errorTileUrl: '',
+		zoomOffset: 0,
+		tms: false,
+		zoomReverse: false,
+		detectRetina: false,
+		crossOrigin: false,
+		referrerPolicy: false
 	},
-	_setAutoZIndex: function (compare) {
-		var layers = this.getPane().children,
-		    edgeZIndex = -compare(-Infinity, Infinity);
-		for (var i = 0, len = layers.length, zIndex; i < len; i++) {
-			zIndex = layers[i].style.zIndex;
-			if (layers[i] !== this._container && zIndex) {
-				edgeZIndex = compare(edgeZIndex, +zIndex);
+	initialize: function (url, options) {
+		this._url = url;
+		options = setOptions(this, options);
+		if (options.detectRetina && Browser.retina && options.maxZoom > 0) {
+			options.tileSize = Math.floor(options.tileSize / 2);
+			if (!options.zoomReverse) {
+				options.zoomOffset++;
+				options.maxZoom = Math.max(options.minZoom, options.maxZoom - 1);
+			} else {
+				options.zoomOffset--;
+				options.minZoom = Math.min(options.maxZoom, options.minZoom + 1);
 			}
+			options.minZoom = Math.max(0, options.minZoom);
+		} else if (!options.zoomReverse) {
+			options.maxZoom = Math.max(options.minZoom, options.maxZoom);
+		} else {
+			options.minZoom = Math.min(options.maxZoom, options.minZoom);
 		}
-		if (isFinite(edgeZIndex)) {
-			this.options.zIndex = edgeZIndex + compare(-1, 1);
-			this._updateZIndex();
+		if (typeof options.subdomains === 'string') {
+			options.subdomains = options.subdomains.split('');
 		}
+		this.on('tileunload', this._onTileRemove);
 	},
-	_updateOpacity: function () {
-		if (!this._map) { return; }
-		setOpacity(this._container, this.options.opacity);
-		var now = +new Date(),
-		    nextFrame = false,
-		    willPrune = false;
-		for (var key in this._tiles) {
-			var tile = this._tiles[key];
-			if (!tile.current || !tile.loaded) { continue; }
-			var fade = Math.min(1, (now - tile.loaded) / 200);
-			setOpacity(tile.el, fade);
-			if (fade < 1) {
-				nextFrame = true;
-			} else {
-				if (tile.active) {
-					willPrune = true;
-				} else {
-					this._onOpaqueTile(tile);
-				}
-				tile.active = true;
-			}
+	setUrl: function (url, noRedraw) {
+		if (this._url === url && noRedraw === undefined) {
+			noRedraw = true;
 		}
-		if (willPrune && !this._noPrune) { this._pruneTiles(); }
-		if (nextFrame) {
-			cancelAnimFrame(this._fadeFrame);
-			this._fadeFrame = requestAnimFrame(this._updateOpacity, this);
+		this._url = url;
+		if (!noRedraw) {
+			this.redraw();
 		}
+		return this;
 	},
-	_onOpaqueTile: falseFn,
-	_initContainer: function () {
-		if (this._container) { return; }
-		this._container = create$1('div', 'atlas-layer ' + (this.options.className || ''));
-		this._updateZIndex();
-		if (this.options.opacity < 1) {
-			this._updateOpacity();
+	createTile: function (coords, done) {
+		var tile = document.createElement('img');
+		on(tile, 'load', bind(this._tileOnLoad, this, done, tile));
+		on(tile, 'error', bind(this._tileOnError, this, done, tile));
+		if (this.options.crossOrigin || this.options.crossOrigin === '') {
+			tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
 		}
-		this.getPane().appendChild(this._container);
+		if (typeof this.options.referrerPolicy === 'string') {
+			tile.referrerPolicy = this.options.referrerPolicy;
+		}
+		tile.alt = '';
+		tile.src = this.getTileUrl(coords);
+		return tile;
 	},
-	_updateLevels: function () {
-		var zoom = this._tileZoom,
-		    maxZoom = this.options.maxZoom;
-		if (zoom === undefined) { return undefined; }
-		for (var z in this._levels) {
-			z = Number(z);
-			if (this._levels[z].el.children.length || z === zoom) {
-				this._levels[z].el.style.zIndex = maxZoom - Math.abs(zoom - z);
-				this._onUpdateLevel(z);
-			} else {
-				remove(this._levels[z].el);
-				this._removeTilesAtZoom(z);
-				this._onRemoveLevel(z);
-				delete this._levels[z];
+	getTileUrl: function (coords) {
+		var data = {
+			r: Browser.retina ? '@2x' : '',
+			s: this._getSubdomain(coords),
+			x: coords.x,
+			y: coords.y,
+			z: this._getZoomForUrl()
+		};
+		if (this._map && !this._map.options.crs.infinite) {
+			var invertedY = this._globalTileRange.max.y - coords.y;
+			if (this.options.tms) {
+				data['y'] = invertedY;
 			}
+			data['-y'] = invertedY;
 		}
-		var level = this._levels[zoom],
-		    map = this._map;
-		if (!level) {
-			level = this._levels[zoom] = {};
-			level.el = create$1('div', 'atlas-tile-container atlas-zoom-animated', this._container);
-			level.el.style.zIndex = maxZoom;
-			level.origin = map.project(map.unproject(map.getPixelOrigin()), zoom).round();
-			level.zoom = zoom;
-			this._setZoomTransform(level, map.getCenter(), map.getZoom());
-			falseFn(level.el.offsetWidth);
-			this._onCreateLevel(level);
-		}
-		this._level = level;
-		return level;
+		return template(this._url, extend(data, this.options));
 	},
-	_onUpdateLevel: falseFn,
-	_onRemoveLevel: falseFn,
-	_onCreateLevel: falseFn,
-	_pruneTiles: function () {
-		if (!this._map) {
-			return;
+	_tileOnLoad: function (done, tile) {
+		if (Browser.ielt9) {
+			setTimeout(bind(done, this, null, tile), 0);
+		} else {
+			done(null, tile);
 		}
-		var key, tile;
-		var zoom = this._map.getZoom();
-		if (zoom > this.options.maxZoom ||
-			zoom < this.options.minZoom) {
-			this._removeAllTiles();
-			return;
+	},
+	_tileOnError: function (done, tile, e) {
+		var errorUrl = this.options.errorTileUrl;
+		if (errorUrl && tile.getAttribute('src') !== errorUrl) {
+			tile.src = errorUrl;
 		}
-		for (key in this._tiles) {
-			tile = this._tiles[key];
-			tile.retain = tile.current;
+		done(e, tile);
+	},
+	_onTileRemove: function (e) {
+		e.tile.onload = null;
+	},
+	_getZoomForUrl: function () {
+		var zoom = this._tileZoom,
+		maxZoom = this.options.maxZoom,
+		zoomReverse = this.options.zoomReverse,
+		zoomOffset = this.options.zoomOffset;
+		if (zoomReverse) {
+			zoom = maxZoom - zoom;
 		}
-		for (key in this._tiles) {
-			tile = this._tiles[key];
-			if (tile.current && !tile.active) {
-				var coords = tile.coords;
-				if (!this._retainParent(coords.x, coords.y, coords.z, coords.z - 5)) {
-					this._retainChildren(coords.x, coords.y, coords.z, coords.z + 2);
+		return zoom + zoomOffset;
+	},
+	_getSubdomain: function (tilePoint) {
+		var index = Math.abs(tilePoint.x + tilePoint.y) % this.options.subdomains.length;
+		return this.options.subdomains[index];
+	},
+	_abortLoading: function () {
+		var i, tile;
+		for (i in this._tiles) {
+			if (this._tiles[i].coords.z !== this._tileZoom) {
+				tile = this._tiles[i].el;
+				tile.onload = falseFn;
+				tile.onerror = falseFn;
+				if (!tile.complete) {
+					tile.src = emptyImageUrl;
+					var coords = this._tiles[i].coords;
+					remove(tile);
+					delete this._tiles[i];
+					this.fire('tileabort', {
+						tile: tile,
+						coords: coords
+					});
 				}
 			}
 		}
-		for (key in this._tiles) {
-			if (!this._tiles[key].retain) {
-				this._removeTile(key);
-			}
-		}
-	},
-	_removeTilesAtZoom: function (zoom) {
-		for (var key in this._tiles) {
-			if (this._tiles[key].coords.z !== zoom) {
-				continue;
-			}
-			this._removeTile(key);
-		}
 	},
-	_removeAllTiles: function () {
-		for (var key in this._tiles) {
-			this._removeTile(key);
-		}
+	_removeTile: function (key) {
+		var tile = this._tiles[key];
+		if (!tile) { return; }
+		tile.el.setAttribute('src', emptyImageUrl);
+		return GridLayer.prototype._removeTile.call(this, key);
 	},
-	_invalidateAll: function () {
-		for (var z in this._levels) {
-			remove(this._levels[z].el);
-			this._onRemoveLevel(Number(z));
-			delete this._levels[z];
+	_tileReady: function (coords, err, tile) {
+		if (!this._map || (tile && tile.getAttribute('src') === emptyImageUrl)) {
+			return;
 		}
-		this._removeAllTiles();
-		this._tileZoom = undefined;
+		return GridLayer.prototype._tileReady.call(this, coords, err, tile);
+	}
+  });
+  function tileLayer(url, options) {
+	return new TileLayer(url, options);
+  }
+  var TileLayerWMS = TileLayer.extend({
+	defaultWmsParams: {
+		service: 'WMS',
+		request: 'GetMap',
+		layers: '',
+		styles: '',
+		format: 'image/jpeg',
+		transparent: false,
+		version: '1.1.1'
 	},
-	_retainParent: function (x, y, z, minZoom) {
-		var x2 = Math.floor(x / 2),
-		    y2 = Math.floor(y / 2),
-		    z2 = z - 1,
-		    coords2 = new Point(+x2, +y2);
-		coords2.z = +z2;
-		var key = this._tileCoordsToKey(coords2),
-		    tile = this._tiles[key];
-		if (tile && tile.active) {
-			tile.retain = true;
-			return true;
-		} else if (tile && tile.loaded) {
-			tile.retain = true;
-		}
-		if (z2 > minZoom) {
-			return this._retainParent(x2, y2, z2, minZoom);
-		}
-		return false;
+	options: {
+		crs: null,
+		uppercase: false
 	},
-	_retainChildren: function (x, y, z, maxZoom) {
-		for (var i = 2 * x; i < 2 * x + 2; i++) {
-			for (var j = 2 * y; j < 2 * y + 2; j++) {
-				var coords = new Point(i, j);
-				coords.z = z + 1;
-				var key = this._tileCoordsToKey(coords),
-				    tile = this._tiles[key];
-				if (tile && tile.active) {
-					tile.retain = true;
-					continue;
-				} else if (tile && tile.loaded) {
-					tile.retain = true;
-				}
-				if (z + 1 < maxZoom) {
-					this._retainChildren(i, j, z + 1, maxZoom);
-				}
+	initialize: function (url, options) {
+		this._url = url;
+		var wmsParams = extend({}, this.defaultWmsParams);
+		for (var i in options) {
+			if (!(i in this.options)) {
+				wmsParams[i] = options[i];
 			}
 		}
+		options = setOptions(this, options);
+		var realRetina = options.detectRetina && Browser.retina ? 2 : 1;
+		var tileSize = this.getTileSize();
+		wmsParams.width = tileSize.x * realRetina;
+		wmsParams.height = tileSize.y * realRetina;
+		this.wmsParams = wmsParams;
 	},
-	_resetView: function (e) {
-		var animating = e && (e.pinch || e.flyTo);
-		this._setView(this._map.getCenter(), this._map.getZoom(), animating, animating);
+	onAdd: function (map) {
+		this._crs = this.options.crs || map.options.crs;
+		this._wmsVersion = parseFloat(this.wmsParams.version);
+		var projectionKey = this._wmsVersion >= 1.3 ? 'crs' : 'srs';
+		this.wmsParams[projectionKey] = this._crs.code;
+		TileLayer.prototype.onAdd.call(this, map);
 	},
-	_animateZoom: function (e) {
-		this._setView(e.center, e.zoom, true, e.noUpdate);
+	getTileUrl: function (coords) {
+		var tileBounds = this._tileCoordsToNwSe(coords),
+		    crs = this._crs,
+		    bounds = toBounds(crs.project(tileBounds[0]), crs.project(tileBounds[1])),
+		    min = bounds.min,
+		    max = bounds.max,
+		    bbox = (this._wmsVersion >= 1.3 && this._crs === EPSG4326 ?
+		    [min.y, min.x, max.y, max.x] :
+		    [min.x, min.y, max.x, max.y]).join(','),
+		    url = TileLayer.prototype.getTileUrl.call(this, coords);
+		return url +
+			getParamString(this.wmsParams, url, this.options.uppercase) +
+			(this.options.uppercase ? '&BBOX=' : '&bbox=') + bbox;
 	},
-	_clampZoom: function (zoom) {
-		var options = this.options;
-		if (undefined !== options.minNativeZoom && zoom < options.minNativeZoom) {
-			return options.minNativeZoom;
-		}
-		if (undefined !== options.maxNativeZoom && options.maxNativeZoom < zoom) {
-			return options.maxNativeZoom;
+	setParams: function (params, noRedraw) {
+		extend(this.wmsParams, params);
+		if (!noRedraw) {
+			this.redraw();
 		}
-		return zoom;
+		return this;
+	}
+  });
+  function tileLayerWMS(url, options) {
+	return new TileLayerWMS(url, options);
+  }
+  TileLayer.WMS = TileLayerWMS;
+  tileLayer.wms = tileLayerWMS;
+  var Renderer = Layer.extend({
+	options: {
+		padding: 0.1
 	},
-	_setView: function (center, zoom, noPrune, noUpdate) {
-		var tileZoom = Math.round(zoom);
-		if ((this.options.maxZoom !== undefined && tileZoom > this.options.maxZoom) ||
-		    (this.options.minZoom !== undefined && tileZoom < this.options.minZoom)) {
-			tileZoom = undefined;
-		} else {
-			tileZoom = this._clampZoom(tileZoom);
-		}
-		var tileZoomChanged = this.options.updateWhenZooming && (tileZoom !== this._tileZoom);
-		if (!noUpdate || tileZoomChanged) {
-			this._tileZoom = tileZoom;
-			if (this._abortLoading) {
-				this._abortLoading();
-			}
-			this._updateLevels();
-			this._resetGrid();
-			if (tileZoom !== undefined) {
-				this._update(center);
-			}
-			if (!noPrune) {
-				this._pruneTiles();
-			}
-			this._noPrune = !!noPrune;
-		}
-		this._setZoomTransforms(center, zoom);
+	initialize: function (options) {
+		setOptions(this, options);
+		stamp(this);
+		this._layers = this._layers || {};
 	},
-	_setZoomTransforms: function (center, zoom) {
-		for (var i in this._levels) {
-			this._setZoomTransform(this._levels[i], center, zoom);
+	onAdd: function () {
+		if (!this._container) {
+			this._initContainer();
+			addClass(this._container, 'atlas-zoom-animated');
 		}
+		this.getPane().appendChild(this._container);
+		this._update();
+		this.on('update', this._updatePaths, this);
 	},
-	_setZoomTransform: function (level, center, zoom) {
-		var scale = this._map.getZoomScale(zoom, level.zoom),
-		    translate = level.origin.multiplyBy(scale)
-		        .subtract(this._map._getNewPixelOrigin(center, zoom)).round();
-		if (Browser.any3d) {
-			setTransform(level.el, translate, scale);
-		} else {
-			setPosition(level.el, translate);
-		}
+	onRemove: function () {
+		this.off('update', this._updatePaths, this);
+		cancelAnimFrame(this._rotateRequest);
+		this._rotateRequest = null;
+		this._destroyContainer();
 	},
-	_resetGrid: function () {
-		var map = this._map,
-		    crs = map.options.crs,
-		    tileSize = this._tileSize = this.getTileSize(),
-		    tileZoom = this._tileZoom;
-		var bounds = this._map.getPixelWorldBounds(this._tileZoom);
-		if (bounds) {
-			this._globalTileRange = this._pxBoundsToTileRange(bounds);
+	getEvents: function () {
+		var events = {
+			viewreset: this._reset,
+			zoom: this._onZoom,
+			moveend: this._update,
+			rotate: this._onRotate,
+			zoomend: this._onZoomEnd
+		};
+		if (this._zoomAnimated) {
+			events.zoomanim = this._onAnimZoom;
 		}
-		this._wrapX = crs.wrapLng && !this.options.noWrap && [
-			Math.floor(map.project([0, crs.wrapLng[0]], tileZoom).x / tileSize.x),
-			Math.ceil(map.project([0, crs.wrapLng[1]], tileZoom).x / tileSize.y)
-		];
-		this._wrapY = crs.wrapLat && !this.options.noWrap && [
-			Math.floor(map.project([crs.wrapLat[0], 0], tileZoom).y / tileSize.x),
-			Math.ceil(map.project([crs.wrapLat[1], 0], tileZoom).y / tileSize.y)
-		];
+		return events;
 	},
-	_onMoveEnd: function () {
-		if (!this._map || this._map._animatingZoom) { return; }
-		this._update();
+	_onAnimZoom: function (ev) {
+		this._updateTransform(ev.center, ev.zoom);
 	},
-	_getTiledPixelBounds: function (center) {
-		var map = this._map,
-		    mapZoom = map._animatingZoom ? Math.max(map._animateToZoom, map.getZoom()) : map.getZoom(),
-		    scale = map.getZoomScale(mapZoom, this._tileZoom),
-		    pixelCenter = map.project(center, this._tileZoom).floor(),
-		    halfSize = map.getSize().divideBy(scale * 2);
-		return new Bounds(pixelCenter.subtract(halfSize), pixelCenter.add(halfSize));
+	_onRotate: function () {
+		this._rotateRequest = this._rotateRequest || requestAnimFrame(function () {
+			this._rotateRequest = null;
+			this._update();
+		}, this);
 	},
-	_update: function (center) {
-		var map = this._map;
-		if (!map) { return; }
-		var zoom = this._clampZoom(map.getZoom());
-		if (center === undefined) { center = map.getCenter(); }
-		if (this._tileZoom === undefined) { return; }
-		var pixelBounds = this._getTiledPixelBounds(center),
-		    tileRange = this._pxBoundsToTileRange(pixelBounds),
-		    tileCenter = tileRange.getCenter(),
-		    queue = [],
-		    margin = this.options.keepBuffer,
-		    noPruneRange = new Bounds(tileRange.getBottomLeft().subtract([margin, -margin]),
-		                              tileRange.getTopRight().add([margin, -margin]));
-		if (!(isFinite(tileRange.min.x) &&
-		      isFinite(tileRange.min.y) &&
-		      isFinite(tileRange.max.x) &&
-		      isFinite(tileRange.max.y))) { throw new Error('Attempted to load an infinite number of tiles'); }
-		for (var key in this._tiles) {
-			var c = this._tiles[key].coords;
-			if (c.z !== this._tileZoom || !noPruneRange.contains(new Point(c.x, c.y))) {
-				this._tiles[key].current = false;
-			}
+	_onZoom: function () {
+		this._updateTransform(this._map.getCenter(), this._map.getZoom());
+	},
+	_updateTransform: function (center, zoom) {
+		var scale = this._map.getZoomScale(zoom, this._zoom),
+		    viewHalf = this._map._getRotatedSize().multiplyBy(0.5 + this.options.padding),
+		    currentCenterPoint = this._map.project(this._center, zoom),
+		    topLeftOffset = viewHalf.multiplyBy(-scale).add(currentCenterPoint)
+				  .subtract(this._map._getNewPixelOrigin(center, zoom));
+		if (Browser.any3d) {
+			setTransform(this._container, topLeftOffset, scale);
+		} else {
+			setPosition(this._container, topLeftOffset);
 		}
-		if (Math.abs(zoom - this._tileZoom) > 1) { this._setView(center, zoom); return; }
-		for (var j = tileRange.min.y; j <= tileRange.max.y; j++) {
-			for (var i = tileRange.min.x; i <= tileRange.max.x; i++) {
-				var coords = new Point(i, j);
-				coords.z = this._tileZoom;
-				if (!this._isValidTile(coords)) { continue; }
-				var tile = this._tiles[this._tileCoordsToKey(coords)];
-				if (tile) {
-					tile.current = true;
-				} else {
-					queue.push(coords);
-				}
-			}
+	},
+	_reset: function () {
+		this._update();
+		this._updateTransform(this._center, this._zoom);
+		for (var id in this._layers) {
+			this._layers[id]._reset();
 		}
-		queue.sort(function (a, b) {
-			return a.distanceTo(tileCenter) - b.distanceTo(tileCenter);
-		});
-		if (queue.length !== 0) {
-			if (!this._loading) {
-				this._loading = true;
-				this.fire('loading');
-			}
-			var fragment = document.createDocumentFragment();
-			for (i = 0; i < queue.length; i++) {
-				this._addTile(queue[i], fragment);
-			}
-			this._level.el.appendChild(fragment);
+	},
+	_onZoomEnd: function () {
+		for (var id in this._layers) {
+			this._layers[id]._project();
 		}
 	},
-	_isValidTile: function (coords) {
-		var crs = this._map.options.crs;
-		if (!crs.infinite) {
-			var bounds = this._globalTileRange;
-			if ((!crs.wrapLng && (coords.x < bounds.min.x || coords.x > bounds.max.x)) ||
-			    (!crs.wrapLat && (coords.y < bounds.min.y || coords.y > bounds.max.y))) { return false; }
+	_updatePaths: function () {
+		for (var id in this._layers) {
+			this._layers[id]._update();
 		}
-		if (!this.options.bounds) { return true; }
-		var tileBounds = this._tileCoordsToBounds(coords);
-		return toLatLngBounds(this.options.bounds).overlaps(tileBounds);
 	},
-	_keyToBounds: function (key) {
-		return this._tileCoordsToBounds(this._keyToTileCoords(key));
+	_update: function () {
+		var p = this.options.padding,
+		    size = this._map._getRotatedSize(),
+		    min = this._map._getCenterLayerPoint().subtract(size.multiplyBy(0.5 + p)).round();
+		this._bounds = new Bounds(min, min.add(size.multiplyBy(1 + p * 2)).round());
+		this._center = this._map.layerPointToLatLng(this._map._getCenterLayerPoint());
+		this._zoom = this._map.getZoom();
+	}
+  });
+  var Canvas = Renderer.extend({
+	options: {
+		tolerance: 0
 	},
-	_tileCoordsToNwSe: function (coords) {
-		var map = this._map,
-		    tileSize = this.getTileSize(),
-		    nwPoint = coords.scaleBy(tileSize),
-		    sePoint = nwPoint.add(tileSize),
-		    nw = map.unproject(nwPoint, coords.z),
-		    se = map.unproject(sePoint, coords.z);
-		return [nw, se];
+	getEvents: function () {
+		var events = Renderer.prototype.getEvents.call(this);
+		events.viewprereset = this._onViewPreReset;
+		return events;
 	},
-	_tileCoordsToBounds: function (coords) {
-		var bp = this._tileCoordsToNwSe(coords),
-		    bounds = new LatLngBounds(bp[0], bp[1]);
-		if (!this.options.noWrap) {
-			bounds = this._map.wrapLatLngBounds(bounds);
-		}
-		return bounds;
+	_onViewPreReset: function () {
+		this._postponeUpdatePaths = true;
 	},
-	_tileCoordsToKey: function (coords) {
-		return coords.x + ':' + coords.y + ':' + coords.z;
+	onAdd: function () {
+		Renderer.prototype.onAdd.call(this);
+		this._draw();
 	},
-	_keyToTileCoords: function (key) {
-		var k = key.split(':'),
-		    coords = new Point(+k[0], +k[1]);
-		coords.z = +k[2];
-		return coords;
+	_initContainer: function () {
+		var container = this._container = document.createElement('canvas');
+		on(container, 'mousemove', this._onMouseMove, this);
+		on(container, 'click dblclick mousedown mouseup contextmenu', this._onClick, this);
+		on(container, 'mouseout', this._handleMouseOut, this);
+		container['_atlas_disable_events'] = true;
+		this._ctx = container.getContext('2d');
 	},
-	_removeTile: function (key) {
-		var tile = this._tiles[key];
-		if (!tile) { return; }
-		remove(tile.el);
-		delete this._tiles[key];
-		this.fire('tileunload', {
-			tile: tile.el,
-			coords: this._keyToTileCoords(key)
-		});
+	_destroyContainer: function () {
+		cancelAnimFrame(this._redrawRequest);
+		delete this._ctx;
+		remove(this._container);
+		off(this._container);
+		delete this._container;
 	},
-	_initTile: function (tile) {
-		addClass(tile, 'atlas-tile');
-		var tileSize = this.getTileSize();
-		tile.style.width = tileSize.x + 'px';
-		tile.style.height = tileSize.y + 'px';
-		tile.onselectstart = falseFn;
-		tile.onmousemove = falseFn;
-		if (Browser.ielt9 && this.options.opacity < 1) {
-			setOpacity(tile, this.options.opacity);
+	_updatePaths: function () {
+		if (this._postponeUpdatePaths) { return; }
+		var layer;
+		this._redrawBounds = null;
+		for (var id in this._layers) {
+			layer = this._layers[id];
+			layer._update();
 		}
+		this._redraw();
 	},
-	_addTile: function (coords, container) {
-		var tilePos = this._getTilePos(coords),
-		    key = this._tileCoordsToKey(coords);
-		var tile = this.createTile(this._wrapCoords(coords), bind(this._tileReady, this, coords));
-		this._initTile(tile);
-		if (this.createTile.length < 2) {
-			requestAnimFrame(bind(this._tileReady, this, coords, null, tile));
+	_update: function () {
+		if (this._map._animatingZoom && this._bounds) { return; }
+		Renderer.prototype._update.call(this);
+		var b = this._bounds,
+		    container = this._container,
+		    size = b.getSize(),
+		    m = Browser.retina ? 2 : 1;
+		setPosition(container, b.min);
+		container.width = m * size.x;
+		container.height = m * size.y;
+		container.style.width = size.x + 'px';
+		container.style.height = size.y + 'px';
+		if (Browser.retina) {
+			this._ctx.scale(2, 2);
 		}
-		setPosition(tile, tilePos);
-		this._tiles[key] = {
-			el: tile,
-			coords: coords,
-			current: true
-		};
-		container.appendChild(tile);
-		this.fire('tileloadstart', {
-			tile: tile,
-			coords: coords
-		});
+		this._ctx.translate(-b.min.x, -b.min.y);
+		this.fire('update');
 	},
-	_tileReady: function (coords, err, tile) {
-		if (err) {
-			this.fire('tileerror', {
-				error: err,
-				tile: tile,
-				coords: coords
-			});
+	_reset: function () {
+		Renderer.prototype._reset.call(this);
+		if (this._postponeUpdatePaths) {
+			this._postponeUpdatePaths = false;
+			this._updatePaths();
 		}
-		var key = this._tileCoordsToKey(coords);
-		tile = this._tiles[key];
-		if (!tile) { return; }
-		tile.loaded = +new Date();
-		if (this._map._fadeAnimated) {
-			setOpacity(tile.el, 0);
-			cancelAnimFrame(this._fadeFrame);
-			this._fadeFrame = requestAnimFrame(this._updateOpacity, this);
+	},
+	_initPath: function (layer) {
+		this._updateDashArray(layer);
+		this._layers[stamp(layer)] = layer;
+		var order = layer._order = {
+			layer: layer,
+			prev: this._drawLast,
+			next: null
+		};
+		if (this._drawLast) { this._drawLast.next = order; }
+		this._drawLast = order;
+		this._drawFirst = this._drawFirst || this._drawLast;
+	},
+	_addPath: function (layer) {
+		this._requestRedraw(layer);
+	},
+	_removePath: function (layer) {
+		var order = layer._order;
+		var next = order.next;
+		var prev = order.prev;
+		if (next) {
+			next.prev = prev;
 		} else {
-			tile.active = true;
-			this._pruneTiles();
+			this._drawLast = prev;
 		}
-		if (!err) {
-			addClass(tile.el, 'atlas-tile-loaded');
-			this.fire('tileload', {
-				tile: tile.el,
-				coords: coords
-			});
+		if (prev) {
+			prev.next = next;
+		} else {
+			this._drawFirst = next;
 		}
-		if (this._noTilesToLoad()) {
-			this._loading = false;
-			this.fire('load');
-			if (Browser.ielt9 || !this._map._fadeAnimated) {
-				requestAnimFrame(this._pruneTiles, this);
-			} else {
-				setTimeout(bind(this._pruneTiles, this), 250);
+		delete layer._order;
+		delete this._layers[stamp(layer)];
+		this._requestRedraw(layer);
+	},
+	_updatePath: function (layer) {
+		this._extendRedrawBounds(layer);
+		layer._project();
+		layer._update();
+		this._requestRedraw(layer);
+	},
+	_updateStyle: function (layer) {
+		this._updateDashArray(layer);
+		this._requestRedraw(layer);
+	},
+	_updateDashArray: function (layer) {
+		if (typeof layer.options.dashArray === 'string') {
+			var parts = layer.options.dashArray.split(/[, ]+/),
+			    dashArray = [],
+			    dashValue,
+			    i;
+			for (i = 0; i < parts.length; i++) {
+				dashValue = Number(parts[i]);
+				if (isNaN(dashValue)) { return; }
+				dashArray.push(dashValue);
 			}
+			layer.options._dashArray = dashArray;
+		} else {
+			layer.options._dashArray = layer.options.dashArray;
 		}
 	},
-	_getTilePos: function (coords) {
-		return coords.scaleBy(this.getTileSize()).subtract(this._level.origin);
-	},
-	_wrapCoords: function (coords) {
-		var newCoords = new Point(
-			this._wrapX ? wrapNum(coords.x, this._wrapX) : coords.x,
-			this._wrapY ? wrapNum(coords.y, this._wrapY) : coords.y);
-		newCoords.z = coords.z;
-		return newCoords;
-	},
-	_pxBoundsToTileRange: function (bounds) {
-		var tileSize = this.getTileSize();
-		return new Bounds(
-			bounds.min.unscaleBy(tileSize).floor(),
-			bounds.max.unscaleBy(tileSize).ceil().subtract([1, 1]));
+	_requestRedraw: function (layer) {
+		if (!this._map) { return; }
+		this._extendRedrawBounds(layer);
+		this._redrawRequest = this._redrawRequest || requestAnimFrame(this._redraw, this);
+		this._map._scheduleIdleCheck();
 	},
-	_noTilesToLoad: function () {
-		for (var key in this._tiles) {
-			if (!this._tiles[key].loaded) { return false; }
+	_extendRedrawBounds: function (layer) {
+		if (layer._pxBounds) {
+			var padding = (layer.options.weight || 0) + 1;
+			this._redrawBounds = this._redrawBounds || new Bounds();
+			this._redrawBounds.extend(layer._pxBounds.min.subtract([padding, padding]));
+			this._redrawBounds.extend(layer._pxBounds.max.add([padding, padding]));
 		}
-		return true;
-	}
-  });
-  function gridLayer(options) {
-	return new GridLayer(options);
-  }
-  var TileLayer = GridLayer.extend({
-	options: {
-		minZoom: 0,
-		maxZoom: 18,
-		subdomains: 'abc',
-		errorTileUrl: '',
-		zoomOffset: 0,
-		tms: false,
-		zoomReverse: false,
-		detectRetina: false,
-		crossOrigin: false,
-		referrerPolicy: false
 	},
-	initialize: function (url, options) {
-		this._url = url;
-		options = setOptions(this, options);
-		if (options.detectRetina && Browser.retina && options.maxZoom > 0) {
-			options.tileSize = Math.floor(options.tileSize / 2);
-			if (!options.zoomReverse) {
-				options.zoomOffset++;
-				options.maxZoom = Math.max(options.minZoom, options.maxZoom - 1);
-			} else {
-				options.zoomOffset--;
-				options.minZoom = Math.min(options.maxZoom, options.minZoom + 1);
-			}
-			options.minZoom = Math.max(0, options.minZoom);
-		} else if (!options.zoomReverse) {
-			options.maxZoom = Math.max(options.minZoom, options.maxZoom);
-		} else {
-			options.minZoom = Math.min(options.maxZoom, options.minZoom);
+	_redraw: function () {
+		this._redrawRequest = null;
+		if (this._redrawBounds) {
+			this._redrawBounds.min._floor();
+			this._redrawBounds.max._ceil();
 		}
-		if (typeof options.subdomains === 'string') {
-			options.subdomains = options.subdomains.split('');
+		this._clear();
+		this._draw();
+		this._redrawBounds = null;
+		if (this._map) {
+			this._map._scheduleIdleCheck();
 		}
-		this.on('tileunload', this._onTileRemove);
 	},
-	setUrl: function (url, noRedraw) {
-		if (this._url === url && noRedraw === undefined) {
-			noRedraw = true;
-		}
-		this._url = url;
-		if (!noRedraw) {
-			this.redraw();
+	_clear: function () {
+		var bounds = this._redrawBounds;
+		if (bounds) {
+			var size = bounds.getSize();
+			this._ctx.clearRect(bounds.min.x, bounds.min.y, size.x, size.y);
+		} else {
+			this._ctx.save();
+			this._ctx.setTransform(1, 0, 0, 1, 0, 0);
+			this._ctx.clearRect(0, 0, this._container.width, this._container.height);
+			this._ctx.restore();
 		}
-		return this;
 	},
-	createTile: function (coords, done) {
-		var tile = document.createElement('img');
-		on(tile, 'load', bind(this._tileOnLoad, this, done, tile));
-		on(tile, 'error', bind(this._tileOnError, this, done, tile));
-		if (this.options.crossOrigin || this.options.crossOrigin === '') {
-			tile.crossOrigin = this.options.crossOrigin === true ? '' : this.options.crossOrigin;
+	_draw: function () {
+		var layer, bounds = this._redrawBounds;
+		this._ctx.save();
+		if (bounds) {
+			var size = bounds.getSize();
+			this._ctx.beginPath();
+			this._ctx.rect(bounds.min.x, bounds.min.y, size.x, size.y);
+			this._ctx.clip();
 		}
-		if (typeof this.options.referrerPolicy === 'string') {
-			tile.referrerPolicy = this.options.referrerPolicy;
+		this._drawing = true;
+		for (var order = this._drawFirst; order; order = order.next) {
+			layer = order.layer;
+			if (!bounds || (layer._pxBounds && layer._pxBounds.intersects(bounds))) {
+				layer._updatePath();
+			}
 		}
-		tile.alt = '';
-		tile.src = this.getTileUrl(coords);
-		return tile;
+		this._drawing = false;
+		this._ctx.restore();
 	},
-	getTileUrl: function (coords) {
-		var data = {
-			r: Browser.retina ? '@2x' : '',
-			s: this._getSubdomain(coords),
-			x: coords.x,
-			y: coords.y,
-			z: this._getZoomForUrl()
-		};
-		if (this._map && !this._map.options.crs.infinite) {
-			var invertedY = this._globalTileRange.max.y - coords.y;
-			if (this.options.tms) {
-				data['y'] = invertedY;
+	_updatePoly: function (layer, closed) {
+		if (!this._drawing) { return; }
+		var i, j, len2, p,
+		    parts = layer._parts,
+		    len = parts.length,
+		    ctx = this._ctx;
+		if (!len) { return; }
+		ctx.beginPath();
+		for (i = 0; i < len; i++) {
+			for (j = 0, len2 = parts[i].length; j < len2; j++) {
+				p = parts[i][j];
+				ctx[j ? 'lineTo' : 'moveTo'](p.x, p.y);
+			}
+			if (closed) {
+				ctx.closePath();
 			}
-			data['-y'] = invertedY;
 		}
-		return template(this._url, extend(data, this.options));
+		this._fillStroke(ctx, layer);
 	},
-	_tileOnLoad: function (done, tile) {
-		if (Browser.ielt9) {
-			setTimeout(bind(done, this, null, tile), 0);
-		} else {
-			done(null, tile);
+	_updateCircle: function (layer) {
+		if (!this._drawing || layer._empty()) { return; }
+		var p = layer._point,
+		    ctx = this._ctx,
+		    r = Math.max(Math.round(layer._radius), 1),
+		    s = (Math.max(Math.round(layer._radiusY), 1) || r) / r;
+		if (s !== 1) {
+			ctx.save();
+			ctx.scale(1, s);
 		}
-	},
-	_tileOnError: function (done, tile, e) {
-		var errorUrl = this.options.errorTileUrl;
-		if (errorUrl && tile.getAttribute('src') !== errorUrl) {
-			tile.src = errorUrl;
+		ctx.beginPath();
+		ctx.arc(p.x, p.y / s, r, 0, Math.PI * 2, false);
+		if (s !== 1) {
+			ctx.restore();
 		}
-		done(e, tile);
-	},
-	_onTileRemove: function (e) {
-		e.tile.onload = null;
+		this._fillStroke(ctx, layer);
 	},
-	_getZoomForUrl: function () {
-		var zoom = this._tileZoom,
-		maxZoom = this.options.maxZoom,
-		zoomReverse = this.options.zoomReverse,
-		zoomOffset = this.options.zoomOffset;
-		if (zoomReverse) {
-			zoom = maxZoom - zoom;
+	_fillStroke: function (ctx, layer) {
+		var options = layer.options;
+		if (options.fill) {
+			ctx.globalAlpha = options.fillOpacity;
+			ctx.fillStyle = options.fillColor || options.color;
+			ctx.fill(options.fillRule || 'evenodd');
+		}
+		if (options.stroke && options.weight !== 0) {
+			if (ctx.setLineDash) {
+				ctx.setLineDash(layer.options && layer.options._dashArray || []);
+			}
+			ctx.globalAlpha = options.opacity;
+			ctx.lineWidth = options.weight;
+			ctx.strokeStyle = options.color;
+			ctx.lineCap = options.lineCap;
+			ctx.lineJoin = options.lineJoin;
+			ctx.stroke();
 		}
-		return zoom + zoomOffset;
-	},
-	_getSubdomain: function (tilePoint) {
-		var index = Math.abs(tilePoint.x + tilePoint.y) % this.options.subdomains.length;
-		return this.options.subdomains[index];
 	},
-	_abortLoading: function () {
-		var i, tile;
-		for (i in this._tiles) {
-			if (this._tiles[i].coords.z !== this._tileZoom) {
-				tile = this._tiles[i].el;
-				tile.onload = falseFn;
-				tile.onerror = falseFn;
-				if (!tile.complete) {
-					tile.src = emptyImageUrl;
-					var coords = this._tiles[i].coords;
-					remove(tile);
-					delete this._tiles[i];
-					this.fire('tileabort', {
-						tile: tile,
-						coords: coords
-					});
+	_onClick: function (e) {
+		var point = this._map.mouseEventToLayerPoint(e), layer, clickedLayer;
+		for (var order = this._drawFirst; order; order = order.next) {
+			layer = order.layer;
+			if (layer.options.interactive && layer._containsPoint(point)) {
+				if (!(e.type === 'click' || e.type === 'preclick') || !this._map._draggableMoved(layer)) {
+					clickedLayer = layer;
 				}
 			}
 		}
+		this._fireEvent(clickedLayer ? [clickedLayer] : false, e);
 	},
-	_removeTile: function (key) {
-		var tile = this._tiles[key];
-		if (!tile) { return; }
-		tile.el.setAttribute('src', emptyImageUrl);
-		return GridLayer.prototype._removeTile.call(this, key);
+	_onMouseMove: function (e) {
+		if (!this._map || this._map.dragging.moving() || this._map._animatingZoom) { return; }
+		var point = this._map.mouseEventToLayerPoint(e);
+		this._handleMouseHover(e, point);
+	},
+	_handleMouseOut: function (e) {
+		var layer = this._hoveredLayer;
+		if (layer) {
+			removeClass(this._container, 'atlas-interactive');
+			this._fireEvent([layer], e, 'mouseout');
+			this._hoveredLayer = null;
+			this._mouseHoverThrottled = false;
+		}
 	},
-	_tileReady: function (coords, err, tile) {
-		if (!this._map || (tile && tile.getAttribute('src') === emptyImageUrl)) {
+	_handleMouseHover: function (e, point) {
+		if (this._mouseHoverThrottled) {
 			return;
 		}
-		return GridLayer.prototype._tileReady.call(this, coords, err, tile);
-	}
-  });
-  function tileLayer(url, options) {
-	return new TileLayer(url, options);
-  }
-  var TileLayerWMS = TileLayer.extend({
-	defaultWmsParams: {
-		service: 'WMS',
-		request: 'GetMap',
-		layers: '',
-		styles: '',
-		format: 'image/jpeg',
-		transparent: false,
-		version: '1.1.1'
-	},
-	options: {
-		crs: null,
-		uppercase: false
-	},
-	initialize: function (url, options) {
-		this._url = url;
-		var wmsParams = extend({}, this.defaultWmsParams);
-		for (var i in options) {
-			if (!(i in this.options)) {
-				wmsParams[i] = options[i];
+		var layer, candidateHoveredLayer;
+		for (var order = this._drawFirst; order; order = order.next) {
+			layer = order.layer;
+			if (layer.options.interactive && layer._containsPoint(point)) {
+				candidateHoveredLayer = layer;
 			}
 		}
-		options = setOptions(this, options);
-		var realRetina = options.detectRetina && Browser.retina ? 2 : 1;
-		var tileSize = this.getTileSize();
-		wmsParams.width = tileSize.x * realRetina;
-		wmsParams.height = tileSize.y * realRetina;
-		this.wmsParams = wmsParams;
+		if (candidateHoveredLayer !== this._hoveredLayer) {
+			this._handleMouseOut(e);
+			if (candidateHoveredLayer) {
+				addClass(this._container, 'atlas-interactive');
+				this._fireEvent([candidateHoveredLayer], e, 'mouseover');
+				this._hoveredLayer = candidateHoveredLayer;
+			}
+		}
+		this._fireEvent(this._hoveredLayer ? [this._hoveredLayer] : false, e);
+		this._mouseHoverThrottled = true;
+		setTimeout(bind(function () {
+			this._mouseHoverThrottled = false;
+		}, this), 32);
 	},
-	onAdd: function (map) {
-		this._crs = this.options.crs || map.options.crs;
-		this._wmsVersion = parseFloat(this.wmsParams.version);
-		var projectionKey = this._wmsVersion >= 1.3 ? 'crs' : 'srs';
-		this.wmsParams[projectionKey] = this._crs.code;
-		TileLayer.prototype.onAdd.call(this, map);
+	_fireEvent: function (layers, e, type) {
+		this._map._fireDOMEvent(e, type || e.type, layers);
 	},
-	getTileUrl: function (coords) {
-		var tileBounds = this._tileCoordsToNwSe(coords),
-		    crs = this._crs,
-		    bounds = toBounds(crs.project(tileBounds[0]), crs.project(tileBounds[1])),
-		    min = bounds.min,
-		    max = bounds.max,
-		    bbox = (this._wmsVersion >= 1.3 && this._crs === EPSG4326 ?
-		    [min.y, min.x, max.y, max.x] :
-		    [min.x, min.y, max.x, max.y]).join(','),
-		    url = TileLayer.prototype.getTileUrl.call(this, coords);
-		return url +
-			getParamString(this.wmsParams, url, this.options.uppercase) +
-			(this.options.uppercase ? '&BBOX=' : '&bbox=') + bbox;
+	_bringToFront: function (layer) {
+		var order = layer._order;
+		if (!order) { return; }
+		var next = order.next;
+		var prev = order.prev;
+		if (next) {
+			next.prev = prev;
+		} else {
+			return;
+		}
+		if (prev) {
+			prev.next = next;
+		} else if (next) {
+			this._drawFirst = next;
+		}
+		order.prev = this._drawLast;
+		this._drawLast.next = order;
+		order.next = null;
+		this._drawLast = order;
+		this._requestRedraw(layer);
 	},
-	setParams: function (params, noRedraw) {
-		extend(this.wmsParams, params);
-		if (!noRedraw) {
-			this.redraw();
+	_bringToBack: function (layer) {
+		var order = layer._order;
+		if (!order) { return; }
+		var next = order.next;
+		var prev = order.prev;
+		if (prev) {
+			prev.next = next;
+		} else {
+			return;
 		}
-		return this;
+		if (next) {
+			next.prev = prev;
+		} else if (prev) {
+			this._drawLast = prev;
+		}
+		order.prev = null;
+		order.next = this._drawFirst;
+		this._drawFirst.prev = order;
+		this._drawFirst = order;
+		this._requestRedraw(layer);
 	}
   });
-  function tileLayerWMS(url, options) {
-	return new TileLayerWMS(url, options);
+  function canvas(options) {
+	return Browser.canvas ? new Canvas(options) : null;
   }
-  TileLayer.WMS = TileLayerWMS;
-  tileLayer.wms = tileLayerWMS;
-  var Renderer = Layer.extend({
-	options: {
-		padding: 0.1
+  var SVG = Renderer.extend({
+	_initContainer: function () {
+		this._container = create('svg');
+		this._container.setAttribute('pointer-events', 'none');
+		this._rootGroup = create('g');
+		this._container.appendChild(this._rootGroup);
 	},
-	initialize: function (options) {
-		setOptions(this, options);
-		stamp(this);
-		this._layers = this._layers || {};
+	_destroyContainer: function () {
+		remove(this._container);
+		off(this._container);
+		delete this._container;
+		delete this._rootGroup;
+		delete this._svgSize;
 	},
-	onAdd: function () {
-		if (!this._container) {
-			this._initContainer();
-			addClass(this._container, 'atlas-zoom-animated');
+	_update: function () {
+		if (this._map._animatingZoom && this._bounds) { return; }
+		Renderer.prototype._update.call(this);
+		var b = this._bounds,
+		    size = b.getSize(),
+		    container = this._container;
+		if (!this._svgSize || !this._svgSize.equals(size)) {
+			this._svgSize = size;
+			container.setAttribute('width', size.x);
+			container.setAttribute('height', size.y);
 		}
-		this.getPane().appendChild(this._container);
-		this._update();
-		this.on('update', this._updatePaths, this);
-	},
-	onRemove: function () {
-		this.off('update', this._updatePaths, this);
-		this._destroyContainer();
+		setPosition(container, b.min);
+		container.setAttribute('viewBox', [b.min.x, b.min.y, size.x, size.y].join(' '));
+		this.fire('update');
 	},
-	getEvents: function () {
-		var events = {
-			viewreset: this._reset,
-			zoom: this._onZoom,
-			moveend: this._update,
-			zoomend: this._onZoomEnd
-		};
-		if (this._zoomAnimated) {
-			events.zoomanim = this._onAnimZoom;
+	_initPath: function (layer) {
+		var path = layer._path = create('path');
+		if (layer.options.className) {
+			addClass(path, layer.options.className);
 		}
-		return events;
+		if (layer.options.interactive) {
+			addClass(path, 'atlas-interactive');
+		}
+		this._updateStyle(layer);
+		this._layers[stamp(layer)] = layer;
 	},
-	_onAnimZoom: function (ev) {
-		this._updateTransform(ev.center, ev.zoom);
+	_addPath: function (layer) {
+		if (!this._rootGroup) { this._initContainer(); }
+		this._rootGroup.appendChild(layer._path);
+		layer.addInteractiveTarget(layer._path);
 	},
-	_onZoom: function () {
-		this._updateTransform(this._map.getCenter(), this._map.getZoom());
+	_removePath: function (layer) {
+		remove(layer._path);
+		layer.removeInteractiveTarget(layer._path);
+		delete this._layers[stamp(layer)];
 	},
-	_updateTransform: function (center, zoom) {
-		var scale = this._map.getZoomScale(zoom, this._zoom),
-		    viewHalf = this._map.getSize().multiplyBy(0.5 + this.options.padding),
-		    currentCenterPoint = this._map.project(this._center, zoom),
-		    topLeftOffset = viewHalf.multiplyBy(-scale).add(currentCenterPoint)
-				  .subtract(this._map._getNewPixelOrigin(center, zoom));
-		if (Browser.any3d) {
-			setTransform(this._container, topLeftOffset, scale);
+	_updatePath: function (layer) {
+		layer._project();
+		layer._update();
+	},
+	_updateStyle: function (layer) {
+		var path = layer._path,
+		    options = layer.options;
+		if (!path) { return; }
+		if (options.stroke) {
+			path.setAttribute('stroke', options.color);
+			path.setAttribute('stroke-opacity', options.opacity);
+			path.setAttribute('stroke-width', options.weight);
+			path.setAttribute('stroke-linecap', options.lineCap);
+			path.setAttribute('stroke-linejoin', options.lineJoin);
+			if (options.dashArray) {
+				path.setAttribute('stroke-dasharray', options.dashArray);
+			} else {
+				path.removeAttribute('stroke-dasharray');
+			}
+			if (options.dashOffset) {
+				path.setAttribute('stroke-dashoffset', options.dashOffset);
+			} else {
+				path.removeAttribute('stroke-dashoffset');
+			}
 		} else {
-			setPosition(this._container, topLeftOffset);
+			path.setAttribute('stroke', 'none');
+		}
+		if (options.fill) {
+			path.setAttribute('fill', options.fillColor || options.color);
+			path.setAttribute('fill-opacity', options.fillOpacity);
+			path.setAttribute('fill-rule', options.fillRule || 'evenodd');
+		} else {
+			path.setAttribute('fill', 'none');
 		}
 	},
-	_reset: function () {
-		this._update();
-		this._updateTransform(this._center, this._zoom);
-		for (var id in this._layers) {
-			this._layers[id]._reset();
-		}
+	_updatePoly: function (layer, closed) {
+		this._setPath(layer, pointsToPath(layer._parts, closed));
+	},
+	_updateCircle: function (layer) {
+		var p = layer._point,
+		    r = Math.max(Math.round(layer._radius), 1),
+		    r2 = Math.max(Math.round(layer._radiusY), 1) || r,
+		    arc = 'a' + r + ',' + r2 + ' 0 1,0 ';
+		var d = layer._empty() ? 'M0 0' :
+			'M' + (p.x - r) + ',' + p.y +
+			arc + (r * 2) + ',0 ' +
+			arc + (-r * 2) + ',0 ';
+		this._setPath(layer, d);
+	},
+	_setPath: function (layer, path) {
+		layer._path.setAttribute('d', path);
+	},
+	_bringToFront: function (layer) {
+		toFront(layer._path);
 	},
-	_onZoomEnd: function () {
-		for (var id in this._layers) {
-			this._layers[id]._project();
+	_bringToBack: function (layer) {
+		toBack(layer._path);
+	}
+  });
+  function svg(options) {
+	return Browser.svg ? new SVG(options) : null;
+  }
+  Map.include({
+	getRenderer: function (layer) {
+		var renderer = layer.options.renderer || this._getPaneRenderer(layer.options.pane) || this.options.renderer || this._renderer;
+		if (!renderer) {
+			renderer = this._renderer = this._createRenderer();
 		}
+		if (!this.hasLayer(renderer)) {
+			this.addLayer(renderer);
+		}
+		return renderer;
 	},
-	_updatePaths: function () {
-		for (var id in this._layers) {
-			this._layers[id]._update();
+	_getPaneRenderer: function (name) {
+		if (name === 'overlayPane' || name === undefined) {
+			return false;
+		}
+		var renderer = this._paneRenderers[name];
+		if (renderer === undefined) {
+			renderer = this._createRenderer({pane: name});
+			this._paneRenderers[name] = renderer;
 		}
+		return renderer;
 	},
-	_update: function () {
-		var p = this.options.padding,
-		    size = this._map.getSize(),
-		    min = this._map.containerPointToLayerPoint(size.multiplyBy(-p)).round();
-		this._bounds = new Bounds(min, min.add(size.multiplyBy(1 + p * 2)).round());
-		this._center = this._map.getCenter();
-		this._zoom = this._map.getZoom();
+	_createRenderer: function (options) {
+		return (this.options.preferCanvas && canvas(options)) || svg(options);
 	}
   });
-  var Canvas = Renderer.extend({
-	options: {
-		tolerance: 0
+  var Rectangle = Polygon.extend({
+	initialize: function (latLngBounds, options) {
+		Polygon.prototype.initialize.call(this, this._boundsToLatLngs(latLngBounds), options);
 	},
-	getEvents: function () {
-		var events = Renderer.prototype.getEvents.call(this);
-		events.viewprereset = this._onViewPreReset;
-		return events;
+	setBounds: function (latLngBounds) {
+		return this.setLatLngs(this._boundsToLatLngs(latLngBounds));
 	},
-	_onViewPreReset: function () {
-		this._postponeUpdatePaths = true;
+	_boundsToLatLngs: function (latLngBounds) {
+		latLngBounds = toLatLngBounds(latLngBounds);
+		return [
+			latLngBounds.getSouthWest(),
+			latLngBounds.getNorthWest(),
+			latLngBounds.getNorthEast(),
+			latLngBounds.getSouthEast()
+		];
+	}
+  });
+  function rectangle(latLngBounds, options) {
+	return new Rectangle(latLngBounds, options);
+  }
+  SVG.create = create;
+  SVG.pointsToPath = pointsToPath;
+  GeoJSON.geometryToLayer = geometryToLayer;
+  GeoJSON.coordsToLatLng = coordsToLatLng;
+  GeoJSON.coordsToLatLngs = coordsToLatLngs;
+  GeoJSON.latLngToCoords = latLngToCoords;
+  GeoJSON.latLngsToCoords = latLngsToCoords;
+  GeoJSON.getFeature = getFeature;
+  GeoJSON.asFeature = asFeature;
+  Map.mergeOptions({
+	boxZoom: true
+  });
+  var BoxZoom = Handler.extend({
+	initialize: function (map) {
+		this._map = map;
+		this._container = map._container;
+		this._pane = map._panes.overlayPane;
+		this._resetStateTimeout = 0;
+		map.on('unload', this._destroy, this);
 	},
-	onAdd: function () {
-		Renderer.prototype.onAdd.call(this);
-		this._draw();
+	addHooks: function () {
+		on(this._container, 'mousedown', this._onMouseDown, this);
 	},
-	_initContainer: function () {
-		var container = this._container = document.createElement('canvas');
-		on(container, 'mousemove', this._onMouseMove, this);
-		on(container, 'click dblclick mousedown mouseup contextmenu', this._onClick, this);
-		on(container, 'mouseout', this._handleMouseOut, this);
-		container['_atlas_disable_events'] = true;
-		this._ctx = container.getContext('2d');
+	removeHooks: function () {
+		off(this._container, 'mousedown', this._onMouseDown, this);
 	},
-	_destroyContainer: function () {
-		cancelAnimFrame(this._redrawRequest);
-		delete this._ctx;
-		remove(this._container);
-		off(this._container);
-		delete this._container;
+	moved: function () {
+		return this._moved;
 	},
-	_updatePaths: function () {
-		if (this._postponeUpdatePaths) { return; }
-		var layer;
-		this._redrawBounds = null;
-		for (var id in this._layers) {
-			layer = this._layers[id];
-			layer._update();
-		}
-		this._redraw();
+	_destroy: function () {
+		remove(this._pane);
+		delete this._pane;
 	},
-	_update: function () {
-		if (this._map._animatingZoom && this._bounds) { return; }
-		Renderer.prototype._update.call(this);
-		var b = this._bounds,
-		    container = this._container,
-		    size = b.getSize(),
-		    m = Browser.retina ? 2 : 1;
-		setPosition(container, b.min);
-		container.width = m * size.x;
-		container.height = m * size.y;
-		container.style.width = size.x + 'px';
-		container.style.height = size.y + 'px';
-		if (Browser.retina) {
-			this._ctx.scale(2, 2);
-		}
-		this._ctx.translate(-b.min.x, -b.min.y);
-		this.fire('update');
+	_resetState: function () {
+		this._resetStateTimeout = 0;
+		this._moved = false;
 	},
-	_reset: function () {
-		Renderer.prototype._reset.call(this);
-		if (this._postponeUpdatePaths) {
-			this._postponeUpdatePaths = false;
-			this._updatePaths();
+	_clearDeferredResetState: function () {
+		if (this._resetStateTimeout !== 0) {
+			clearTimeout(this._resetStateTimeout);
+			this._resetStateTimeout = 0;
 		}
 	},
-	_initPath: function (layer) {
-		this._updateDashArray(layer);
-		this._layers[stamp(layer)] = layer;
-		var order = layer._order = {
-			layer: layer,
-			prev: this._drawLast,
-			next: null
-		};
-		if (this._drawLast) { this._drawLast.next = order; }
-		this._drawLast = order;
-		this._drawFirst = this._drawFirst || this._drawLast;
-	},
-	_addPath: function (layer) {
-		this._requestRedraw(layer);
+	_onMouseDown: function (e) {
+		if (!e.shiftKey || ((e.which !== 1) && (e.button !== 1))) { return false; }
+		this._clearDeferredResetState();
+		this._resetState();
+		disableTextSelection();
+		disableImageDrag();
+		this._startPoint = this._map.mouseEventToContainerPoint(e);
+		on(document, {
+			contextmenu: stop,
+			mousemove: this._onMouseMove,
+			mouseup: this._onMouseUp,
+			keydown: this._onKeyDown
+		}, this);
 	},
-	_removePath: function (layer) {
-		var order = layer._order;
-		var next = order.next;
-		var prev = order.prev;
-		if (next) {
-			next.prev = prev;
-		} else {
-			this._drawLast = prev;
-		}
-		if (prev) {
-			prev.next = next;
-		} else {
-			this._drawFirst = next;
+	_onMouseMove: function (e) {
+		if (!this._moved) {
+			this._moved = true;
+			this._box = create$1('div', 'atlas-zoom-box', this._container);
+			addClass(this._container, 'atlas-crosshair');
+			this._map.fire('boxzoomstart');
 		}
-		delete layer._order;
-		delete this._layers[stamp(layer)];
-		this._requestRedraw(layer);
-	},
-	_updatePath: function (layer) {
-		this._extendRedrawBounds(layer);
-		layer._project();
-		layer._update();
-		this._requestRedraw(layer);
+		this._point = this._map.mouseEventToContainerPoint(e);
+		var bounds = new Bounds(this._point, this._startPoint),
+		    size = bounds.getSize();
+		setPosition(this._box, bounds.min);
+		this._box.style.width  = size.x + 'px';
+		this._box.style.height = size.y + 'px';
 	},
-	_updateStyle: function (layer) {
-		this._updateDashArray(layer);
-		this._requestRedraw(layer);
+	_finish: function () {
+		if (this._moved) {
+			remove(this._box);
+			removeClass(this._container, 'atlas-crosshair');
+		}
+		enableTextSelection();
+		enableImageDrag();
+		off(document, {
+			contextmenu: stop,
+			mousemove: this._onMouseMove,
+			mouseup: this._onMouseUp,
+			keydown: this._onKeyDown
+		}, this);
 	},
-	_updateDashArray: function (layer) {
-		if (typeof layer.options.dashArray === 'string') {
-			var parts = layer.options.dashArray.split(/[, ]+/),
-			    dashArray = [],
-			    dashValue,
-			    i;
-			for (i = 0; i < parts.length; i++) {
-				dashValue = Number(parts[i]);
-				if (isNaN(dashValue)) { return; }
-				dashArray.push(dashValue);
-			}
-			layer.options._dashArray = dashArray;
-		} else {
-			layer.options._dashArray = layer.options.dashArray;
+	_onMouseUp: function (e) {
+		if ((e.which !== 1) && (e.button !== 1)) { return; }
+		this._finish();
+		if (!this._moved) { return; }
+		this._clearDeferredResetState();
+		this._resetStateTimeout = setTimeout(bind(this._resetState, this), 0);
+		var bounds = new LatLngBounds(
+		        this._map.containerPointToLatLng(this._startPoint),
+		        this._map.containerPointToLatLng(this._point));
+		if (this._map._bearing) {
+			bounds
+			    .extend(this._map.containerPointToLatLng([this._startPoint.x, this._point.y]))
+			    .extend(this._map.containerPointToLatLng([this._point.x, this._startPoint.y]));
 		}
+		this._map
+			.fitBounds(bounds)
+			.fire('boxzoomend', {boxZoomBounds: bounds});
 	},
-	_requestRedraw: function (layer) {
-		if (!this._map) { return; }
-		this._extendRedrawBounds(layer);
-		this._redrawRequest = this._redrawRequest || requestAnimFrame(this._redraw, this);
-	},
-	_extendRedrawBounds: function (layer) {
-		if (layer._pxBounds) {
-			var padding = (layer.options.weight || 0) + 1;
-			this._redrawBounds = this._redrawBounds || new Bounds();
-			this._redrawBounds.extend(layer._pxBounds.min.subtract([padding, padding]));
-			this._redrawBounds.extend(layer._pxBounds.max.add([padding, padding]));
+	_onKeyDown: function (e) {
+		if (e.keyCode === 27) {
+			this._finish();
+			this._clearDeferredResetState();
+			this._resetState();
 		}
+	}
+  });
+  Map.addInitHook('addHandler', 'boxZoom', BoxZoom);
+  Map.mergeOptions({
+	doubleClickZoom: true
+  });
+  var DoubleClickZoom = Handler.extend({
+	addHooks: function () {
+		this._map.on('dblclick', this._onDoubleClick, this);
 	},
-	_redraw: function () {
-		this._redrawRequest = null;
-		if (this._redrawBounds) {
-			this._redrawBounds.min._floor();
-			this._redrawBounds.max._ceil();
-		}
-		this._clear();
-		this._draw();
-		this._redrawBounds = null;
+	removeHooks: function () {
+		this._map.off('dblclick', this._onDoubleClick, this);
 	},
-	_clear: function () {
-		var bounds = this._redrawBounds;
-		if (bounds) {
-			var size = bounds.getSize();
-			this._ctx.clearRect(bounds.min.x, bounds.min.y, size.x, size.y);
+	_onDoubleClick: function (e) {
+		var map = this._map,
+		    oldZoom = map.getZoom(),
+		    delta = map.options.zoomDelta,
+		    zoom = e.originalEvent.shiftKey ? oldZoom - delta : oldZoom + delta;
+		if (map.options.doubleClickZoom === 'center') {
+			map.setZoom(zoom);
 		} else {
-			this._ctx.save();
-			this._ctx.setTransform(1, 0, 0, 1, 0, 0);
-			this._ctx.clearRect(0, 0, this._container.width, this._container.height);
-			this._ctx.restore();
-		}
-	},
-	_draw: function () {
-		var layer, bounds = this._redrawBounds;
-		this._ctx.save();
-		if (bounds) {
-			var size = bounds.getSize();
-			this._ctx.beginPath();
-			this._ctx.rect(bounds.min.x, bounds.min.y, size.x, size.y);
-			this._ctx.clip();
+			map.setZoomAround(e.containerPoint, zoom);
 		}
-		this._drawing = true;
-		for (var order = this._drawFirst; order; order = order.next) {
-			layer = order.layer;
-			if (!bounds || (layer._pxBounds && layer._pxBounds.intersects(bounds))) {
-				layer._updatePath();
+	}
+  });
+  Map.addInitHook('addHandler', 'doubleClickZoom', DoubleClickZoom);
+  Map.mergeOptions({
+	dragging: true,
+	inertia: true,
+	inertiaDeceleration: 3400,
+	inertiaMaxSpeed: Infinity,
+	easeLinearity: 0.2,
+	worldCopyJump: false,
+	maxBoundsViscosity: 0.0
+  });
+  var Drag = Handler.extend({
+	addHooks: function () {
+		if (!this._draggable) {
+			var map = this._map;
+			this._draggable = new Draggable(map._mapPane, map._container);
+			this._draggable.on({
+				dragstart: this._onDragStart,
+				drag: this._onDrag,
+				dragend: this._onDragEnd
+			}, this);
+			this._draggable.on('predrag', this._onPreDragRotate, this);
+			this._draggable.on('predrag', this._onPreDragLimit, this);
+			if (map.options.worldCopyJump) {
+				this._draggable.on('predrag', this._onPreDragWrap, this);
+				map.on('zoomend', this._onZoomEnd, this);
+				map.whenReady(this._onZoomEnd, this);
 			}
 		}
-		this._drawing = false;
-		this._ctx.restore();
+		addClass(this._map._container, 'atlas-grab atlas-touch-drag');
+		this._draggable.enable();
+		this._positions = [];
+		this._times = [];
 	},
-	_updatePoly: function (layer, closed) {
-		if (!this._drawing) { return; }
-		var i, j, len2, p,
-		    parts = layer._parts,
-		    len = parts.length,
-		    ctx = this._ctx;
-		if (!len) { return; }
-		ctx.beginPath();
-		for (i = 0; i < len; i++) {
-			for (j = 0, len2 = parts[i].length; j < len2; j++) {
-				p = parts[i][j];
-				ctx[j ? 'lineTo' : 'moveTo'](p.x, p.y);
-			}
-			if (closed) {
-				ctx.closePath();
-			}
-		}
-		this._fillStroke(ctx, layer);
+	removeHooks: function () {
+		removeClass(this._map._container, 'atlas-grab');
+		removeClass(this._map._container, 'atlas-touch-drag');
+		this._draggable.disable();
 	},
-	_updateCircle: function (layer) {
-		if (!this._drawing || layer._empty()) { return; }
-		var p = layer._point,
-		    ctx = this._ctx,
-		    r = Math.max(Math.round(layer._radius), 1),
-		    s = (Math.max(Math.round(layer._radiusY), 1) || r) / r;
-		if (s !== 1) {
-			ctx.save();
-			ctx.scale(1, s);
+	moved: function () {
+		return this._draggable && this._draggable._moved;
+	},
+	moving: function () {
+		return this._draggable && this._draggable._moving;
+	},
+	_onDragStart: function () {
+		var map = this._map;
+		map._stop();
+		if (this._map.options.maxBounds && this._map.options.maxBoundsViscosity) {
+			var bounds = toLatLngBounds(this._map.options.maxBounds);
+			this._offsetLimit = toBounds(
+				this._map.latLngToContainerPoint(bounds.getNorthWest()).multiplyBy(-1),
+				this._map.latLngToContainerPoint(bounds.getSouthEast()).multiplyBy(-1)
+					.add(this._map.getSize()));
+			this._viscosity = Math.min(1.0, Math.max(0.0, this._map.options.maxBoundsViscosity));
+		} else {
+			this._offsetLimit = null;
 		}
-		ctx.beginPath();
-		ctx.arc(p.x, p.y / s, r, 0, Math.PI * 2, false);
-		if (s !== 1) {
-			ctx.restore();
+		map
+		    .fire('movestart')
+		    .fire('dragstart');
+		if (map.options.inertia) {
+			this._positions = [];
+			this._times = [];
 		}
-		this._fillStroke(ctx, layer);
 	},
-	_fillStroke: function (ctx, layer) {
-		var options = layer.options;
-		if (options.fill) {
-			ctx.globalAlpha = options.fillOpacity;
-			ctx.fillStyle = options.fillColor || options.color;
-			ctx.fill(options.fillRule || 'evenodd');
+	_onDrag: function (e) {
+		if (this._map.options.inertia) {
+			var time = this._lastTime = +new Date(),
+			    pos = this._lastPos = this._draggable._absPos || this._draggable._newPos;
+			this._positions.push(pos);
+			this._times.push(time);
+			this._prunePositions(time);
 		}
-		if (options.stroke && options.weight !== 0) {
-			if (ctx.setLineDash) {
-				ctx.setLineDash(layer.options && layer.options._dashArray || []);
-			}
-			ctx.globalAlpha = options.opacity;
-			ctx.lineWidth = options.weight;
-			ctx.strokeStyle = options.color;
-			ctx.lineCap = options.lineCap;
-			ctx.lineJoin = options.lineJoin;
-			ctx.stroke();
+		this._map
+		    .fire('move', e)
+		    .fire('drag', e);
+	},
+	_prunePositions: function (time) {
+		while (this._positions.length > 1 && time - this._times[0] > 50) {
+			this._positions.shift();
+			this._times.shift();
 		}
 	},
-	_onClick: function (e) {
-		var point = this._map.mouseEventToLayerPoint(e), layer, clickedLayer;
-		for (var order = this._drawFirst; order; order = order.next) {
-			layer = order.layer;
-			if (layer.options.interactive && layer._containsPoint(point)) {
-				if (!(e.type === 'click' || e.type === 'preclick') || !this._map._draggableMoved(layer)) {
-					clickedLayer = layer;
-				}
+	_onZoomEnd: function () {
+		var pxCenter = this._map.getSize().divideBy(2),
+		    pxWorldCenter = this._map.latLngToLayerPoint([0, 0]);
+		this._initialWorldOffset = pxWorldCenter.subtract(pxCenter).x;
+		this._worldWidth = this._map.getPixelWorldBounds().getSize().x;
+	},
+	_viscousLimit: function (value, threshold) {
+		return value - (value - threshold) * this._viscosity;
+	},
+	_onPreDragRotate: function () {
+		var map = this._map,
+		    draggable = this._draggable;
+		if (!map._bearing) { return; }
+		draggable._newPos = draggable._startPos.add(
+			map._rotateOffset(draggable._newPos.subtract(draggable._startPos), true));
+	},
+	_onPreDragLimit: function () {
+		if (!this._viscosity || !this._offsetLimit) { return; }
+		var offset = this._draggable._newPos.subtract(this._draggable._startPos);
+		var limit = this._offsetLimit;
+		if (offset.x < limit.min.x) { offset.x = this._viscousLimit(offset.x, limit.min.x); }
+		if (offset.y < limit.min.y) { offset.y = this._viscousLimit(offset.y, limit.min.y); }
+		if (offset.x > limit.max.x) { offset.x = this._viscousLimit(offset.x, limit.max.x); }
+		if (offset.y > limit.max.y) { offset.y = this._viscousLimit(offset.y, limit.max.y); }
+		this._draggable._newPos = this._draggable._startPos.add(offset);
+	},
+	_onPreDragWrap: function () {
+		var worldWidth = this._worldWidth,
+		    halfWidth = Math.round(worldWidth / 2),
+		    dx = this._initialWorldOffset,
+		    x = this._draggable._newPos.x,
+		    newX1 = (x - halfWidth + dx) % worldWidth + halfWidth - dx,
+		    newX2 = (x + halfWidth + dx) % worldWidth - halfWidth - dx,
+		    newX = Math.abs(newX1 + dx) < Math.abs(newX2 + dx) ? newX1 : newX2;
+		this._draggable._absPos = this._draggable._newPos.clone();
+		this._draggable._newPos.x = newX;
+	},
+	_onDragEnd: function (e) {
+		var map = this._map,
+		    options = map.options,
+		    noInertia = !options.inertia || e.noInertia || this._times.length < 2;
+		map.fire('dragend', e);
+		if (noInertia) {
+			map.fire('moveend');
+		} else {
+			this._prunePositions(+new Date());
+			var direction = this._lastPos.subtract(this._positions[0]),
+			    duration = (this._lastTime - this._times[0]) / 1000,
+			    ease = options.easeLinearity,
+			    speedVector = direction.multiplyBy(ease / duration),
+			    speed = speedVector.distanceTo([0, 0]),
+			    limitedSpeed = Math.min(options.inertiaMaxSpeed, speed),
+			    limitedSpeedVector = speedVector.multiplyBy(limitedSpeed / speed),
+			    decelerationDuration = limitedSpeed / (options.inertiaDeceleration * ease),
+			    offset = limitedSpeedVector.multiplyBy(-decelerationDuration / 2).round();
+			if (!offset.x && !offset.y) {
+				map.fire('moveend');
+			} else {
+				offset = map._rotateOffset(map._limitOffset(offset, map.options.maxBounds));
+				requestAnimFrame(function () {
+					map.panBy(offset, {
+						duration: decelerationDuration,
+						easeLinearity: ease,
+						noMoveStart: true,
+						animate: true
+					});
+				});
 			}
 		}
-		this._fireEvent(clickedLayer ? [clickedLayer] : false, e);
+	}
+  });
+  Map.addInitHook('addHandler', 'dragging', Drag);
+  Map.mergeOptions({
+	keyboard: true,
+	keyboardPanDelta: 80
+  });
+  var Keyboard = Handler.extend({
+	keyCodes: {
+		left:    [37],
+		right:   [39],
+		down:    [40],
+		up:      [38],
+		zoomIn:  [187, 107, 61, 171],
+		zoomOut: [189, 109, 54, 173]
 	},
-	_onMouseMove: function (e) {
-		if (!this._map || this._map.dragging.moving() || this._map._animatingZoom) { return; }
-		var point = this._map.mouseEventToLayerPoint(e);
-		this._handleMouseHover(e, point);
+	initialize: function (map) {
+		this._map = map;
+		this._setPanDelta(map.options.keyboardPanDelta);
+		this._setZoomDelta(map.options.zoomDelta);
 	},
-	_handleMouseOut: function (e) {
-		var layer = this._hoveredLayer;
-		if (layer) {
-			removeClass(this._container, 'atlas-interactive');
-			this._fireEvent([layer], e, 'mouseout');
-			this._hoveredLayer = null;
-			this._mouseHoverThrottled = false;
+	addHooks: function () {
+		var container = this._map._container;
+		if (container.tabIndex <= 0) {
+			container.tabIndex = '0';
 		}
+		on(container, {
+			focus: this._onFocus,
+			blur: this._onBlur,
+			mousedown: this._onMouseDown
+		}, this);
+		this._map.on({
+			focus: this._addHooks,
+			blur: this._removeHooks
+		}, this);
 	},
-	_handleMouseHover: function (e, point) {
-		if (this._mouseHoverThrottled) {
-			return;
+	removeHooks: function () {
+		this._removeHooks();
+		off(this._map._container, {
+			focus: this._onFocus,
+			blur: this._onBlur,
+			mousedown: this._onMouseDown
+		}, this);
+		this._map.off({
+			focus: this._addHooks,
+			blur: this._removeHooks
+		}, this);
+	},
+	_onMouseDown: function () {
+		if (this._focused) { return; }
+		var body = document.body,
+		    docEl = document.documentElement,
+		    top = body.scrollTop || docEl.scrollTop,
+		    left = body.scrollLeft || docEl.scrollLeft;
+		this._map._container.focus();
+		window.scrollTo(left, top);
+	},
+	_onFocus: function () {
+		this._focused = true;
+		this._map.fire('focus');
+	},
+	_onBlur: function () {
+		this._focused = false;
+		this._map.fire('blur');
+	},
+	_setPanDelta: function (panDelta) {
+		var keys = this._panKeys = {},
+		    codes = this.keyCodes,
+		    i, len;
+		for (i = 0, len = codes.left.length; i < len; i++) {
+			keys[codes.left[i]] = [-1 * panDelta, 0];
 		}
-		var layer, candidateHoveredLayer;
-		for (var order = this._drawFirst; order; order = order.next) {
-			layer = order.layer;
-			if (layer.options.interactive && layer._containsPoint(point)) {
-				candidateHoveredLayer = layer;
-			}
+		for (i = 0, len = codes.right.length; i < len; i++) {
+			keys[codes.right[i]] = [panDelta, 0];
 		}
-		if (candidateHoveredLayer !== this._hoveredLayer) {
-			this._handleMouseOut(e);
-			if (candidateHoveredLayer) {
-				addClass(this._container, 'atlas-interactive');
-				this._fireEvent([candidateHoveredLayer], e, 'mouseover');
-				this._hoveredLayer = candidateHoveredLayer;
-			}
+		for (i = 0, len = codes.down.length; i < len; i++) {
+			keys[codes.down[i]] = [0, panDelta];
+		}
+		for (i = 0, len = codes.up.length; i < len; i++) {
+			keys[codes.up[i]] = [0, -1 * panDelta];
 		}
-		this._fireEvent(this._hoveredLayer ? [this._hoveredLayer] : false, e);
-		this._mouseHoverThrottled = true;
-		setTimeout(bind(function () {
-			this._mouseHoverThrottled = false;
-		}, this), 32);
-	},
-	_fireEvent: function (layers, e, type) {
-		this._map._fireDOMEvent(e, type || e.type, layers);
 	},
-	_bringToFront: function (layer) {
-		var order = layer._order;
-		if (!order) { return; }
-		var next = order.next;
-		var prev = order.prev;
-		if (next) {
-			next.prev = prev;
-		} else {
-			return;
+	_setZoomDelta: function (zoomDelta) {
+		var keys = this._zoomKeys = {},
+		    codes = this.keyCodes,
+		    i, len;
+		for (i = 0, len = codes.zoomIn.length; i < len; i++) {
+			keys[codes.zoomIn[i]] = zoomDelta;
 		}
-		if (prev) {
-			prev.next = next;
-		} else if (next) {
-			this._drawFirst = next;
+		for (i = 0, len = codes.zoomOut.length; i < len; i++) {
+			keys[codes.zoomOut[i]] = -zoomDelta;
 		}
-		order.prev = this._drawLast;
-		this._drawLast.next = order;
-		order.next = null;
-		this._drawLast = order;
-		this._requestRedraw(layer);
 	},
-	_bringToBack: function (layer) {
-		var order = layer._order;
-		if (!order) { return; }
-		var next = order.next;
-		var prev = order.prev;
-		if (prev) {
-			prev.next = next;
+	_addHooks: function () {
+		on(document, 'keydown', this._onKeyDown, this);
+	},
+	_removeHooks: function () {
+		off(document, 'keydown', this._onKeyDown, this);
+	},
+	_onKeyDown: function (e) {
+		if (e.altKey || e.ctrlKey || e.metaKey) { return; }
+		var key = e.keyCode,
+		    map = this._map,
+		    offset;
+		if (key in this._panKeys) {
+			if (!map._panAnim || !map._panAnim._inProgress) {
+				offset = this._panKeys[key];
+				if (e.shiftKey) {
+					offset = toPoint(offset).multiplyBy(3);
+				}
+				if (map.options.maxBounds) {
+					offset = map._limitOffset(toPoint(offset), map.options.maxBounds);
+				}
+				if (map.options.worldCopyJump) {
+					var newLatLng = map.wrapLatLng(map.unproject(map.project(map.getCenter()).add(map._rotateOffset(offset, true))));
+					map.panTo(newLatLng);
+				} else {
+					map.panBy(offset);
+				}
+			}
+		} else if (key in this._zoomKeys) {
+			map.setZoom(map.getZoom() + (e.shiftKey ? 3 : 1) * this._zoomKeys[key]);
+		} else if (key === 27 && map._popup && map._popup.options.closeOnEscapeKey) {
+			map.closePopup();
 		} else {
 			return;
 		}
-		if (next) {
-			next.prev = prev;
-		} else if (prev) {
-			this._drawLast = prev;
-		}
-		order.prev = null;
-		order.next = this._drawFirst;
-		this._drawFirst.prev = order;
-		this._drawFirst = order;
-		this._requestRedraw(layer);
+		stop(e);
 	}
   });
-  function canvas(options) {
-	return Browser.canvas ? new Canvas(options) : null;
-  }
-  var SVG = Renderer.extend({
-	_initContainer: function () {
-		this._container = create('svg');
-		this._container.setAttribute('pointer-events', 'none');
-		this._rootGroup = create('g');
-		this._container.appendChild(this._rootGroup);
+  Map.addInitHook('addHandler', 'keyboard', Keyboard);
+  Map.mergeOptions({
+	scrollWheelZoom: true,
+	wheelDebounceTime: 40,
+	wheelPxPerZoomLevel: 60,
+	smoothWheelZoom: false,
+	smoothWheelEasing: 0.2,
+	smoothWheelMomentum: 0.9
+  });
+  var ScrollWheelZoom = Handler.extend({
+	addHooks: function () {
+		on(this._map._container, 'wheel', this._onWheelScroll, this);
+		this._delta = 0;
 	},
-	_destroyContainer: function () {
-		remove(this._container);
-		off(this._container);
-		delete this._container;
-		delete this._rootGroup;
-		delete this._svgSize;
+	removeHooks: function () {
+		off(this._map._container, 'wheel', this._onWheelScroll, this);
+		this._endSmoothZoom();
 	},
-	_update: function () {
-		if (this._map._animatingZoom && this._bounds) { return; }
-		Renderer.prototype._update.call(this);
-		var b = this._bounds,
-		    size = b.getSize(),
-		    container = this._container;
-		if (!this._svgSize || !this._svgSize.equals(size)) {
-			this._svgSize = size;
-			container.setAttribute('width', size.x);
-			container.setAttribute('height', size.y);
+	_onWheelScroll: function (e) {
+		if (this._map.options.smoothWheelZoom) {
+			this._onSmoothWheelScroll(e);
+			return;
+		}
+		var delta = getWheelDelta(e);
+		var debounce = this._map.options.wheelDebounceTime;
+		this._delta += delta;
+		this._lastMousePos = this._map.mouseEventToContainerPoint(e);
+		if (!this._startTime) {
+			this._startTime = +new Date();
+		}
+		var left = Math.max(debounce - (+new Date() - this._startTime), 0);
+		clearTimeout(this._timer);
+		this._timer = setTimeout(bind(this._performZoom, this), left);
+		stop(e);
+	},
+	_performZoom: function () {
+		var map = this._map,
+		    zoom = map.getZoom(),
+		    snap = this._map.options.zoomSnap || 0;
+		map._stop();
+		var d2 = this._delta / (this._map.options.wheelPxPerZoomLevel * 4),
+		    d3 = 4 * Math.log(2 / (1 + Math.exp(-Math.abs(d2)))) / Math.LN2,
+		    d4 = snap ? Math.ceil(d3 / snap) * snap : d3,
+		    delta = map._limitZoom(zoom + (this._delta > 0 ? d4 : -d4)) - zoom;
+		this._delta = 0;
+		this._startTime = null;
+		if (!delta) { return; }
+		if (map.options.scrollWheelZoom === 'center') {
+			map.setZoom(zoom + delta);
+		} else {
+			map.setZoomAround(this._lastMousePos, zoom + delta);
 		}
-		setPosition(container, b.min);
-		container.setAttribute('viewBox', [b.min.x, b.min.y, size.x, size.y].join(' '));
-		this.fire('update');
 	},
-	_initPath: function (layer) {
-		var path = layer._path = create('path');
-		if (layer.options.className) {
-			addClass(path, layer.options.className);
-		}
-		if (layer.options.interactive) {
-			addClass(path, 'atlas-interactive');
+	_onSmoothWheelScroll: function (e) {
+		var map = this._map,
+		    delta = getWheelDelta(e),
+		    now = +new Date(),
+		    d2 = delta / (map.options.wheelPxPerZoomLevel * 4),
+		    d3 = 4 * Math.log(2 / (1 + Math.exp(-Math.abs(d2)))) / Math.LN2,
+		    dz = delta > 0 ? d3 : -d3;
+		stop(e);
+		if (!dz) { return; }
+		this._setWheelAnchor(map.mouseEventToContainerPoint(e));
+		if (!this._smoothZooming) {
+			map._stop();
+			this._smoothZooming = true;
+			this._zoom = this._targetZoom = map.getZoom();
+			this._velocity = 0;
+			map._moveStart(true, false);
+			this._frame = requestAnimFrame(this._onSmoothZoomFrame, this);
 		}
-		this._updateStyle(layer);
-		this._layers[stamp(layer)] = layer;
+		this._velocity = now - this._lastWheelTime < 50 && dz * this._velocity >= 0 ? dz : 0;
+		this._lastWheelTime = now;
+		this._targetZoom = this._clampZoom(this._targetZoom + dz);
 	},
-	_addPath: function (layer) {
-		if (!this._rootGroup) { this._initContainer(); }
-		this._rootGroup.appendChild(layer._path);
-		layer.addInteractiveTarget(layer._path);
+	_setWheelAnchor: function (point) {
+		var map = this._map;
+		if (map.options.scrollWheelZoom === 'center') {
+			point = map._getViewportCenter();
+		}
+		if (this._smoothZooming && point.equals(this._anchorPoint)) { return; }
+		this._anchorPoint = point;
+		this._anchorLatLng = map.containerPointToLatLng(point);
 	},
-	_removePath: function (layer) {
-		remove(layer._path);
-		layer.removeInteractiveTarget(layer._path);
-		delete this._layers[stamp(layer)];
+	_getAnchoredCenter: function (zoom) {
+		var map = this._map,
+		    offset = map._rotateOffset(this._anchorPoint.subtract(map._getViewportCenter()), true);
+		return map.unproject(map.project(this._anchorLatLng, zoom).subtract(offset), zoom);
 	},
-	_updatePath: function (layer) {
-		layer._project();
-		layer._update();
+	_clampZoom: function (zoom) {
+		var map = this._map,
+		    clamped = Math.max(map.getMinZoom(), Math.min(map.getMaxZoom(), zoom));
+		if (clamped !== zoom) {
+			this._velocity = 0;
+		}
+		return clamped;
 	},
-	_updateStyle: function (layer) {
-		var path = layer._path,
-		    options = layer.options;
-		if (!path) { return; }
-		if (options.stroke) {
-			path.setAttribute('stroke', options.color);
-			path.setAttribute('stroke-opacity', options.opacity);
-			path.setAttribute('stroke-width', options.weight);
-			path.setAttribute('stroke-linecap', options.lineCap);
-			path.setAttribute('stroke-linejoin', options.lineJoin);
-			if (options.dashArray) {
-				path.setAttribute('stroke-dasharray', options.dashArray);
-			} else {
-				path.removeAttribute('stroke-dasharray');
-			}
-			if (options.dashOffset) {
-				path.setAttribute('stroke-dashoffset', options.dashOffset);
-			} else {
-				path.removeAttribute('stroke-dashoffset');
+	_onSmoothZoomFrame: function () {
+		var map = this._map,
+		    options = map.options,
+		    idle = +new Date() - this._lastWheelTime > options.wheelDebounceTime;
+		if (idle && this._velocity) {
+			this._velocity *= options.smoothWheelMomentum;
+			if (Math.abs(this._velocity) < 1e-3) {
+				this._velocity = 0;
 			}
-		} else {
-			path.setAttribute('stroke', 'none');
+			this._targetZoom = this._clampZoom(this._targetZoom + this._velocity);
 		}
-		if (options.fill) {
-			path.setAttribute('fill', options.fillColor || options.color);
-			path.setAttribute('fill-opacity', options.fillOpacity);
-			path.setAttribute('fill-rule', options.fillRule || 'evenodd');
+		this._zoom += (this._targetZoom - this._zoom) * options.smoothWheelEasing;
+		if (idle && !this._velocity && Math.abs(this._targetZoom - this._zoom) < 0.01) {
+			this._endSmoothZoom();
+			return;
+		}
+		map._move(this._getAnchoredCenter(this._zoom), this._zoom, {pinch: true, round: false});
+		this._frame = requestAnimFrame(this._onSmoothZoomFrame, this);
+	},
+	_endSmoothZoom: function () {
+		if (!this._smoothZooming) { return; }
+		var map = this._map,
+		    zoom = map._limitZoom(this._targetZoom);
+		cancelAnimFrame(this._frame);
+		this._smoothZooming = false;
+		if (map._zoomAnimated) {
+			map._animateZoom(this._getAnchoredCenter(zoom), zoom, true, false);
 		} else {
-			path.setAttribute('fill', 'none');
+			map._resetView(this._getAnchoredCenter(zoom), zoom);
 		}
 	},
-	_updatePoly: function (layer, closed) {
-		this._setPath(layer, pointsToPath(layer._parts, closed));
+	_cancelSmoothZoom: function () {
+		var map = this._map,
+		    zoom = map._limitZoom(this._zoom);
+		cancelAnimFrame(this._frame);
+		this._smoothZooming = false;
+		this._velocity = 0;
+		map._move(this._getAnchoredCenter(zoom), zoom);
+		map._moveEnd(true);
+	}
+  });
+  Map.addInitHook('addHandler', 'scrollWheelZoom', ScrollWheelZoom);
+  var tapHoldDelay = 600;
+  Map.mergeOptions({
+	tapHold: Browser.touchNative && Browser.safari && Browser.mobile,
+	tapTolerance: 15
+  });
+  var TapHold = Handler.extend({
+	addHooks: function () {
+		on(this._map._container, 'touchstart', this._onDown, this);
 	},
-	_updateCircle: function (layer) {
-		var p = layer._point,
-		    r = Math.max(Math.round(layer._radius), 1),
-		    r2 = Math.max(Math.round(layer._radiusY), 1) || r,
-		    arc = 'a' + r + ',' + r2 + ' 0 1,0 ';
-		var d = layer._empty() ? 'M0 0' :
-			'M' + (p.x - r) + ',' + p.y +
-			arc + (r * 2) + ',0 ' +
-			arc + (-r * 2) + ',0 ';
-		this._setPath(layer, d);
+	removeHooks: function () {
+		off(this._map._container, 'touchstart', this._onDown, this);
 	},
-	_setPath: function (layer, path) {
-		layer._path.setAttribute('d', path);
+	_onDown: function (e) {
+		clearTimeout(this._holdTimeout);
+		if (e.touches.length !== 1) { return; }
+		var first = e.touches[0];
+		this._startPos = this._newPos = new Point(first.clientX, first.clientY);
+		this._holdTimeout = setTimeout(bind(function () {
+			this._cancel();
+			if (!this._isTapValid()) { return; }
+			on(document, 'touchend', preventDefault);
+			on(document, 'touchend touchcancel', this._cancelClickPrevent);
+			this._simulateEvent('contextmenu', first);
+		}, this), tapHoldDelay);
+		on(document, 'touchend touchcancel contextmenu', this._cancel, this);
+		on(document, 'touchmove', this._onMove, this);
 	},
-	_bringToFront: function (layer) {
-		toFront(layer._path);
+	_cancelClickPrevent: function cancelClickPrevent() {
+		off(document, 'touchend', preventDefault);
+		off(document, 'touchend touchcancel', cancelClickPrevent);
 	},
-	_bringToBack: function (layer) {
-		toBack(layer._path);
+	_cancel: function () {
+		clearTimeout(this._holdTimeout);
+		off(document, 'touchend touchcancel contextmenu', this._cancel, this);
+		off(document, 'touchmove', this._onMove, this);
+	},
+	_onMove: function (e) {
+		var first = e.touches[0];
+		this._newPos = new Point(first.clientX, first.clientY);
+	},
+	_isTapValid: function () {
+		return this._newPos.distanceTo(this._startPos) <= this._map.options.tapTolerance;
+	},
+	_simulateEvent: function (type, e) {
+		var simulatedEvent = new MouseEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			view: window,
+			screenX: e.screenX,
+			screenY: e.screenY,
+			clientX: e.clientX,
+			clientY: e.clientY,
+		});
+		simulatedEvent._simulated = true;
+		e.target.dispatchEvent(simulatedEvent);
 	}
   });
-  function svg(options) {
-	return Browser.svg ? new SVG(options) : null;
-  }
-  Map.include({
-	getRenderer: function (layer) {
-		var renderer = layer.options.renderer || this._getPaneRenderer(layer.options.pane) || this.options.renderer || this._renderer;
-		if (!renderer) {
-			renderer = this._renderer = this._createRenderer();
+  Map.addInitHook('addHandler', 'tapHold', TapHold);
+  Map.mergeOptions({
+	touchZoom: Browser.touch,
+	touchRotate: false,
+	touchRotateThreshold: 10,
+	bounceAtZoomLimits: true
+  });
+  var TouchZoom = Handler.extend({
+	addHooks: function () {
+		addClass(this._map._container, 'atlas-touch-zoom');
+		on(this._map._container, 'touchstart', this._onTouchStart, this);
+	},
+	removeHooks: function () {
+		removeClass(this._map._container, 'atlas-touch-zoom');
+		off(this._map._container, 'touchstart', this._onTouchStart, this);
+	},
+	_onTouchStart: function (e) {
+		var map = this._map;
+		if (!e.touches || e.touches.length !== 2 || map._animatingZoom || this._zooming) { return; }
+		var p1 = map.mouseEventToContainerPoint(e.touches[0]),
+		    p2 = map.mouseEventToContainerPoint(e.touches[1]);
+		this._centerPoint = map._getViewportCenter();
+		this._startLatLng = map.containerPointToLatLng(this._centerPoint);
+		if (map.options.touchZoom !== 'center') {
+			this._pinchStartLatLng = map.containerPointToLatLng(p1.add(p2)._divideBy(2));
 		}
-		if (!this.hasLayer(renderer)) {
-			this.addLayer(renderer);
+		this._startDist = p1.distanceTo(p2);
+		this._startZoom = map.getZoom();
+		this._startAngle = this._getAngle(p1, p2);
+		this._startBearing = map.getBearing();
+		this._rotating = false;
+		this._moved = false;
+		this._zooming = true;
+		map._stop();
+		on(document, 'touchmove', this._onTouchMove, this);
+		on(document, 'touchend touchcancel', this._onTouchEnd, this);
+		preventDefault(e);
+	},
+	_onTouchMove: function (e) {
+		if (!e.touches || e.touches.length !== 2 || !this._zooming) { return; }
+		var map = this._map,
+		    p1 = map.mouseEventToContainerPoint(e.touches[0]),
+		    p2 = map.mouseEventToContainerPoint(e.touches[1]),
+		    scale = p1.distanceTo(p2) / this._startDist;
+		if (map.options.touchRotate) {
+			var angle = this._getAngle(p1, p2);
+			if (!this._rotating && Math.abs(wrapNum(this._startAngle - angle, [-180, 180])) > map.options.touchRotateThreshold) {
+				this._rotating = true;
+				this._startAngle = angle;
+			}
+			if (this._rotating) {
+				map.setBearing(this._startBearing + this._startAngle - angle);
+			}
 		}
-		return renderer;
+		this._zoom = map.getScaleZoom(scale, this._startZoom);
+		if (!map.options.bounceAtZoomLimits && (
+			(this._zoom < map.getMinZoom() && scale < 1) ||
+			(this._zoom > map.getMaxZoom() && scale > 1))) {
+			this._zoom = map._limitZoom(this._zoom);
+		}
+		if (map.options.touchZoom === 'center') {
+			this._center = this._startLatLng;
+			if (scale === 1) { return; }
+		} else {
+			var delta = p1._add(p2)._divideBy(2)._subtract(this._centerPoint);
+			if (scale === 1 && delta.x === 0 && delta.y === 0) { return; }
+			this._center = map.unproject(map.project(this._pinchStartLatLng, this._zoom)
+				.subtract(map._rotateOffset(delta, true)), this._zoom);
+		}
+		if (!this._moved) {
+			map._moveStart(true, false);
+			this._moved = true;
+		}
+		cancelAnimFrame(this._animRequest);
+		var moveFn = bind(map._move, map, this._center, this._zoom, {pinch: true, round: false}, undefined);
+		this._animRequest = requestAnimFrame(moveFn, this, true);
+		preventDefault(e);
 	},
-	_getPaneRenderer: function (name) {
-		if (name === 'overlayPane' || name === undefined) {
-			return false;
+	_onTouchEnd: function () {
+		if (!this._moved || !this._zooming) {
+			this._zooming = false;
+			return;
 		}
-		var renderer = this._paneRenderers[name];
-		if (renderer === undefined) {
-			renderer = this._createRenderer({pane: name});
-			this._paneRenderers[name] = renderer;
+		this._zooming = false;
+		cancelAnimFrame(this._animRequest);
+		off(document, 'touchmove', this._onTouchMove, this);
+		off(document, 'touchend touchcancel', this._onTouchEnd, this);
+		if (this._map.options.zoomAnimation) {
+			this._map._animateZoom(this._center, this._map._limitZoom(this._zoom), true, this._map.options.zoomSnap);
+		} else {
+			this._map._resetView(this._center, this._map._limitZoom(this._zoom));
 		}
-		return renderer;
 	},
-	_createRenderer: function (options) {
-		return (this.options.preferCanvas && canvas(options)) || svg(options);
+	_getAngle: function (p1, p2) {
+		return Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI;
 	}
   });
-  var Rectangle = Polygon.extend({
-	initialize: function (latLngBounds, options) {
-		Polygon.prototype.initialize.call(this, this._boundsToLatLngs(latLngBounds), options);
+  Map.addInitHook('addHandler', 'touchZoom', TouchZoom);
+  Map.mergeOptions({
+	hash: false
+  });
+  var Hash = Handler.extend({
+	addHooks: function () {
+		this._map.on('moveend rotate baselayerchange overlayadd overlayremove', this._updateHash, this);
+		on(window, 'hashchange popstate', this._onHashChange, this);
+		this._onHashChange();
+	},
+	removeHooks: function () {
+		this._map.off('moveend rotate baselayerchange overlayadd overlayremove', this._updateHash, this);
+		off(window, 'hashchange popstate', this._onHashChange, this);
+	},
+	setLayersControl: function (control) {
+		this._layersControl = control;
+		if (this._pendingLayers) {
+			this._restoreLayers(this._pendingLayers);
+		}
+		this._updateHash();
+		return this;
+	},
+	formatHash: function () {
+		var map = this._map,
+		    center = map.wrapLatLng(map.getCenter()),
+		    zoom = map.getZoom(),
+		    bearing = map.getBearing(),
+		    precision = Math.max(0, Math.ceil(Math.log(zoom) / Math.LN2)),
+		    hash = '#' + formatNum(zoom, 2) + '/' + center.lat.toFixed(precision) + '/' + center.lng.toFixed(precision),
+		    layers = this._getLayerNames();
+		if (bearing) {
+			hash += '/' + formatNum(bearing, 1);
+		}
+		if (layers.length) {
+			hash += '&layers=' + layers.join(',');
+		}
+		return hash;
+	},
+	parseHash: function (hash) {
+		var params = hash.replace(/^#/, '').split('&'),
+		    args = params[0].split('/');
+		if (args.length < 3) { return false; }
+		var zoom = parseFloat(args[0]),
+		    lat = parseFloat(args[1]),
+		    lng = parseFloat(args[2]),
+		    bearing = args.length > 3 ? parseFloat(args[3]) : 0,
+		    layers;
+		if (isNaN(zoom) || isNaN(lat) || isNaN(lng) || isNaN(bearing)) { return false; }
+		for (var i = 1; i < params.length; i++) {
+			if (params[i].indexOf('layers=') === 0) {
+				layers = params[i].substr(7).split(',');
+				for (var j = 0; j < layers.length; j++) {
+					layers[j] = decodeURIComponent(layers[j]);
+				}
+			}
+		}
+		return {
+			center: new LatLng(lat, lng),
+			zoom: zoom,
+			bearing: bearing,
+			layers: layers
+		};
 	},
-	setBounds: function (latLngBounds) {
-		return this.setLatLngs(this._boundsToLatLngs(latLngBounds));
+	_updateHash: function () {
+		if (!this._map._loaded) { return; }
+		var hash = this.formatHash();
+		if (hash === this._lastHash) { return; }
+		this._lastHash = hash;
+		if (window.history && window.history.replaceState) {
+			window.history.replaceState(window.history.state, '', hash);
+		} else {
+			window.location.replace(hash);
+		}
+	},
+	_onHashChange: function () {
+		var hash = window.location.hash;
+		if (hash === this._lastHash) { return; }
+		var parsed = this.parseHash(hash);
+		if (!parsed) { return; }
+		this._lastHash = hash;
+		this._map.setBearing(parsed.bearing);
+		this._map.setView(parsed.center, parsed.zoom);
+		if (parsed.layers) {
+			this._restoreLayers(parsed.layers);
+		}
+	},
+	_getLayerNames: function () {
+		var control = this._layersControl,
+		    names = [];
+		if (!control) { return names; }
+		for (var i = 0; i < control._layers.length; i++) {
+			if (this._map.hasLayer(control._layers[i].layer)) {
+				names.push(encodeURIComponent(control._layers[i].name));
+			}
+		}
+		return names;
 	},
-	_boundsToLatLngs: function (latLngBounds) {
-		latLngBounds = toLatLngBounds(latLngBounds);
-		return [
-			latLngBounds.getSouthWest(),
-			latLngBounds.getNorthWest(),
-			latLngBounds.getNorthEast(),
-			latLngBounds.getSouthEast()
-		];
+	_restoreLayers: function (names) {
+		var control = this._layersControl,
+		    map = this._map,
+		    obj, i;
+		this._pendingLayers = control ? null : names;
+		if (!control) { return; }
+		var baseListed = false;
+		for (i = 0; i < control._layers.length; i++) {
+			obj = control._layers[i];
+			baseListed = baseListed || (!obj.overlay && indexOf(names, obj.name) !== -1);
+		}
+		for (i = 0; i < control._layers.length; i++) {
+			obj = control._layers[i];
+			if (indexOf(names, obj.name) !== -1) {
+				map.addLayer(obj.layer);
+			} else if (obj.overlay || baseListed) {
+				map.removeLayer(obj.layer);
+			}
+		}
 	}
   });
-  function rectangle(latLngBounds, options) {
-	return new Rectangle(latLngBounds, options);
-  }
-  SVG.create = create;
-  SVG.pointsToPath = pointsToPath;
-  GeoJSON.geometryToLayer = geometryToLayer;
-  GeoJSON.coordsToLatLng = coordsToLatLng;
-  GeoJSON.coordsToLatLngs = coordsToLatLngs;
-  GeoJSON.latLngToCoords = latLngToCoords;
-  GeoJSON.latLngsToCoords = latLngsToCoords;
-  GeoJSON.getFeature = getFeature;
-  GeoJSON.asFeature = asFeature;
+  Map.addInitHook('addHandler', 'hash', Hash);
   Map.mergeOptions({
-	boxZoom: true
+	contextmenu: false,
+	contextmenuItems: []
   });
-  var BoxZoom = Handler.extend({
-	initialize: function (map) {
-		this._map = map;
-		this._container = map._container;
-		this._pane = map._panes.overlayPane;
-		this._resetStateTimeout = 0;
-		map.on('unload', this._destroy, this);
-	},
+  var ContextMenu = Handler.extend({
 	addHooks: function () {
-		on(this._container, 'mousedown', this._onMouseDown, this);
+		this._map.on('contextmenu', this._onContextMenu, this);
 	},
 	removeHooks: function () {
-		off(this._container, 'mousedown', this._onMouseDown, this);
+		this._map.off('contextmenu', this._onContextMenu, this);
+		this.hide();
 	},
-	moved: function () {
-		return this._moved;
+	showAt: function (latlng, layer) {
+		var map = this._map,
+		    containerPoint = map.latLngToContainerPoint(latlng);
+		this._show({
+			latlng: toLatLng(latlng),
+			containerPoint: containerPoint,
+			layerPoint: map.containerPointToLayerPoint(containerPoint)
+		}, layer, layer && layer._contextMenuItems || []);
+		return this;
 	},
-	_destroy: function () {
-		remove(this._pane);
-		delete this._pane;
+	hide: function () {
+		if (!this._visible) { return this; }
+		var container = this._container,
+		    map = this._map,
+		    hadFocus = container.contains(document.activeElement);
+		this._visible = false;
+		container.style.display = 'none';
+		off(document, 'mousedown touchstart', this._onDocumentDown, this);
+		off(document, 'keydown', this._onDocumentKeyDown, this);
+		map.off('movestart zoomstart', this.hide, this);
+		if (hadFocus) {
+			map.getContainer().focus();
+		}
+		map.fire('contextmenuhide', {contextmenu: this, relatedTarget: this._data.layer});
+		return this;
 	},
-	_resetState: function () {
-		this._resetStateTimeout = 0;
-		this._moved = false;
+	isVisible: function () {
+		return !!this._visible;
 	},
-	_clearDeferredResetState: function () {
-		if (this._resetStateTimeout !== 0) {
-			clearTimeout(this._resetStateTimeout);
-			this._resetStateTimeout = 0;
+	_onContextMenu: function (e) {
+		this._show(e, null, []);
+	},
+	_show: function (e, layer, layerItems) {
+		var map = this._map,
+		    items = layerItems.slice();
+		if (this.enabled() && map.options.contextmenuItems.length) {
+			if (items.length) {
+				items.push({separator: true});
+			}
+			items = items.concat(map.options.contextmenuItems);
+		}
+		if (!items.length) { return; }
+		this.hide();
+		this._data = {
+			latlng: e.latlng,
+			layerPoint: e.layerPoint,
+			containerPoint: e.containerPoint,
+			layer: layer || null
+		};
+		if (!this._container) {
+			this._initContainer();
 		}
+		this._buildItems(items);
+		this._visible = true;
+		this._container.style.display = 'block';
+		this._setPosition(e.containerPoint);
+		on(document, 'mousedown touchstart', this._onDocumentDown, this);
+		on(document, 'keydown', this._onDocumentKeyDown, this);
+		map.on('movestart zoomstart', this.hide, this);
+		this._focusItem(0);
+		map.fire('contextmenushow', {contextmenu: this, relatedTarget: layer || null});
 	},
-	_onMouseDown: function (e) {
-		if (!e.shiftKey || ((e.which !== 1) && (e.button !== 1))) { return false; }
-		this._clearDeferredResetState();
-		this._resetState();
-		disableTextSelection();
-		disableImageDrag();
-		this._startPoint = this._map.mouseEventToContainerPoint(e);
-		on(document, {
-			contextmenu: stop,
-			mousemove: this._onMouseMove,
-			mouseup: this._onMouseUp,
-			keydown: this._onKeyDown
+	_initContainer: function () {
+		var container = this._container = create$1('div', 'atlas-contextmenu', this._map._container);
+		container.setAttribute('role', 'menu');
+		container.style.display = 'none';
+		disableClickPropagation(container);
+		disableScrollPropagation(container);
+		on(container, 'contextmenu', preventDefault);
+		on(container, 'keydown', this._onKeyDown, this);
+		this._map.once('unload', function () {
+			this.hide();
+			remove(container);
+			this._container = null;
 		}, this);
 	},
-	_onMouseMove: function (e) {
-		if (!this._moved) {
-			this._moved = true;
-			this._box = create$1('div', 'atlas-zoom-box', this._container);
-			addClass(this._container, 'atlas-crosshair');
-			this._map.fire('boxzoomstart');
+	_buildItems: function (items) {
+		var container = this._container;
+		container.innerHTML = '';
+		this._items = [];
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			if (item.separator) {
+				create$1('div', 'atlas-contextmenu-separator', container).setAttribute('role', 'separator');
+				continue;
+			}
+			var el = create$1('a', 'atlas-contextmenu-item', container);
+			el.href = '#';
+			el.tabIndex = -1;
+			el.setAttribute('role', 'menuitem');
+			if (item.icon) {
+				var icon = create$1('img', 'atlas-contextmenu-icon', el);
+				icon.src = item.icon;
+				icon.alt = '';
+			} else if (item.iconCls) {
+				create$1('span', 'atlas-contextmenu-icon ' + item.iconCls, el);
+			}
+			el.appendChild(document.createTextNode(item.text));
+			on(el, 'click', stop);
+			if (item.disabled) {
+				addClass(el, 'atlas-contextmenu-item-disabled');
+				el.setAttribute('aria-disabled', true);
+			} else {
+				on(el, 'click', bind(this._onItemClick, this, item));
+				this._items.push(el);
+			}
 		}
-		this._point = this._map.mouseEventToContainerPoint(e);
-		var bounds = new Bounds(this._point, this._startPoint),
-		    size = bounds.getSize();
-		setPosition(this._box, bounds.min);
-		this._box.style.width  = size.x + 'px';
-		this._box.style.height = size.y + 'px';
 	},
-	_finish: function () {
-		if (this._moved) {
-			remove(this._box);
-			removeClass(this._container, 'atlas-crosshair');
+	_setPosition: function (point) {
+		var container = this._container,
+		    size = this._map.getSize(),
+		    width = container.offsetWidth,
+		    height = container.offsetHeight,
+		    x = point.x + width > size.x ? point.x - width : point.x,
+		    y = point.y + height > size.y ? point.y - height : point.y;
+		container.style.left = Math.max(0, x) + 'px';
+		container.style.top = Math.max(0, y) + 'px';
+	},
+	_focusItem: function (index) {
+		var items = this._items;
+		if (!items.length) { return; }
+		this._focused = (index + items.length) % items.length;
+		items[this._focused].focus();
+	},
+	_onItemClick: function (item) {
+		var data = extend({}, this._data);
+		this.hide();
+		if (item.callback) {
+			item.callback.call(item.context || this._map, data);
 		}
-		enableTextSelection();
-		enableImageDrag();
-		off(document, {
-			contextmenu: stop,
-			mousemove: this._onMouseMove,
-			mouseup: this._onMouseUp,
-			keydown: this._onKeyDown
-		}, this);
-	},
-	_onMouseUp: function (e) {
-		if ((e.which !== 1) && (e.button !== 1)) { return; }
-		this._finish();
-		if (!this._moved) { return; }
-		this._clearDeferredResetState();
-		this._resetStateTimeout = setTimeout(bind(this._resetState, this), 0);
-		var bounds = new LatLngBounds(
-		        this._map.containerPointToLatLng(this._startPoint),
-		        this._map.containerPointToLatLng(this._point));
-		this._map
-			.fitBounds(bounds)
-			.fire('boxzoomend', {boxZoomBounds: bounds});
 	},
 	_onKeyDown: function (e) {
+		switch (e.keyCode) {
+		case 38:
+			this._focusItem(this._focused - 1);
+			break;
+		case 40:
+			this._focusItem(this._focused + 1);
+			break;
+		case 36:
+			this._focusItem(0);
+			break;
+		case 35:
+			this._focusItem(this._items.length - 1);
+			break;
+		case 32:
+			if (this._items.length) {
+				this._items[this._focused].click();
+			}
+			break;
+		case 9:
+			this.hide();
+			return;
+		default:
+			return;
+		}
+		stop(e);
+	},
+	_onDocumentKeyDown: function (e) {
 		if (e.keyCode === 27) {
-			this._finish();
-			this._clearDeferredResetState();
-			this._resetState();
+			stop(e);
+			this.hide();
+		}
+	},
+	_onDocumentDown: function (e) {
+		if (!this._container.contains(e.target)) {
+			this.hide();
 		}
 	}
   });
-  Map.addInitHook('addHandler', 'boxZoom', BoxZoom);
+  Map.addInitHook('addHandler', 'contextmenu', ContextMenu);
   Map.mergeOptions({
-	doubleClickZoom: true
+	accessibility: false,
+	announceDelay: 500,
+	featureLabel: null,
+	featureLabelProperties: ['name', 'title', 'label']
   });
-  var DoubleClickZoom = Handler.extend({
+  var Accessibility = Handler.extend({
 	addHooks: function () {
-		this._map.on('dblclick', this._onDoubleClick, this);
+		var map = this._map,
+		    region = this._liveRegion = create$1('div', 'atlas-sr-only', map._container);
+		region.setAttribute('role', 'status');
+		region.setAttribute('aria-live', 'polite');
+		region.setAttribute('aria-atomic', true);
+		on(map._container, 'keydown', this._onKeyDown, this);
+		map.on({
+			moveend: this._onMoveEnd,
+			layeradd: this._onLayerAdd,
+			mousedown: this._blurFeature
+		}, this);
+		for (var id in map._layers) {
+			this._onLayerAdd({layer: map._layers[id]});
+		}
 	},
 	removeHooks: function () {
-		this._map.off('dblclick', this._onDoubleClick, this);
+		var map = this._map;
+		clearTimeout(this._announceTimer);
+		off(map._container, 'keydown', this._onKeyDown, this);
+		map.off({
+			moveend: this._onMoveEnd,
+			layeradd: this._onLayerAdd,
+			mousedown: this._blurFeature
+		}, this);
+		this._blurFeature();
+		remove(this._liveRegion);
 	},
-	_onDoubleClick: function (e) {
+	announce: function (text) {
+		var region = this._liveRegion;
+		if (!region) { return this; }
+		region.textContent = '';
+		setTimeout(function () {
+			region.textContent = text;
+		}, 50);
+		return this;
+	},
+	getFeatureLabel: function (layer) {
+		var options = this._map.options,
+		    props = layer.feature && layer.feature.properties,
+		    label = options.featureLabel ? options.featureLabel(layer) : layer.options.title;
+		for (var i = 0; !label && props && i < options.featureLabelProperties.length; i++) {
+			label = props[options.featureLabelProperties[i]];
+		}
+		return label ? String(label) : '';
+	},
+	getFeatures: function () {
 		var map = this._map,
-		    oldZoom = map.getZoom(),
-		    delta = map.options.zoomDelta,
-		    zoom = e.originalEvent.shiftKey ? oldZoom - delta : oldZoom + delta;
-		if (map.options.doubleClickZoom === 'center') {
-			map.setZoom(zoom);
+		    bounds = map.getBounds(),
+		    features = [],
+		    layer, latlng, id;
+		for (id in map._layers) {
+			layer = map._layers[id];
+			if (layer.options.interactive === false || layer.options.keyboard === false) { continue; }
+			if (layer instanceof Marker && layer._icon) {
+				latlng = layer.getLatLng();
+			} else if (layer instanceof Path && layer._renderer) {
+				latlng = layer instanceof CircleMarker ? layer.getLatLng() : layer.getBounds().getCenter();
+			} else {
+				continue;
+			}
+			if (bounds.contains(latlng)) {
+				features.push({layer: layer, latlng: latlng, point: map.latLngToContainerPoint(latlng).round()});
+			}
+		}
+		features.sort(function (a, b) {
+			return (a.point.y - b.point.y) || (a.point.x - b.point.x);
+		});
+		for (var i = 0; i < features.length; i++) {
+			features[i] = features[i].layer;
+		}
+		return features;
+	},
+	focusFeature: function (layer) {
+		var map = this._map,
+		    features = this.getFeatures(),
+		    index = indexOf(features, layer);
+		if (index === -1) { return this; }
+		this._blurFeature();
+		this._focusedFeature = layer;
+		if (layer._icon) {
+			layer._icon.focus();
 		} else {
-			map.setZoomAround(e.containerPoint, zoom);
+			map._container.focus();
+			if (layer._path) {
+				addClass(layer._path, 'atlas-feature-focused');
+			}
+		}
+		this.announce(template(map.translate('featureAnnouncement'), {
+			label: this.getFeatureLabel(layer) || map.translate('unnamedFeature'),
+			index: map.formatNumber(index + 1),
+			count: map.formatNumber(features.length)
+		}));
+		map.fire('featurefocus', {layer: layer});
+		return this;
+	},
+	_blurFeature: function () {
+		var layer = this._focusedFeature;
+		if (!layer) { return; }
+		if (layer._path) {
+			removeClass(layer._path, 'atlas-feature-focused');
+		}
+		this._focusedFeature = null;
+		this._map.fire('featureblur', {layer: layer});
+	},
+	_onKeyDown: function (e) {
+		var map = this._map,
+		    layer = this._focusedFeature,
+		    target = e.target || e.srcElement;
+		if (e.altKey || e.ctrlKey || e.metaKey) { return; }
+		if (layer && target !== layer._icon && target !== map._container) {
+			this._blurFeature();
+			layer = null;
+		}
+		if (!layer) {
+			var marker = this._getMarkerByIcon(target);
+			if (marker) {
+				this._focusedFeature = layer = marker;
+			} else if (e.keyCode === 13 && target === map._container) {
+				var features = this.getFeatures();
+				if (features.length) {
+					this.focusFeature(features[0]);
+				} else {
+					this.announce(map.translate('noFeatures'));
+				}
+				stop(e);
+			}
+			if (!layer) { return; }
+		}
+		switch (e.keyCode) {
+		case 37:
+		case 38:
+			this._cycle(-1);
+			break;
+		case 39:
+		case 40:
+			this._cycle(1);
+			break;
+		case 27:
+			this._blurFeature();
+			map._container.focus();
+			break;
+		case 13:
+			if (layer._icon) { return; }
+			layer.fire('click', {
+				latlng: layer instanceof CircleMarker ? layer.getLatLng() : layer.getBounds().getCenter()
+			}, true);
+			break;
+		default:
+			return;
+		}
+		stop(e);
+	},
+	_cycle: function (direction) {
+		var features = this.getFeatures(),
+		    index = indexOf(features, this._focusedFeature);
+		if (!features.length) { return; }
+		index = index === -1 ? 0 : (index + direction + features.length) % features.length;
+		this.focusFeature(features[index]);
+	},
+	_getMarkerByIcon: function (el) {
+		for (var id in this._map._layers) {
+			var layer = this._map._layers[id];
+			if (layer._icon && layer._icon === el) {
+				return layer;
+			}
+		}
+	},
+	_onLayerAdd: function (e) {
+		var layer = e.layer,
+		    label = (layer._icon || layer._path) && !layer.options.title && this.getFeatureLabel(layer);
+		if (label) {
+			(layer._icon || layer._path).setAttribute('aria-label', label);
 		}
+	},
+	_onMoveEnd: function () {
+		var map = this._map;
+		clearTimeout(this._announceTimer);
+		this._announceTimer = setTimeout(bind(function () {
+			var center = map.getCenter();
+			this.announce(template(map.translate('viewAnnouncement'), {
+				zoom: map.formatNumber(map.getZoom(), {maximumFractionDigits: 2}),
+				lat: map.formatNumber(center.lat, {maximumFractionDigits: 3}),
+				lng: map.formatNumber(center.lng, {maximumFractionDigits: 3})
+			}));
+		}, this), map.options.announceDelay);
+	}
+  });
+  Map.addInitHook('addHandler', 'accessibility', Accessibility);
+  Layer.include({
+	bindContextMenu: function (items) {
+		this._contextMenuItems = items;
+		if (!this._contextMenuHandlersAdded) {
+			this.on('contextmenu', this._openContextMenu, this);
+			this._contextMenuHandlersAdded = true;
+		}
+		return this;
+	},
+	unbindContextMenu: function () {
+		if (this._contextMenuItems) {
+			this.off('contextmenu', this._openContextMenu, this);
+			this._contextMenuHandlersAdded = false;
+			this._contextMenuItems = null;
+		}
+		return this;
+	},
+	_openContextMenu: function (e) {
+		if (!this._map || !this._map.contextmenu) { return; }
+		if (e.originalEvent) {
+			stop(e.originalEvent);
+		}
+		this._map.contextmenu._show(e, e.layer || e.target, this._contextMenuItems);
 	}
   });
-  Map.addInitHook('addHandler', 'doubleClickZoom', DoubleClickZoom);
   Map.mergeOptions({
-	dragging: true,
-	inertia: true,
-	inertiaDeceleration: 3400,
-	inertiaMaxSpeed: Infinity,
-	easeLinearity: 0.2,
-	worldCopyJump: false,
-	maxBoundsViscosity: 0.0
+	measure: false,
+	measureMode: 'line',
+	measureUnits: 'metric',
+	measureStyle: {
+		color: '#e4572e',
+		weight: 3,
+		fillOpacity: 0.15
+	}
   });
-  var Drag = Handler.extend({
+  var Measure = Handler.extend({
 	addHooks: function () {
-		if (!this._draggable) {
-			var map = this._map;
-			this._draggable = new Draggable(map._mapPane, map._container);
-			this._draggable.on({
-				dragstart: this._onDragStart,
-				drag: this._onDrag,
-				dragend: this._onDragEnd
-			}, this);
-			this._draggable.on('predrag', this._onPreDragLimit, this);
-			if (map.options.worldCopyJump) {
-				this._draggable.on('predrag', this._onPreDragWrap, this);
-				map.on('zoomend', this._onZoomEnd, this);
-				map.whenReady(this._onZoomEnd, this);
-			}
-		}
-		addClass(this._map._container, 'atlas-grab atlas-touch-drag');
-		this._draggable.enable();
-		this._positions = [];
-		this._times = [];
+		var map = this._map;
+		this._layer = new LayerGroup().addTo(map);
+		this._latlngs = [];
+		this._finished = false;
+		this._restoreDoubleClickZoom = map.doubleClickZoom && map.doubleClickZoom.enabled();
+		if (this._restoreDoubleClickZoom) {
+			map.doubleClickZoom.disable();
+		}
+		addClass(map._container, 'atlas-measuring');
+		map.on({
+			click: this._onClick,
+			mousemove: this._onMouseMove
+		}, this);
+		on(document, 'keydown', this._onKeyDown, this);
+		map.fire('measureenable');
 	},
 	removeHooks: function () {
-		removeClass(this._map._container, 'atlas-grab');
-		removeClass(this._map._container, 'atlas-touch-drag');
-		this._draggable.disable();
+		var map = this._map;
+		map.off({
+			click: this._onClick,
+			mousemove: this._onMouseMove
+		}, this);
+		off(document, 'keydown', this._onKeyDown, this);
+		removeClass(map._container, 'atlas-measuring');
+		if (this._restoreDoubleClickZoom) {
+			map.doubleClickZoom.enable();
+		}
+		this._layer.remove();
+		this._layer = this._path = this._guide = this._tooltip = this._cursor = null;
+		this._latlngs = [];
+		this._finished = false;
+		map.fire('measuredisable');
+	},
+	getMode: function () {
+		return this._mode || this._map.options.measureMode;
+	},
+	setMode: function (mode) {
+		this._mode = mode;
+		if (this._latlngs && this._latlngs.length && !this._finished) {
+			this._layer.removeLayer(this._path);
+			this._path = null;
+			this._redraw(this._cursor);
+		}
+		return this;
+	},
+	getUnits: function () {
+		return this._units || this._map.options.measureUnits;
+	},
+	setUnits: function (units) {
+		this._units = units;
+		if (this._finished) {
+			this._showResult();
+		} else if (this._latlngs && this._latlngs.length) {
+			this._redraw(this._cursor);
+		}
+		return this;
+	},
+	getLength: function (latlngs, closed) {
+		var length = 0;
+		for (var i = 1; i < latlngs.length; i++) {
+			length += Earth.distance(latlngs[i - 1], latlngs[i]);
+		}
+		if (closed && latlngs.length > 2) {
+			length += Earth.distance(latlngs[latlngs.length - 1], latlngs[0]);
+		}
+		return length;
+	},
+	getArea: function (latlngs) {
+		var rad = Math.PI / 180,
+		    len = latlngs.length,
+		    area = 0,
+		    p1, p2;
+		if (len < 3) { return 0; }
+		for (var i = 0; i < len; i++) {
+			p1 = latlngs[i];
+			p2 = latlngs[(i + 1) % len];
+			area += (p2.lng - p1.lng) * rad * (2 + Math.sin(p1.lat * rad) + Math.sin(p2.lat * rad));
+		}
+		return Math.abs(area * Earth.R * Earth.R / 2);
+	},
+	finish: function () {
+		if (!this._enabled) { return this; }
+		var latlngs = this._latlngs,
+		    polygon = this.getMode() === 'polygon';
+		if (this._finished) { return this; }
+		if (latlngs.length < (polygon ? 3 : 2)) {
+			return this.cancel();
+		}
+		this._finished = true;
+		this._layer.removeLayer(this._guide);
+		this._guide = null;
+		this._path.setLatLngs(latlngs);
+		this._showResult();
+		this._map.fire('measurefinish', {
+			mode: this.getMode(),
+			units: this.getUnits(),
+			latlngs: latlngs.slice(),
+			length: this.getLength(latlngs, polygon),
+			area: polygon ? this.getArea(latlngs) : 0,
+			geometry: this._path.toGeoJSON().geometry
+		});
+		return this;
+	},
+	cancel: function () {
+		if (!this._layer) { return this; }
+		this._layer.clearLayers();
+		this._latlngs = [];
+		this._finished = false;
+		this._path = this._guide = this._tooltip = null;
+		return this;
+	},
+	_onClick: function (e) {
+		var map = this._map,
+		    latlngs = this._latlngs,
+		    tolerance = 5;
+		if (this._finished) {
+			this.cancel();
+			latlngs = this._latlngs;
+		}
+		if (latlngs.length) {
+			var point = map.latLngToContainerPoint(e.latlng);
+			if (point.distanceTo(map.latLngToContainerPoint(latlngs[latlngs.length - 1])) < tolerance ||
+			    (this.getMode() === 'polygon' && latlngs.length > 2 &&
+			     point.distanceTo(map.latLngToContainerPoint(latlngs[0])) < tolerance)) {
+				this.finish();
+				return;
+			}
+		} else {
+			map.fire('measurestart');
+		}
+		latlngs.push(e.latlng);
+		new CircleMarker(e.latlng, {
+			className: 'atlas-measure-vertex',
+			color: map.options.measureStyle.color,
+			fillColor: '#fff',
+			fillOpacity: 1,
+			weight: 2,
+			radius: 4,
+			interactive: false
+		}).addTo(this._layer);
+		this._redraw(e.latlng);
 	},
-	moved: function () {
-		return this._draggable && this._draggable._moved;
+	_onMouseMove: function (e) {
+		this._cursor = e.latlng;
+		if (this._finished) { return; }
+		if (this._latlngs.length) {
+			this._redraw(e.latlng);
+		} else {
+			this._setTooltip(e.latlng, this._map.translate('measureStart'));
+		}
 	},
-	moving: function () {
-		return this._draggable && this._draggable._moving;
+	_onKeyDown: function (e) {
+		if (!this._latlngs.length || this._finished) { return; }
+		if (e.keyCode === 27) {
+			this.cancel();
+		} else if (e.keyCode === 13) {
+			this.finish();
+		}
 	},
-	_onDragStart: function () {
-		var map = this._map;
-		map._stop();
-		if (this._map.options.maxBounds && this._map.options.maxBoundsViscosity) {
-			var bounds = toLatLngBounds(this._map.options.maxBounds);
-			this._offsetLimit = toBounds(
-				this._map.latLngToContainerPoint(bounds.getNorthWest()).multiplyBy(-1),
-				this._map.latLngToContainerPoint(bounds.getSouthEast()).multiplyBy(-1)
-					.add(this._map.getSize()));
-			this._viscosity = Math.min(1.0, Math.max(0.0, this._map.options.maxBoundsViscosity));
+	_redraw: function (cursor) {
+		var map = this._map,
+		    latlngs = this._latlngs,
+		    last = latlngs[latlngs.length - 1],
+		    polygon = this.getMode() === 'polygon',
+		    style = extend({interactive: false}, map.options.measureStyle),
+		    guide = [last, cursor || last];
+		if (!this._path) {
+			this._path = new (polygon ? Polygon : Polyline)([], style).addTo(this._layer);
+		}
+		this._path.setLatLngs(latlngs);
+		if (polygon && latlngs.length > 1) {
+			guide.push(latlngs[0]);
+		}
+		if (this._guide) {
+			this._guide.setLatLngs(guide);
 		} else {
-			this._offsetLimit = null;
+			this._guide = new Polyline(guide, extend(style, {dashArray: '5, 5', weight: 2})).addTo(this._layer);
+		}
+		var points = cursor ? latlngs.concat([cursor]) : latlngs,
+		    lines = [];
+		if (polygon) {
+			lines.push(map.translate('measureTotal') + ': ' + this._formatLength(this.getLength(points, true)));
+			if (points.length > 2) {
+				lines.push(map.translate('measureArea') + ': ' + this._formatArea(this.getArea(points)));
+			}
+		} else {
+			lines.push(map.translate('measureSegment') + ': ' + this._formatLength(Earth.distance(guide[0], guide[1])));
+			lines.push(map.translate('measureTotal') + ': ' + this._formatLength(this.getLength(points)));
 		}
-		map
-		    .fire('movestart')
-		    .fire('dragstart');
-		if (map.options.inertia) {
-			this._positions = [];
-			this._times = [];
+		lines.push('<span class="atlas-measure-hint">' + map.translate('measureContinue') + '</span>');
+		this._setTooltip(cursor || last, lines.join('<br>'));
+	},
+	_showResult: function () {
+		var map = this._map,
+		    latlngs = this._latlngs,
+		    polygon = this.getMode() === 'polygon',
+		    lines = [map.translate('measureTotal') + ': ' + this._formatLength(this.getLength(latlngs, polygon))];
+		if (polygon) {
+			lines.push(map.translate('measureArea') + ': ' + this._formatArea(this.getArea(latlngs)));
+		}
+		this._setTooltip(latlngs[latlngs.length - 1], lines.join('<br>'));
+	},
+	_setTooltip: function (latlng, content) {
+		if (!this._tooltip) {
+			this._tooltip = new Tooltip({
+				permanent: true,
+				direction: 'right',
+				offset: [12, 0],
+				className: 'atlas-measure-tooltip'
+			});
+		}
+		this._tooltip.setLatLng(latlng).setContent(content);
+		if (!this._layer.hasLayer(this._tooltip)) {
+			this._layer.addLayer(this._tooltip);
 		}
 	},
-	_onDrag: function (e) {
-		if (this._map.options.inertia) {
-			var time = this._lastTime = +new Date(),
-			    pos = this._lastPos = this._draggable._absPos || this._draggable._newPos;
-			this._positions.push(pos);
-			this._times.push(time);
-			this._prunePositions(time);
+	_format: function (value, unit, squared) {
+		return this._map.formatNumber(value, {maximumFractionDigits: value < 100 ? 2 : 0}) + ' ' +
+			this._map.translate(unit) + (squared ? '\u00b2' : '');
+	},
+	_formatLength: function (meters) {
+		var feet = meters * 3.2808399;
+		switch (this.getUnits()) {
+		case 'imperial':
+			return feet < 5280 ? this._format(feet, 'ft') : this._format(feet / 5280, 'mi');
+		case 'nautical':
+			return this._format(meters / 1852, 'nmi');
+		default:
+			return meters < 1000 ? this._format(meters, 'm') : this._format(meters / 1000, 'km');
 		}
-		this._map
-		    .fire('move', e)
-		    .fire('drag', e);
 	},
-	_prunePositions: function (time) {
-		while (this._positions.length > 1 && time - this._times[0] > 50) {
-			this._positions.shift();
-			this._times.shift();
+	_formatArea: function (squareMeters) {
+		var acres = squareMeters / 4046.8564224;
+		switch (this.getUnits()) {
+		case 'imperial':
+			return acres < 640 ? this._format(acres, 'ac') : this._format(acres / 640, 'mi', true);
+		case 'nautical':
+			return this._format(squareMeters / 3429904, 'nmi', true);
+		default:
+			return squareMeters < 1e6 ? this._format(squareMeters, 'm', true) : this._format(squareMeters / 1e6, 'km', true);
 		}
+	}
+  });
+  Map.addInitHook('addHandler', 'measure', Measure);
+  Map.BoxZoom = BoxZoom;
+  Map.DoubleClickZoom = DoubleClickZoom;
+  Map.Drag = Drag;
+  Map.Keyboard = Keyboard;
+  Map.ScrollWheelZoom = ScrollWheelZoom;
+  Map.TapHold = TapHold;
+  Map.TouchZoom = TouchZoom;
+  Map.Hash = Hash;
+  Map.ContextMenu = ContextMenu;
+  Map.Accessibility = Accessibility;
+  Map.Measure = Measure;
+  var Tour = Evented.extend({
+	options: {
+		loop: false
 	},
-	_onZoomEnd: function () {
-		var pxCenter = this._map.getSize().divideBy(2),
-		    pxWorldCenter = this._map.latLngToLayerPoint([0, 0]);
-		this._initialWorldOffset = pxWorldCenter.subtract(pxCenter).x;
-		this._worldWidth = this._map.getPixelWorldBounds().getSize().x;
+	initialize: function (map, keyframes, options) {
+		setOptions(this, options);
+		this._map = map;
+		this._keyframes = keyframes || [];
+		this._index = -1;
+		this._run = 0;
+		this._playing = false;
+	},
+	play: function () {
+		if (this._playing || !this._keyframes.length) { return this; }
+		if (this._index >= this._keyframes.length - 1) {
+			this._index = -1;
+		}
+		this._playing = true;
+		this.fire('play', {index: this._index});
+		return this._flyTo(this._index + 1);
+	},
+	pause: function () {
+		if (!this._playing) { return this; }
+		this._playing = false;
+		this._halt();
+		return this.fire('pause', {index: this._index});
+	},
+	seek: function (index) {
+		var keyframe = this._keyframes[index];
+		if (!keyframe) {
+			throw new Error('Invalid keyframe index: ' + index);
+		}
+		this._halt();
+		this._map.setView(keyframe.center, keyframe.zoom, {animate: false});
+		this.fire('seek', {index: index});
+		this._arrive(index);
+		return this;
 	},
-	_viscousLimit: function (value, threshold) {
-		return value - (value - threshold) * this._viscosity;
+	next: function () {
+		return this._step(this._index + 1);
 	},
-	_onPreDragLimit: function () {
-		if (!this._viscosity || !this._offsetLimit) { return; }
-		var offset = this._draggable._newPos.subtract(this._draggable._startPos);
-		var limit = this._offsetLimit;
-		if (offset.x < limit.min.x) { offset.x = this._viscousLimit(offset.x, limit.min.x); }
-		if (offset.y < limit.min.y) { offset.y = this._viscousLimit(offset.y, limit.min.y); }
-		if (offset.x > limit.max.x) { offset.x = this._viscousLimit(offset.x, limit.max.x); }
-		if (offset.y > limit.max.y) { offset.y = this._viscousLimit(offset.y, limit.max.y); }
-		this._draggable._newPos = this._draggable._startPos.add(offset);
+	previous: function () {
+		return this._step(this._index - 1);
 	},
-	_onPreDragWrap: function () {
-		var worldWidth = this._worldWidth,
-		    halfWidth = Math.round(worldWidth / 2),
-		    dx = this._initialWorldOffset,
-		    x = this._draggable._newPos.x,
-		    newX1 = (x - halfWidth + dx) % worldWidth + halfWidth - dx,
-		    newX2 = (x + halfWidth + dx) % worldWidth - halfWidth - dx,
-		    newX = Math.abs(newX1 + dx) < Math.abs(newX2 + dx) ? newX1 : newX2;
-		this._draggable._absPos = this._draggable._newPos.clone();
-		this._draggable._newPos.x = newX;
+	getIndex: function () {
+		return this._index;
 	},
-	_onDragEnd: function (e) {
-		var map = this._map,
-		    options = map.options,
-		    noInertia = !options.inertia || e.noInertia || this._times.length < 2;
-		map.fire('dragend', e);
-		if (noInertia) {
-			map.fire('moveend');
+	isPlaying: function () {
+		return this._playing;
+	},
+	_step: function (index) {
+		if (!this._keyframes[index]) { return this; }
+		this._halt();
+		return this._flyTo(index);
+	},
+	_halt: function () {
+		clearTimeout(this._timer);
+		this._map.off('movestart zoomstart', this._onInterrupt, this);
+		if (this._flying) {
+			this._flying = false;
+			this._run++;
+			this._map.stop();
+		}
+	},
+	_flyTo: function (index) {
+		var keyframe = this._keyframes[index],
+		    run = ++this._run;
+		this._flying = true;
+		this._map.flyTo(keyframe.center, keyframe.zoom, {
+			animate: keyframe.duration !== 0,
+			duration: keyframe.duration,
+			easing: keyframe.easing,
+			callback: bind(function (result) {
+				if (run !== this._run) { return; }
+				this._flying = false;
+				if (result.cancelled) {
+					this._onInterrupt();
+				} else {
+					this._arrive(index);
+				}
+			}, this)
+		});
+		return this;
+	},
+	_arrive: function (index) {
+		var keyframe = this._keyframes[index],
+		    map = this._map,
+		    i;
+		this._index = index;
+		for (i = 0; keyframe.show && i < keyframe.show.length; i++) {
+			map.addLayer(keyframe.show[i]);
+		}
+		for (i = 0; keyframe.hide && i < keyframe.hide.length; i++) {
+			map.removeLayer(keyframe.hide[i]);
+		}
+		this.fire('step', {index: index, keyframe: keyframe});
+		if (!this._playing) { return; }
+		if (index < this._keyframes.length - 1 || this.options.loop) {
+			map.on('movestart zoomstart', this._onInterrupt, this);
+			this._timer = setTimeout(bind(function () {
+				map.off('movestart zoomstart', this._onInterrupt, this);
+				this._flyTo((index + 1) % this._keyframes.length);
+			}, this), (keyframe.pause || 0) * 1000);
 		} else {
-			this._prunePositions(+new Date());
-			var direction = this._lastPos.subtract(this._positions[0]),
-			    duration = (this._lastTime - this._times[0]) / 1000,
-			    ease = options.easeLinearity,
-			    speedVector = direction.multiplyBy(ease / duration),
-			    speed = speedVector.distanceTo([0, 0]),
-			    limitedSpeed = Math.min(options.inertiaMaxSpeed, speed),
-			    limitedSpeedVector = speedVector.multiplyBy(limitedSpeed / speed),
-			    decelerationDuration = limitedSpeed / (options.inertiaDeceleration * ease),
-			    offset = limitedSpeedVector.multiplyBy(-decelerationDuration / 2).round();
-			if (!offset.x && !offset.y) {
-				map.fire('moveend');
-			} else {
-				offset = map._limitOffset(offset, map.options.maxBounds);
-				requestAnimFrame(function () {
-					map.panBy(offset, {
-						duration: decelerationDuration,
-						easeLinearity: ease,
-						noMoveStart: true,
-						animate: true
-					});
-				});
-			}
+			this._playing = false;
+			this.fire('end', {index: index});
 		}
+	},
+	_onInterrupt: function () {
+		if (!this._playing) { return; }
+		this._map.fire('tourinterrupt', {tour: this, index: this._index});
+		this.pause();
 	}
   });
-  Map.addInitHook('addHandler', 'dragging', Drag);
-  Map.mergeOptions({
-	keyboard: true,
-	keyboardPanDelta: 80
+  Map.include({
+	tour: function (keyframes, options) {
+		return new Tour(this, keyframes, options);
+	}
   });
-  var Keyboard = Handler.extend({
-	keyCodes: {
-		left:    [37],
-		right:   [39],
-		down:    [40],
-		up:      [38],
-		zoomIn:  [187, 107, 61, 171],
-		zoomOut: [189, 109, 54, 173]
+  Map.include({
+	sync: function (map, options) {
+		if (map === this || this.isSynced(map)) { return this; }
+		options = extend({
+			offset: [0, 0],
+			zoomDelta: 0,
+			syncCursor: false,
+			syncBearing: true
+		}, options);
+		var sync = {map: map, options: options};
+		if (options.syncCursor) {
+			sync.cursor = new Marker([0, 0], {
+				icon: new DivIcon({className: 'atlas-sync-cursor', iconSize: [24, 24]}),
+				interactive: false,
+				keyboard: false
+			});
+		}
+		if (!this.isSynced()) {
+			this._toggleSyncEvents();
+		}
+		this._syncedMaps = this._syncedMaps || [];
+		this._syncedMaps.push(sync);
+		if (this._loaded) {
+			map._syncing = true;
+			this._syncEnd(sync, map);
+			map._syncing = false;
+		}
+		return this;
 	},
-	initialize: function (map) {
-		this._map = map;
-		this._setPanDelta(map.options.keyboardPanDelta);
-		this._setZoomDelta(map.options.zoomDelta);
+	unsync: function (map) {
+		var syncs = this._syncedMaps || [];
+		for (var i = 0; i < syncs.length; i++) {
+			if (syncs[i].map === map) {
+				if (syncs[i].cursor) {
+					syncs[i].cursor.remove();
+				}
+				syncs.splice(i, 1);
+				break;
+			}
+		}
+		if (!syncs.length) {
+			this._toggleSyncEvents(true);
+		}
+		return this;
 	},
-	addHooks: function () {
-		var container = this._map._container;
-		if (container.tabIndex <= 0) {
-			container.tabIndex = '0';
+	isSynced: function (map) {
+		var syncs = this._syncedMaps || [];
+		if (!map) { return syncs.length > 0; }
+		for (var i = 0; i < syncs.length; i++) {
+			if (syncs[i].map === map) { return true; }
 		}
-		on(container, {
-			focus: this._onFocus,
-			blur: this._onBlur,
-			mousedown: this._onMouseDown
-		}, this);
-		this._map.on({
-			focus: this._addHooks,
-			blur: this._removeHooks
-		}, this);
+		return false;
 	},
-	removeHooks: function () {
-		this._removeHooks();
-		off(this._map._container, {
-			focus: this._onFocus,
-			blur: this._onBlur,
-			mousedown: this._onMouseDown
-		}, this);
-		this._map.off({
-			focus: this._addHooks,
-			blur: this._removeHooks
+	_toggleSyncEvents: function (remove) {
+		this[remove ? 'off' : 'on']({
+			movestart: this._onSyncMoveStart,
+			move: this._onSyncMove,
+			moveend: this._onSyncMoveEnd,
+			zoomanim: this._onSyncZoomAnim,
+			rotate: this._onSyncRotate,
+			mousemove: this._onSyncMouseMove,
+			mouseout: this._onSyncMouseOut
 		}, this);
 	},
-	_onMouseDown: function () {
-		if (this._focused) { return; }
-		var body = document.body,
-		    docEl = document.documentElement,
-		    top = body.scrollTop || docEl.scrollTop,
-		    left = body.scrollLeft || docEl.scrollLeft;
-		this._map._container.focus();
-		window.scrollTo(left, top);
+	_eachSync: function (fn) {
+		if (this._syncing) { return; }
+		var syncs = this._syncedMaps.slice();
+		for (var i = 0; i < syncs.length; i++) {
+			var map = syncs[i].map;
+			if (map._syncing) { continue; }
+			map._syncing = true;
+			fn.call(this, syncs[i], map);
+			map._syncing = false;
+		}
+	},
+	_getSyncTarget: function (sync, center, zoom) {
+		var map = sync.map,
+		    offset = toPoint(sync.options.offset);
+		center = center || this.getCenter();
+		zoom = zoom === undefined ? this.getZoom() : zoom;
+		if (offset.x || offset.y) {
+			center = this.unproject(this.project(center, zoom).add(this._rotateOffset(offset, true)), zoom);
+		}
+		return {
+			center: center,
+			zoom: Math.max(map.getMinZoom(), Math.min(map.getMaxZoom(), zoom + sync.options.zoomDelta))
+		};
 	},
-	_onFocus: function () {
-		this._focused = true;
-		this._map.fire('focus');
+	_syncEnd: function (sync, map) {
+		var target = this._getSyncTarget(sync);
+		if (sync.options.syncBearing && map._bearing !== this._bearing) {
+			map.setBearing(this._bearing);
+		}
+		if (!map._loaded || map._zoom !== target.zoom ||
+		    map._getCenterOffset(target.center).distanceTo([0, 0]) >= 1) {
+			map.setView(target.center, target.zoom, {animate: false});
+		} else if (map._syncMoving) {
+			map.fire('moveend');
+		}
+		map._syncMoving = false;
 	},
-	_onBlur: function () {
-		this._focused = false;
-		this._map.fire('blur');
+	_onSyncMoveStart: function () {
+		this._eachSync(function (sync, map) {
+			if (map._animatingZoom || !map._loaded) { return; }
+			map._stop();
+			map._syncMoving = true;
+			map.fire('movestart');
+		});
 	},
-	_setPanDelta: function (panDelta) {
-		var keys = this._panKeys = {},
-		    codes = this.keyCodes,
-		    i, len;
-		for (i = 0, len = codes.left.length; i < len; i++) {
-			keys[codes.left[i]] = [-1 * panDelta, 0];
+	_onSyncMove: function () {
+		if (this._animatingZoom) { return; }
+		this._eachSync(function (sync, map) {
+			if (map._animatingZoom || !map._loaded) { return; }
+			var target = this._getSyncTarget(sync);
+			if (map._zoom !== target.zoom) {
+				map._move(target.center, target.zoom);
+			} else {
+				map._rawPanBy(map._rotateOffset(map._getCenterOffset(target.center), true));
+				map.fire('move');
+			}
+			map._syncMoving = true;
+		});
+	},
+	_onSyncMoveEnd: function () {
+		this._eachSync(function (sync, map) {
+			if (!map._animatingZoom) {
+				this._syncEnd(sync, map);
+			}
+		});
+	},
+	_onSyncZoomAnim: function (e) {
+		this._eachSync(function (sync, map) {
+			if (map._animatingZoom || !map._loaded) { return; }
+			var target = this._getSyncTarget(sync, e.center, e.zoom);
+			map._stop();
+			map._syncMoving = false;
+			if (map._zoomAnimated) {
+				map._moveStart(true, true)._animateZoom(target.center, target.zoom, true, e.noUpdate);
+			} else {
+				map._resetView(target.center, target.zoom);
+			}
+		});
+	},
+	_onSyncRotate: function () {
+		this._eachSync(function (sync, map) {
+			if (sync.options.syncBearing) {
+				map.setBearing(this._bearing);
+			}
+		});
+	},
+	_onSyncMouseMove: function (e) {
+		this._eachSync(function (sync, map) {
+			if (sync.cursor && map._loaded) {
+				sync.cursor.setLatLng(e.latlng);
+				if (!map.hasLayer(sync.cursor)) {
+					map.addLayer(sync.cursor);
+				}
+			}
+		});
+	},
+	_onSyncMouseOut: function () {
+		this._eachSync(function (sync, map) {
+			if (sync.cursor) {
+				map.removeLayer(sync.cursor);
+			}
+		});
+	}
+  });
+  Map.include({
+	toImage: function (options) {
+		options = extend({
+			scale: 1,
+			format: 'image/png',
+			quality: 0.92,
+			dataURL: false,
+			attribution: true,
+			ignoreUnsupported: false
+		}, options);
+		return this._renderCanvas(options).then(bind(function (canvas) {
+			return this._encodeCanvas(canvas, options);
+		}, this));
+	},
+	_encodeCanvas: function (canvas, options) {
+		var format = options.format.indexOf('/') === -1 ? 'image/' + options.format : options.format;
+		if (options.dataURL) {
+			try {
+				return canvas.toDataURL(format, options.quality);
+			} catch (e) {
+				throw this._exportError(e);
+			}
 		}
-		for (i = 0, len = codes.right.length; i < len; i++) {
-			keys[codes.right[i]] = [panDelta, 0];
+		return new Promise(bind(function (resolve, reject) {
+			try {
+				canvas.toBlob(function (blob) {
+					if (blob) {
+						resolve(blob);
+					} else {
+						reject(new Error('Map export failed: the browser could not encode the image as ' + format + '.'));
+					}
+				}, format, options.quality);
+			} catch (e) {
+				reject(this._exportError(e));
+			}
+		}, this));
+	},
+	_renderCanvas: function (options) {
+		if (!this._loaded) {
+			return Promise.reject(new Error('Set map center and zoom first.'));
 		}
-		for (i = 0, len = codes.down.length; i < len; i++) {
-			keys[codes.down[i]] = [0, panDelta];
+		var unsupported = [],
+		    items = this._getExportItems(unsupported),
+		    images = [];
+		if (unsupported.length && !options.ignoreUnsupported) {
+			return Promise.reject(new Error('Map export failed: ' + unsupported.length + ' marker(s) use an HTML icon such as DivIcon, ' +
+				'which cannot be drawn to a canvas. Pass ignoreUnsupported: true to leave them out.'));
+		}
+		for (var i = 0; i < items.length; i++) {
+			images.push(items[i].image);
+		}
+		return Promise.all(images).then(bind(function (loaded) {
+			for (var i = 0; i < items.length; i++) {
+				items[i].image = loaded[i];
+			}
+			return this._drawExportCanvas(items, options);
+		}, this));
+	},
+	_exportError: function (e) {
+		if (e && e.name === 'SecurityError') {
+			return new Error('Map export failed: the canvas was tainted by a cross-origin tile or image. ' +
+				'Set the crossOrigin option on tile layers and image overlays and serve them with CORS headers.');
+		}
+		return e;
+	},
+	_drawExportCanvas: function (items, options) {
+		var size = this.getSize(),
+		    scale = options.scale,
+		    canvas = document.createElement('canvas'),
+		    ctx, item, i;
+		canvas.width = Math.round(size.x * scale);
+		canvas.height = Math.round(size.y * scale);
+		ctx = canvas.getContext('2d');
+		ctx.scale(scale, scale);
+		if (this._bearing) {
+			ctx.translate(size.x / 2, size.y / 2);
+			ctx.rotate(-this._bearing * Math.PI / 180);
+			ctx.translate(-size.x / 2, -size.y / 2);
+		}
+		var panePos = this._getMapPanePos();
+		ctx.translate(panePos.x, panePos.y);
+		for (i = 0; i < items.length; i++) {
+			item = items[i];
+			ctx.globalAlpha = item.opacity === undefined ? 1 : item.opacity;
+			if (item.origin && this._bearing) {
+				ctx.save();
+				ctx.translate(item.origin.x, item.origin.y);
+				ctx.rotate(this._bearing * Math.PI / 180);
+				ctx.drawImage(item.image, item.x - item.origin.x, item.y - item.origin.y, item.width, item.height);
+				ctx.restore();
+			} else {
+				ctx.drawImage(item.image, item.x, item.y, item.width, item.height);
+			}
 		}
-		for (i = 0, len = codes.up.length; i < len; i++) {
-			keys[codes.up[i]] = [0, -1 * panDelta];
+		ctx.globalAlpha = 1;
+		ctx.setTransform(scale, 0, 0, scale, 0, 0);
+		if (options.attribution && this.attributionControl && this.attributionControl._text) {
+			this._drawExportAttribution(ctx, this.attributionControl._text.textContent, size);
 		}
-	},
-	_setZoomDelta: function (zoomDelta) {
-		var keys = this._zoomKeys = {},
-		    codes = this.keyCodes,
-		    i, len;
-		for (i = 0, len = codes.zoomIn.length; i < len; i++) {
-			keys[codes.zoomIn[i]] = zoomDelta;
+		try {
+			ctx.getImageData(0, 0, 1, 1);
+		} catch (e) {
+			throw this._exportError(e);
+		}
+		return canvas;
+	},
+	_drawExportAttribution: function (ctx, text, size) {
+		text = text.replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, '');
+		if (!text) { return; }
+		ctx.font = '11px "Helvetica Neue", Arial, Helvetica, sans-serif';
+		var width = ctx.measureText(text).width + 10;
+		ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+		ctx.fillRect(size.x - width, size.y - 16, width, 16);
+		ctx.fillStyle = '#333';
+		ctx.textBaseline = 'middle';
+		ctx.fillText(text, size.x - width + 5, size.y - 8);
+	},
+	_getExportItems: function (unsupported) {
+		var byElement = {},
+		    items = [],
+		    elements = this._getPaintedElements(),
+		    id, i;
+		for (id in this._layers) {
+			this._addExportLayer(this._layers[id], byElement, unsupported);
+		}
+		for (i = 0; i < elements.length; i++) {
+			items = items.concat(byElement[stamp(elements[i])] || []);
+		}
+		return items;
+	},
+	_getPaintedElements: function () {
+		var panes = [],
+		    elements = [],
+		    name, i;
+		for (name in this._panes) {
+			if (name !== 'mapPane' && name !== 'rotatePane') {
+				panes.push(this._panes[name]);
+			}
 		}
-		for (i = 0, len = codes.zoomOut.length; i < len; i++) {
-			keys[codes.zoomOut[i]] = -zoomDelta;
+		panes = this._sortByZIndex(panes);
+		for (i = 0; i < panes.length; i++) {
+			elements = elements.concat(this._sortByZIndex(Array.prototype.slice.call(panes[i].children)));
 		}
+		return elements;
 	},
-	_addHooks: function () {
-		on(document, 'keydown', this._onKeyDown, this);
-	},
-	_removeHooks: function () {
-		off(document, 'keydown', this._onKeyDown, this);
-	},
-	_onKeyDown: function (e) {
-		if (e.altKey || e.ctrlKey || e.metaKey) { return; }
-		var key = e.keyCode,
-		    map = this._map,
-		    offset;
-		if (key in this._panKeys) {
-			if (!map._panAnim || !map._panAnim._inProgress) {
-				offset = this._panKeys[key];
-				if (e.shiftKey) {
-					offset = toPoint(offset).multiplyBy(3);
-				}
-				if (map.options.maxBounds) {
-					offset = map._limitOffset(toPoint(offset), map.options.maxBounds);
-				}
-				if (map.options.worldCopyJump) {
-					var newLatLng = map.wrapLatLng(map.unproject(map.project(map.getCenter()).add(offset)));
-					map.panTo(newLatLng);
-				} else {
-					map.panBy(offset);
+	_sortByZIndex: function (elements) {
+		var keyed = [];
+		for (var i = 0; i < elements.length; i++) {
+			keyed.push({el: elements[i], index: i, zIndex: parseInt(getStyle(elements[i], 'zIndex'), 10) || 0});
+		}
+		keyed.sort(function (a, b) {
+			return (a.zIndex - b.zIndex) || (a.index - b.index);
+		});
+		for (i = 0; i < keyed.length; i++) {
+			elements[i] = keyed[i].el;
+		}
+		return elements;
+	},
+	_addExportLayer: function (layer, byElement, unsupported) {
+		var opacity = layer.options.opacity,
+		    min, max;
+		if (layer instanceof GridLayer && layer._container) {
+			byElement[stamp(layer._container)] = this._getExportTiles(layer);
+		} else if (layer instanceof ImageOverlay && layer._image) {
+			min = this.latLngToLayerPoint(layer._bounds.getNorthWest());
+			max = this.latLngToLayerPoint(layer._bounds.getSouthEast());
+			byElement[stamp(layer._image)] = [{
+				image: layer._image.tagName === 'svg' ?
+					this._rasterizeSvg(layer._image, max.x - min.x, max.y - min.y) : layer._image,
+				x: min.x,
+				y: min.y,
+				width: max.x - min.x,
+				height: max.y - min.y,
+				opacity: opacity
+			}];
+		} else if ((layer instanceof Canvas || layer instanceof SVG) && layer._container && layer._bounds) {
+			min = layer._bounds.min;
+			max = layer._bounds.max;
+			byElement[stamp(layer._container)] = [{
+				image: layer instanceof SVG ?
+					this._rasterizeSvg(layer._container, max.x - min.x, max.y - min.y) : layer._container,
+				x: min.x,
+				y: min.y,
+				width: max.x - min.x,
+				height: max.y - min.y
+			}];
+		} else if (layer instanceof Marker) {
+			if (layer._icon && layer._icon.tagName !== 'IMG') {
+				unsupported.push(layer);
+			}
+			var elements = [layer._icon, layer._shadow];
+			for (var i = 0; i < elements.length; i++) {
+				var el = elements[i];
+				if (el && el.tagName === 'IMG' && el.complete) {
+					var pos = getPosition(el);
+					byElement[stamp(el)] = [{
+						image: el,
+						x: pos.x + (parseFloat(el.style.marginLeft) || 0),
+						y: pos.y + (parseFloat(el.style.marginTop) || 0),
+						width: el.offsetWidth || parseFloat(el.style.width) || el.width,
+						height: el.offsetHeight || parseFloat(el.style.height) || el.height,
+						opacity: opacity,
+						origin: pos
+					}];
 				}
 			}
-		} else if (key in this._zoomKeys) {
-			map.setZoom(map.getZoom() + (e.shiftKey ? 3 : 1) * this._zoomKeys[key]);
-		} else if (key === 27 && map._popup && map._popup.options.closeOnEscapeKey) {
-			map.closePopup();
-		} else {
-			return;
 		}
-		stop(e);
-	}
-  });
-  Map.addInitHook('addHandler', 'keyboard', Keyboard);
-  Map.mergeOptions({
-	scrollWheelZoom: true,
-	wheelDebounceTime: 40,
-	wheelPxPerZoomLevel: 60
-  });
-  var ScrollWheelZoom = Handler.extend({
-	addHooks: function () {
-		on(this._map._container, 'wheel', this._onWheelScroll, this);
-		this._delta = 0;
-	},
-	removeHooks: function () {
-		off(this._map._container, 'wheel', this._onWheelScroll, this);
 	},
-	_onWheelScroll: function (e) {
-		var delta = getWheelDelta(e);
-		var debounce = this._map.options.wheelDebounceTime;
-		this._delta += delta;
-		this._lastMousePos = this._map.mouseEventToContainerPoint(e);
-		if (!this._startTime) {
-			this._startTime = +new Date();
+	_getExportTiles: function (layer) {
+		var tileSize = layer.getTileSize(),
+		    origin = this.getPixelOrigin(),
+		    zoom = this.getZoom(),
+		    tiles = [],
+		    key, tile, scale;
+		for (key in layer._tiles) {
+			tile = layer._tiles[key];
+			if (!hasClass(tile.el, 'atlas-tile-loaded')) { continue; }
+			scale = this.getZoomScale(zoom, tile.coords.z);
+			tiles.push({
+				image: tile.el,
+				x: tile.coords.x * tileSize.x * scale - origin.x,
+				y: tile.coords.y * tileSize.y * scale - origin.y,
+				width: tileSize.x * scale,
+				height: tileSize.y * scale,
+				opacity: layer.options.opacity,
+				distance: Math.abs(tile.coords.z - layer._tileZoom)
+			});
 		}
-		var left = Math.max(debounce - (+new Date() - this._startTime), 0);
-		clearTimeout(this._timer);
-		this._timer = setTimeout(bind(this._performZoom, this), left);
-		stop(e);
+		return tiles.sort(function (a, b) {
+			return b.distance - a.distance;
+		});
 	},
-	_performZoom: function () {
-		var map = this._map,
-		    zoom = map.getZoom(),
-		    snap = this._map.options.zoomSnap || 0;
-		map._stop();
-		var d2 = this._delta / (this._map.options.wheelPxPerZoomLevel * 4),
-		    d3 = 4 * Math.log(2 / (1 + Math.exp(-Math.abs(d2)))) / Math.LN2,
-		    d4 = snap ? Math.ceil(d3 / snap) * snap : d3,
-		    delta = map._limitZoom(zoom + (this._delta > 0 ? d4 : -d4)) - zoom;
-		this._delta = 0;
-		this._startTime = null;
-		if (!delta) { return; }
-		if (map.options.scrollWheelZoom === 'center') {
-			map.setZoom(zoom + delta);
-		} else {
-			map.setZoomAround(this._lastMousePos, zoom + delta);
-		}
+	_rasterizeSvg: function (svg, width, height) {
+		var xml = new XMLSerializer().serializeToString(svg);
+		return new Promise(function (resolve, reject) {
+			var img = new Image();
+			img.onload = function () {
+				resolve(img);
+			};
+			img.onerror = function () {
+				reject(new Error('Map export failed: an SVG layer could not be rendered.'));
+			};
+			img.width = width;
+			img.height = height;
+			img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(xml);
+		});
 	}
   });
-  Map.addInitHook('addHandler', 'scrollWheelZoom', ScrollWheelZoom);
-  var tapHoldDelay = 600;
-  Map.mergeOptions({
-	tapHold: Browser.touchNative && Browser.safari && Browser.mobile,
-	tapTolerance: 15
-  });
-  var TapHold = Handler.extend({
-	addHooks: function () {
-		on(this._map._container, 'touchstart', this._onDown, this);
-	},
-	removeHooks: function () {
-		off(this._map._container, 'touchstart', this._onDown, this);
-	},
-	_onDown: function (e) {
-		clearTimeout(this._holdTimeout);
-		if (e.touches.length !== 1) { return; }
-		var first = e.touches[0];
-		this._startPos = this._newPos = new Point(first.clientX, first.clientY);
-		this._holdTimeout = setTimeout(bind(function () {
-			this._cancel();
-			if (!this._isTapValid()) { return; }
-			on(document, 'touchend', preventDefault);
-			on(document, 'touchend touchcancel', this._cancelClickPrevent);
-			this._simulateEvent('contextmenu', first);
-		}, this), tapHoldDelay);
-		on(document, 'touchend touchcancel contextmenu', this._cancel, this);
-		on(document, 'touchmove', this._onMove, this);
-	},
-	_cancelClickPrevent: function cancelClickPrevent() {
-		off(document, 'touchend', preventDefault);
-		off(document, 'touchend touchcancel', cancelClickPrevent);
+  Map.include({
+	queryFeatures: function (query, options) {
+		options = extend({tolerance: 0}, options);
+		this._checkIfLoaded();
+		var isBox = query instanceof Bounds || (isArray(query) && typeof query[0] === 'object'),
+		    point = isBox ? null : toPoint(query),
+		    bounds = isBox ? toBounds(query) : new Bounds(point, point),
+		    tolerance = new Point(options.tolerance, options.tolerance),
+		    box = new Bounds(bounds.min.subtract(tolerance), bounds.max.add(tolerance)),
+		    layerPoint = point && this.containerPointToLayerPoint(point),
+		    filter = options.layers && this._getQueryFilter(options.layers, {}),
+		    byElement = {},
+		    results = [],
+		    elements, layer, el, key, id, i;
+		for (id in this._layers) {
+			layer = this._layers[id];
+			if (filter && !filter[id]) { continue; }
+			el = layer instanceof Path ? layer._renderer && layer._renderer._container :
+				layer instanceof Marker ? layer._icon :
+				layer instanceof ImageOverlay ? layer._image : null;
+			if (el && this._hitTestLayer(layer, box, layerPoint, !options.tolerance && !isBox)) {
+				key = stamp(el);
+				(byElement[key] = byElement[key] || []).push(layer);
+			}
+		}
+		elements = this._getPaintedElements();
+		for (i = 0; i < elements.length; i++) {
+			var hits = byElement[stamp(elements[i])];
+			if (hits) {
+				results = results.concat(hits.length > 1 ? this._sortByRenderOrder(hits) : hits);
+			}
+		}
+		return results;
 	},
-	_cancel: function () {
-		clearTimeout(this._holdTimeout);
-		off(document, 'touchend touchcancel contextmenu', this._cancel, this);
-		off(document, 'touchmove', this._onMove, this);
+	_getQueryFilter: function (layers, filter) {
+		for (var i = 0; i < layers.length; i++) {
+			filter[stamp(layers[i])] = true;
+			if (layers[i].getLayers) {
+				this._getQueryFilter(layers[i].getLayers(), filter);
+			}
+		}
+		return filter;
+	},
+	_hitTestLayer: function (layer, box, layerPoint, exact) {
+		if (layer instanceof Marker) {
+			var icon = layer._icon,
+			    min = this.latLngToContainerPoint(layer.getLatLng())
+				.add([parseFloat(icon.style.marginLeft) || 0, parseFloat(icon.style.marginTop) || 0]),
+			    size = new Point(icon.offsetWidth || parseFloat(icon.style.width) || 0,
+				icon.offsetHeight || parseFloat(icon.style.height) || 0);
+			return box.intersects(new Bounds(min, min.add(size)));
+		}
+		if (layer instanceof ImageOverlay) {
+			var latLngBounds = layer.getBounds();
+			return this._ringIntersects([
+				this.latLngToContainerPoint(latLngBounds.getNorthWest()),
+				this.latLngToContainerPoint(latLngBounds.getNorthEast()),
+				this.latLngToContainerPoint(latLngBounds.getSouthEast()),
+				this.latLngToContainerPoint(latLngBounds.getSouthWest())
+			], box);
+		}
+		if (layerPoint && layer._containsPoint(layerPoint)) {
+			return true;
+		}
+		return !exact && this._pathIntersects(layer, box);
+	},
+	_pathIntersects: function (layer, box) {
+		var w = layer._clickTolerance(),
+		    closed = layer instanceof Polygon,
+		    i, j;
+		if (layer instanceof CircleMarker) {
+			var center = this.layerPointToContainerPoint(layer._point),
+			    nearest = new Point(
+				Math.max(box.min.x, Math.min(box.max.x, center.x)),
+				Math.max(box.min.y, Math.min(box.max.y, center.y)));
+			return nearest.distanceTo(center) <= layer._radius + w;
+		}
+		if (!layer._parts) { return false; }
+		var padded = new Bounds(box.min.subtract([w, w]), box.max.add([w, w]));
+		for (i = 0; i < layer._parts.length; i++) {
+			var ring = [];
+			for (j = 0; j < layer._parts[i].length; j++) {
+				ring.push(this.layerPointToContainerPoint(layer._parts[i][j]));
+			}
+			if (this._segmentsIntersect(ring, padded, closed)) {
+				return true;
+			}
+		}
+		return closed && layer._containsPoint(this.containerPointToLayerPoint(box.getCenter()));
 	},
-	_onMove: function (e) {
-		var first = e.touches[0];
-		this._newPos = new Point(first.clientX, first.clientY);
+	_ringIntersects: function (ring, box) {
+		var p = box.getCenter(),
+		    inside = false;
+		for (var j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+			if (((ring[j].y > p.y) !== (ring[k].y > p.y)) &&
+			    (p.x < (ring[k].x - ring[j].x) * (p.y - ring[j].y) / (ring[k].y - ring[j].y) + ring[j].x)) {
+				inside = !inside;
+			}
+		}
+		return inside || this._segmentsIntersect(ring, box, true);
 	},
-	_isTapValid: function () {
-		return this._newPos.distanceTo(this._startPos) <= this._map.options.tapTolerance;
+	_segmentsIntersect: function (points, box, closed) {
+		if (points.length === 1) {
+			return box.contains(points[0]);
+		}
+		for (var j = closed ? 0 : 1, k = closed ? points.length - 1 : 0; j < points.length; k = j++) {
+			if (clipSegment(points[k], points[j], box)) {
+				return true;
+			}
+		}
+		return false;
 	},
-	_simulateEvent: function (type, e) {
-		var simulatedEvent = new MouseEvent(type, {
-			bubbles: true,
-			cancelable: true,
-			view: window,
-			screenX: e.screenX,
-			screenY: e.screenY,
-			clientX: e.clientX,
-			clientY: e.clientY,
+	_sortByRenderOrder: function (layers) {
+		var renderer = layers[0]._renderer,
+		    index = {},
+		    i = 0;
+		if (renderer instanceof Canvas) {
+			for (var order = renderer._drawFirst; order; order = order.next) {
+				index[stamp(order.layer)] = i++;
+			}
+		} else {
+			for (var id in renderer._layers) {
+				var path = renderer._layers[id]._path;
+				index[id] = indexOf(path.parentNode.childNodes, path);
+			}
+		}
+		return layers.sort(function (a, b) {
+			return index[stamp(a)] - index[stamp(b)];
 		});
-		simulatedEvent._simulated = true;
-		e.target.dispatchEvent(simulatedEvent);
 	}
   });
-  Map.addInitHook('addHandler', 'tapHold', TapHold);
-  Map.mergeOptions({
-	touchZoom: Browser.touch,
-	bounceAtZoomLimits: true
+  Map.addInitHook(function () {
+	this._dataLoading = true;
+	this.on({
+		'movestart zoomstart zoomanim moveend zoomend viewreset rotate': this._scheduleIdleCheck,
+		layeradd: this._onIdleLayerAdd,
+		layerremove: this._onIdleLayerRemove,
+		unload: this._cancelIdleCheck
+	}, this);
+	this.whenReady(this._scheduleIdleCheck, this);
   });
-  var TouchZoom = Handler.extend({
-	addHooks: function () {
-		addClass(this._map._container, 'atlas-touch-zoom');
-		on(this._map._container, 'touchstart', this._onTouchStart, this);
+  Map.include({
+	isIdle: function () {
+		if (!this._loaded || this._animatingZoom || this._flyToFrame ||
+		    (this._panAnim && this._panAnim._inProgress) ||
+		    (this.dragging && this.dragging.moving()) ||
+		    (this.touchZoom && this.touchZoom._zooming) ||
+		    (this.scrollWheelZoom && this.scrollWheelZoom._smoothZooming)) {
+			return false;
+		}
+		for (var id in this._layers) {
+			var layer = this._layers[id];
+			if ((layer instanceof GridLayer && layer.isLoading()) ||
+			    (layer instanceof ImageOverlay && layer._image && layer._image.tagName === 'IMG' && !layer._image.complete) ||
+			    layer._redrawRequest) {
+				return false;
+			}
+		}
+		return true;
 	},
-	removeHooks: function () {
-		removeClass(this._map._container, 'atlas-touch-zoom');
-		off(this._map._container, 'touchstart', this._onTouchStart, this);
+	_onIdleLayerAdd: function (e) {
+		e.layer.on('loading load tileload tileerror error', this._scheduleIdleCheck, this);
+		this._scheduleIdleCheck();
 	},
-	_onTouchStart: function (e) {
-		var map = this._map;
-		if (!e.touches || e.touches.length !== 2 || map._animatingZoom || this._zooming) { return; }
-		var p1 = map.mouseEventToContainerPoint(e.touches[0]),
-		    p2 = map.mouseEventToContainerPoint(e.touches[1]);
-		this._centerPoint = map.getSize()._divideBy(2);
-		this._startLatLng = map.containerPointToLatLng(this._centerPoint);
-		if (map.options.touchZoom !== 'center') {
-			this._pinchStartLatLng = map.containerPointToLatLng(p1.add(p2)._divideBy(2));
-		}
-		this._startDist = p1.distanceTo(p2);
-		this._startZoom = map.getZoom();
-		this._moved = false;
-		this._zooming = true;
-		map._stop();
-		on(document, 'touchmove', this._onTouchMove, this);
-		on(document, 'touchend touchcancel', this._onTouchEnd, this);
-		preventDefault(e);
+	_onIdleLayerRemove: function (e) {
+		e.layer.off('loading load tileload tileerror error', this._scheduleIdleCheck, this);
+		this._scheduleIdleCheck();
 	},
-	_onTouchMove: function (e) {
-		if (!e.touches || e.touches.length !== 2 || !this._zooming) { return; }
-		var map = this._map,
-		    p1 = map.mouseEventToContainerPoint(e.touches[0]),
-		    p2 = map.mouseEventToContainerPoint(e.touches[1]),
-		    scale = p1.distanceTo(p2) / this._startDist;
-		this._zoom = map.getScaleZoom(scale, this._startZoom);
-		if (!map.options.bounceAtZoomLimits && (
-			(this._zoom < map.getMinZoom() && scale < 1) ||
-			(this._zoom > map.getMaxZoom() && scale > 1))) {
-			this._zoom = map._limitZoom(this._zoom);
-		}
-		if (map.options.touchZoom === 'center') {
-			this._center = this._startLatLng;
-			if (scale === 1) { return; }
-		} else {
-			var delta = p1._add(p2)._divideBy(2)._subtract(this._centerPoint);
-			if (scale === 1 && delta.x === 0 && delta.y === 0) { return; }
-			this._center = map.unproject(map.project(this._pinchStartLatLng, this._zoom).subtract(delta), this._zoom);
-		}
-		if (!this._moved) {
-			map._moveStart(true, false);
-			this._moved = true;
+	_scheduleIdleCheck: function () {
+		if (!this._idleCheck) {
+			this._idleCheck = requestAnimFrame(this._checkIdle, this);
 		}
-		cancelAnimFrame(this._animRequest);
-		var moveFn = bind(map._move, map, this._center, this._zoom, {pinch: true, round: false}, undefined);
-		this._animRequest = requestAnimFrame(moveFn, this, true);
-		preventDefault(e);
 	},
-	_onTouchEnd: function () {
-		if (!this._moved || !this._zooming) {
-			this._zooming = false;
+	_cancelIdleCheck: function () {
+		cancelAnimFrame(this._idleCheck);
+		this._idleCheck = null;
+	},
+	_checkIdle: function () {
+		this._idleCheck = null;
+		if (!this._loaded) { return; }
+		if (this.isIdle()) {
+			if (this._dataLoading) {
+				this._dataLoading = false;
+				this.fire('idle');
+			}
 			return;
 		}
-		this._zooming = false;
-		cancelAnimFrame(this._animRequest);
-		off(document, 'touchmove', this._onTouchMove, this);
-		off(document, 'touchend touchcancel', this._onTouchEnd, this);
-		if (this._map.options.zoomAnimation) {
-			this._map._animateZoom(this._center, this._map._limitZoom(this._zoom), true, this._map.options.zoomSnap);
-		} else {
-			this._map._resetView(this._center, this._map._limitZoom(this._zoom));
+		if (!this._dataLoading) {
+			this._dataLoading = true;
+			this.fire('dataloading');
 		}
 	}
   });
-  Map.addInitHook('addHandler', 'touchZoom', TouchZoom);
-  Map.BoxZoom = BoxZoom;
-  Map.DoubleClickZoom = DoubleClickZoom;
-  Map.Drag = Drag;
-  Map.Keyboard = Keyboard;
-  Map.ScrollWheelZoom = ScrollWheelZoom;
-  Map.TapHold = TapHold;
-  Map.TouchZoom = TouchZoom;
   exports.Bounds = Bounds;
   exports.Browser = Browser;
   exports.CRS = CRS;
@@ -8176,9 +12762,11 @@ function divIcon(options) {
   exports.SVGOverlay = SVGOverlay;
   exports.TileLayer = TileLayer;
   exports.Tooltip = Tooltip;
+  exports.Tour = Tour;
   exports.Transformation = Transformation;
   exports.Util = Util;
   exports.VideoOverlay = VideoOverlay;
+  exports.addLocale = addLocale;
   exports.bind = bind;
   exports.bounds = toBounds;
   exports.canvas = canvas;
@@ -8190,6 +12778,7 @@ function divIcon(options) {
   exports.featureGroup = featureGroup;
   exports.geoJSON = geoJSON;
   exports.geoJson = geoJson;
+  exports.getLocale = getLocale;
   exports.gridLayer = gridLayer;
   exports.icon = icon;
   exports.imageOverlay = imageOverlay;
@@ -8203,6 +12792,7 @@ function divIcon(options) {
   exports.polyline = polyline;
   exports.popup = popup;
   exports.rectangle = rectangle;
+  exports.setLocale = setLocale;
   exports.setOptions = setOptions;
   exports.stamp = stamp;
   exports.svg = svg;